@@ -7,85 +7,177 @@
  const express = require('express');
  const session = require('express-session');
  const path = require('path');
- const { Pool } = require('pg');
- const { google } = require('googleapis');
+ const multer = require('multer');
+ const { pool, db, dbHost, isLocal } = require('./lib/db');
+ const { createMailer } = require('./lib/mailer');
+ const { hashPassword, verifyPassword } = require('./lib/passwords');
+ const { todayIn, addDays, summarizeHistory } = require('./lib/history');
+ const {
+   GOAL_TYPES, PROJECT_STATUSES, PROJECT_SORTS, localDaySql, projectSummarySql, projectFilterSql, parseTags,
+   goalProgressSql, closeFinishedSprints, withForecast, createProject, overrideTotal, validateGoal, addGoal
+ } = require('./lib/projects');
+ const {
+   validateGenreName, listGenres, genreChoices, isGenre, addGenre, renameGenre, deleteGenre, moveGenre
+ } = require('./lib/genres');
+ const { addWords, findEntry, addEntry, updateEntry, deleteEntry } = require('./lib/progress');
+ const {
+   PROJECT_ROLES, INVITABLE_ROLES, hasAccess, withAccess, listMembers, authorTotals, findInvitee, addMember,
+   setMemberRole, removeMember
+ } = require('./lib/members');
+ const { hashToken, randomToken, createApiToken } = require('./lib/tokens');
+ const { EXCLUSIONS, countWords } = require('./lib/wordcount');
+ const { hasEncryptionKey } = require('./lib/secrets');
+ const { googleAuthUrl, connectGoogleAccount, disconnectGoogleAccount } = require('./lib/google');
+ const { getSource, sourceOptions, displayLocator, parseSource } = require('./lib/sources');
+ const { syncProject, startSyncScheduler } = require('./lib/sync');
+ const { listSections, setSectionTarget } = require('./lib/sections');
+ const { TEAM_SORTS, teamSummarySql } = require('./lib/team');
+ const { AUDIT_ACTIONS, ENTITY_TYPES, recordAudit, snapshot, auditFilterSql, auditCsv } = require('./lib/audit');
+ const {
+   trashProject, restoreProject, purgeProject, listTrashedProjects,
+   trashUser, restoreUser, purgeUser, listTrashedUsers, startTrashPurge
+ } = require('./lib/trash');
+ const { buildExport, exportCsv, parseImport, planImport, applyImport } = require('./lib/backup');
+ const { savePendingImport, takePendingImport, discardPendingImport } = require('./lib/pending-imports');
+ const {
+   ACHIEVEMENT_METRICS, writerStats, awardAchievements, userAchievements, earnedAchievements, listAchievements,
+   validateAchievement, addAchievement, deleteAchievement
+ } = require('./lib/achievements');
+ const {
+   NOTIFICATION_KINDS, getPreferences, savePreferences, listNotifications, countUnread, markAllRead,
+   startNotificationChecks
+ } = require('./lib/notifications');
+ const {
+   SPRINT_DURATIONS, MAX_SPRINT_MINUTES, validateSprint, findRunningSprint, startSprint, saveDraft,
+   finishSprint, abandonSprint, closeIfExpired, sprintHistory, summarizeSprints
+ } = require('./lib/sprints');
+ const {
+   WAR_DURATIONS, MAX_WAR_MINUTES, validateWar, normalizeCode, createWar, joinWar, findWar, findParticipant,
+   leaveWar, startWar, cancelWar, recordWords, warBoard, publishBoard, subscribeToWar, closeIfOver,
+   scheduleWarEnd, startWarClock, warHistory
+ } = require('./lib/wars');
+ const apiRouter = require('./routes/api');
+ const { SchemaOutOfDateError, checkSchema } = require('./lib/schema');
  
  const app = express();
  const port = process.env.PORT || 2999;
  
  // ==============================================================================
- // DATABASE CONNECTION (SMART SWITCH)
+ // DATABASE CONNECTION (SMART SWITCH) - see lib/db.js
  // ==============================================================================
- // We check for DB_HOST (your local .env) OR RDS_HOSTNAME (AWS default)
- const dbHost = process.env.DB_HOST || process.env.RDS_HOSTNAME || 'localhost';
- const dbUser = process.env.DB_USER || process.env.RDS_USERNAME;
- const dbPassword = process.env.DB_PASSWORD || process.env.RDS_PASSWORD;
- const dbName = process.env.DB_NAME || 'writinghelper'; // Default to writinghelper if not set
- 
- // Detect if we are running locally
- const isLocal = dbHost === 'localhost' || dbHost === '127.0.0.1';
- 
- const pool = new Pool({
-   host: dbHost,
-   user: dbUser,
-   password: dbPassword,
-   database: dbName,
-   port: 5432,
-   // SSL Configuration:
-   // - Localhost: SSL is disabled to prevent "server does not support SSL" errors.
-   // - AWS RDS: SSL is required. 'rejectUnauthorized: false' allows self-signed certs common in RDS.
-   ssl: isLocal ? false : { rejectUnauthorized: false }
- });
- 
- // Immediate connection test to debug connectivity
- pool.connect((err, client, release) => {
-   if (err) {
-     console.error('❌ Database connection failed:', err.message);
-   } else {
-     console.log(`✅ Database connected successfully to ${dbHost} (SSL: ${isLocal ? 'OFF' : 'ON'})`);
-     release();
-   }
- });
- 
- const db = {
-   query: (text, params) => pool.query(text, params)
- };
- 
- // ---------------- GOOGLE OAUTH SETUP ----------------
- const oauth2Client = new google.auth.OAuth2(
-   process.env.GOOGLE_CLIENT_ID,
-   process.env.GOOGLE_CLIENT_SECRET,
-   process.env.GOOGLE_REDIRECT_URI
- );
+ // Connection test to debug connectivity - see START SERVER below
+ function testConnection() {
+   pool.connect((err, client, release) => {
+     if (err) {
+       console.error('❌ Database connection failed:', err.message);
+     } else {
+       console.log(`✅ Database connected successfully to ${dbHost} (SSL: ${isLocal ? 'OFF' : 'ON'})`);
+       release();
+     }
+   });
+ }
+ 
+ // ---------------- STORED CREDENTIALS ----------------
+ // Google refresh tokens are encrypted with ENCRYPTION_KEY (see lib/secrets); without it Google can't be connected
+ if (!hasEncryptionKey()) {
+   console.error('❌ ENCRYPTION_KEY is not set: Google Docs can\'t be connected or synced until it is');
+ }
+ 
+ // ---------------- MAIL SETUP ----------------
+ const mailer = createMailer();
+ console.log(`📧 Mail transport: ${mailer.transport}`);
+ 
+ // ---------------- DOCUMENT SYNC SCHEDULER ----------------
+ // Minutes between background syncs of every linked document; 0 turns it off
+ const SYNC_INTERVAL_MINUTES = process.env.SYNC_INTERVAL_MINUTES === undefined
+   ? 60
+   : parseInt(process.env.SYNC_INTERVAL_MINUTES) || 0;
+ 
+ // ---------------- NOTIFICATIONS ----------------
+ // Minutes between checks for reminders, milestones and the like (see lib/notifications); 0 turns them off
+ const NOTIFY_INTERVAL_MINUTES = process.env.NOTIFY_INTERVAL_MINUTES === undefined
+   ? 15
+   : parseInt(process.env.NOTIFY_INTERVAL_MINUTES) || 0;
+ 
+ // ---------------- TRASH ----------------
+ // Days a deleted project or account can be restored before it's purged for good
+ const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+ 
+ // ---------------- UPLOADS ----------------
+ // Project forms are multipart so a .docx source can be uploaded with them; files stay in memory
+ // until the source has been validated
+ const MAX_UPLOAD_MB = 20;
+ const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 } });
+ 
+ // Parse a multipart form with an optional file in `field`. Upload problems end up in
+ // req.uploadError instead of failing the request, so the route can show them on its form.
+ function acceptUpload(field) {
+   const single = upload.single(field);
+   return (req, res, next) => single(req, res, err => {
+     if (err) {
+       req.uploadError = err.code === 'LIMIT_FILE_SIZE' ? `Files can be up to ${MAX_UPLOAD_MB} MB.` : 'The upload failed.';
+     }
+     next();
+   });
+ }
  
  // ---------------- HELPER FUNCTIONS ----------------
  
- // Helper to extract ID from Google Doc URL
- function extractDocId(url) {
-   if (!url) return null;
-   const match = url.match(/\/d\/([a-zA-Z0-9-_]+)/);
-   return match ? match[1] : null;
- }
- 
- // Helper to count words from Google Doc JSON structure
- function countGoogleDocWords(docContent) {
-   let fullText = '';
-   // Google Docs returns a structural JSON. We must loop through paragraphs.
-   if (docContent) {
-     docContent.forEach(element => {
-       if (element.paragraph) {
-         element.paragraph.elements.forEach(el => {
-           if (el.textRun && el.textRun.content) {
-             fullText += el.textRun.content;
-           }
-         });
-       }
-     });
+ // Read a value from the AppSetting table, falling back if it was never saved
+ async function getSetting(key, fallback) {
+   const result = await db.query('SELECT setting_value FROM AppSetting WHERE setting_key = $1', [key]);
+   return result.rows.length > 0 ? result.rows[0].setting_value : fallback;
+ }
+ 
+ async function setSetting(key, value) {
+   await db.query(
+     `INSERT INTO AppSetting (setting_key, setting_value) VALUES ($1, $2)
+      ON CONFLICT (setting_key) DO UPDATE SET setting_value = EXCLUDED.setting_value`,
+     [key, String(value)]
+   );
+ }
+ 
+ // Open signup is on unless a manager turned it off (or OPEN_SIGNUP=false for a fresh install)
+ async function isOpenSignup() {
+   const fallback = process.env.OPEN_SIGNUP === 'false' ? 'false' : 'true';
+   return (await getSetting('open_signup', fallback)) === 'true';
+ }
+ 
+ // Base URL used in emailed links
+ function appUrl(req) {
+   return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+ }
+ 
+ // Time zone names come from the browser, so only accept ones the runtime understands
+ function isValidTimeZone(tz) {
+   if (!tz) return false;
+   try {
+     new Intl.DateTimeFormat('en-US', { timeZone: tz });
+     return true;
+   } catch (err) {
+     return false;
    }
-   // Split by whitespace to count words
-   return fullText.trim().split(/\s+/).filter(w => w.length > 0).length;
  }
  
+ // "Today" is worked out in the writer's own time zone (log_date is stored in UTC)
+ function userTimeZone(req) {
+   return req.session.timeZone || 'UTC';
+ }
+ 
+ // Who to credit in the audit trail
+ function auditActor(req) {
+   return { userId: req.session.userId, username: req.session.username };
+ }
+ 
+ const MIN_PASSWORD_LENGTH = 8;
+ const RESET_TOKEN_TTL_MINUTES = 60;
+ const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+ const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+ 
+ // ---------------- JSON API ----------------
+ // Token-authenticated and stateless, so it's mounted ahead of the session and login middleware
+ app.use('/api/v1', apiRouter);
+ 
  // ---------------- SESSION SETUP ----------------
  app.use(
    session({
@@ -106,6 +198,8 @@
  app.set('view engine', 'ejs');
  app.set('views', path.join(__dirname, 'views'));
  app.use(express.static(path.join(__dirname, 'public')));
+ // The word counter is shared with the browser, so live counts match what gets logged
+ app.get('/js/wordcount.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'wordcount.js')));
  
  // Debug logging
  app.use((req, _res, next) => {
@@ -114,12 +208,24 @@
  });
  
  // Authentication middleware
- app.use((req, res, next) => {
-   const openPaths = ['/', '/login', '/logout', '/auth/google', '/auth/google/callback'];
+ app.use(async (req, res, next) => {
+   const openPaths = ['/', '/login', '/logout', '/register', '/forgot-password', '/auth/google', '/auth/google/callback'];
    if (openPaths.includes(req.path)) return next();
+   if (req.path.startsWith('/reset-password/')) return next();
+ 
+   if (!req.session.isLoggedIn) {
+     return res.render('login', { error_message: 'Please log in to access this page' });
+   }
  
-   if (req.session.isLoggedIn) return next();
-   res.render('login', { error_message: 'Please log in to access this page' });
+   // A manager may have deleted the account since this session logged in
+   const active = await db.query(
+     'SELECT 1 FROM "users" WHERE user_id = $1 AND deleted_at IS NULL',
+     [req.session.userId]
+   );
+   if (active.rows.length > 0) return next();
+   req.session.destroy(() => {
+     res.render('login', { error_message: 'This account has been deleted' });
+   });
  });
  
  // Manager-only middleware
@@ -139,14 +245,14 @@
  
  // Handle login
  app.post('/login', async (req, res) => {
-   const { username, password } = req.body;
+   const { username, password, time_zone } = req.body;
  
    try {
      const result = await db.query(
-       `SELECT u.user_id, u.username, u.first_name, u.last_name, u.permissions, s.password_text
+       `SELECT u.user_id, u.username, u.first_name, u.last_name, u.permissions, u.time_zone, s.password_text
         FROM "users" u
         INNER JOIN Security s ON u.user_id = s.user_id
-        WHERE u.username = $1`,
+        WHERE u.username = $1 AND u.deleted_at IS NULL`,
        [username]
      );
  
@@ -155,22 +261,66 @@
      }
  
      const user = result.rows[0];
-     const validPassword = password === user.password_text;
+ 
+     // Count the attempt as a failure before the password is checked, and only if the account
+     // isn't locked; a successful login resets the count below. Once the limit is hit the account
+     // is locked and counting starts again afterwards. Doing the check and the count in one
+     // statement means guesses sent at the same time can't get more tries than the limit.
+     const counted = await db.query(
+       `UPDATE Security
+        SET failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END,
+            locked_until = CASE WHEN failed_login_count + 1 >= $2
+                                THEN CURRENT_TIMESTAMP + make_interval(mins => $3) ELSE NULL END
+        WHERE user_id = $1 AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+        RETURNING failed_login_count`,
+       [user.user_id, MAX_FAILED_LOGINS, LOCKOUT_MINUTES]
+     );
+ 
+     if (counted.rows.length === 0) {
+       const locked = await db.query(
+         'SELECT GREATEST(1, CEIL(EXTRACT(EPOCH FROM locked_until - LOCALTIMESTAMP) / 60))::int AS minutes_left FROM Security WHERE user_id = $1',
+         [user.user_id]
+       );
+       const minutesLeft = locked.rows[0].minutes_left;
+       return res.render('login', {
+         error_message: `Too many failed attempts. Try again in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}.`
+       });
+     }
+ 
+     const { valid: validPassword, needsUpgrade } = await verifyPassword(password, user.password_text);
  
      if (!validPassword) {
+       const lockNow = counted.rows[0].failed_login_count === 0;
+       if (lockNow) console.log(`🔒 Locked ${username} after ${MAX_FAILED_LOGINS} failed logins`);
        return res.render('login', { error_message: 'Invalid username or password' });
      }
  
+     // Legacy plaintext rows are replaced with a hash the first time the password is proven
+     if (needsUpgrade) {
+       await db.query('UPDATE Security SET password_text = $1 WHERE user_id = $2', [await hashPassword(password), user.user_id]);
+       console.log(`🔑 Upgraded stored password for ${username} to a hash`);
+     }
+ 
      await db.query(
-       'UPDATE Security SET last_login = CURRENT_TIMESTAMP WHERE user_id = $1',
+       `UPDATE Security
+        SET last_login = CURRENT_TIMESTAMP, failed_login_count = 0, locked_until = NULL
+        WHERE user_id = $1`,
        [user.user_id]
      );
  
+     // The login form reports the browser's time zone; remember it for daily totals
+     let timeZone = user.time_zone || 'UTC';
+     if (isValidTimeZone(time_zone) && time_zone !== timeZone) {
+       timeZone = time_zone;
+       await db.query('UPDATE "users" SET time_zone = $1 WHERE user_id = $2', [timeZone, user.user_id]);
+     }
+ 
      req.session.isLoggedIn = true;
      req.session.username = user.username;
      req.session.userId = user.user_id;
      req.session.firstName = user.first_name;
      req.session.permissions = user.permissions;
+     req.session.timeZone = timeZone;
  
      console.log(`✅ Login successful for ${username} (${user.permissions === 'M' ? 'Manager' : 'users'})`);
      res.redirect('/dashboard');
@@ -180,34 +330,307 @@
    }
  });
  
- // Dashboard route
- app.get('/dashboard', async (req, res) => {
+ // ============ REGISTRATION & PASSWORD RESET ROUTES ============
+ 
+ // Look up an invite that can still be used
+ async function findUsableInvite(code) {
+   if (!code) return null;
+   const result = await db.query(
+     `SELECT invite_id, code, email FROM Invite
+      WHERE code = $1 AND used_at IS NULL AND revoked_at IS NULL`,
+     [code]
+   );
+   return result.rows[0] || null;
+ }
+ 
+ // Registration form (GET)
+ app.get('/register', async (req, res) => {
    try {
-     const result = await db.query(
-       `SELECT p.project_id AS id, p.title, p.genre, p.description, p.start_date, p.google_doc_id,
-               COALESCE(pl.total_words, 0) AS current_words,
-               COALESCE(g.target_value, 50000) AS target_words,
-               1000 AS daily_goal
+     const openSignup = await isOpenSignup();
+     const inviteCode = req.query.invite || '';
+     const invite = await findUsableInvite(inviteCode);
+ 
+     res.render('register', {
+       error_message: !openSignup && inviteCode && !invite ? 'This invite link is invalid or has already been used.' : null,
+       openSignup,
+       form: { invite_code: inviteCode, email: invite && invite.email ? invite.email : '' }
+     });
+   } catch (err) {
+     console.error('Register page error:', err);
+     res.render('login', { error_message: 'An error occurred. Please try again.' });
+   }
+ });
  
-        FROM Project p
-        LEFT JOIN LATERAL (
-          SELECT total_words
-          FROM ProgressLog
-          WHERE project_id = p.project_id
-          ORDER BY log_date DESC
-          LIMIT 1
-        ) pl ON true
-        LEFT JOIN Goal g ON g.project_id = p.project_id
-          AND g.is_active = true
-          AND g.goal_type = 'total_words'
-        WHERE p.user_id = $1
-        ORDER BY p.start_date DESC`,
-       [req.session.userId]
+ // Registration (POST)
+ app.post('/register', async (req, res) => {
+   const { username, email, first_name, last_name, password, confirm_password, invite_code, time_zone } = req.body;
+   const form = { username, email, first_name, last_name, invite_code };
+ 
+   let openSignup = true;
+   const fail = (message) => res.render('register', { error_message: message, openSignup, form });
+ 
+   try {
+     openSignup = await isOpenSignup();
+ 
+     if (!username || !email || !first_name || !last_name || !password) {
+       return fail('Please fill in every field.');
+     }
+     if (password.length < MIN_PASSWORD_LENGTH) {
+       return fail(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+     }
+     if (password !== confirm_password) {
+       return fail('Passwords do not match.');
+     }
+ 
+     // Invites are only required when open signup is turned off, but a valid one is always accepted
+     const invite = await findUsableInvite(invite_code);
+     if (!openSignup && !invite) {
+       return fail('Signup is by invitation only. Please use the invite link you were sent.');
+     }
+     if (invite && invite.email && invite.email.toLowerCase() !== email.toLowerCase()) {
+       return fail('This invite was issued for a different email address.');
+     }
+ 
+     const existing = await db.query(
+       `SELECT username FROM "users" WHERE LOWER(username) = LOWER($1) OR LOWER(email) = LOWER($2)`,
+       [username, email]
+     );
+     if (existing.rows.length > 0) {
+       return fail('That username or email is already registered.');
+     }
+ 
+     const passwordHash = await hashPassword(password);
+     const timeZone = isValidTimeZone(time_zone) ? time_zone : 'UTC';
+     const userId = await db.transaction(async (client) => {
+       // Claim the invite first, so two signups racing on the same one can't both get in
+       if (invite) {
+         const claimed = await client.query(
+           `UPDATE Invite SET used_at = CURRENT_TIMESTAMP
+            WHERE invite_id = $1 AND used_at IS NULL AND revoked_at IS NULL
+            RETURNING invite_id`,
+           [invite.invite_id]
+         );
+         if (claimed.rows.length === 0) return null;
+       }
+ 
+       const created = await client.query(
+         `INSERT INTO "users" (username, email, first_name, last_name, permissions, time_zone)
+          VALUES ($1, $2, $3, $4, 'U', $5)
+          RETURNING user_id`,
+         [username, email, first_name, last_name, timeZone]
+       );
+       const newUserId = created.rows[0].user_id;
+ 
+       await client.query(
+         'INSERT INTO Security (user_id, password_text, last_login) VALUES ($1, $2, CURRENT_TIMESTAMP)',
+         [newUserId, passwordHash]
+       );
+ 
+       if (invite) {
+         await client.query('UPDATE Invite SET used_by = $1 WHERE invite_id = $2', [newUserId, invite.invite_id]);
+       }
+       return newUserId;
+     });
+     if (!userId) {
+       return fail('This invite has already been used.');
+     }
+ 
+     req.session.isLoggedIn = true;
+     req.session.username = username;
+     req.session.userId = userId;
+     req.session.firstName = first_name;
+     req.session.permissions = 'U';
+     req.session.timeZone = timeZone;
+ 
+     console.log(`✅ Registered new user ${username}${invite ? ' (invite)' : ''}`);
+     res.redirect('/dashboard');
+   } catch (err) {
+     // Someone else registered the same username or email in the meantime
+     if (err.code === '23505') {
+       return fail('That username or email is already registered.');
+     }
+     console.error('❌ Register error:', err);
+     fail('An error occurred. Please try again.');
+   }
+ });
+ 
+ // Forgot password form (GET)
+ app.get('/forgot-password', (req, res) => {
+   res.render('forgot-password', { error_message: null, success_message: null });
+ });
+ 
+ // Forgot password (POST) - emails a one-time reset link
+ app.post('/forgot-password', async (req, res) => {
+   const { email } = req.body;
+   // Same response whether or not the address exists, so this can't be used to probe for accounts
+   const success_message = 'If an account exists for that email, a reset link is on its way.';
+ 
+   try {
+     const result = await db.query(
+       'SELECT user_id, username, email FROM "users" WHERE LOWER(email) = LOWER($1) AND deleted_at IS NULL',
+       [email || '']
      );
  
+     if (result.rows.length > 0) {
+       const user = result.rows[0];
+       const token = randomToken();
+ 
+       await db.query(
+         `INSERT INTO PasswordReset (user_id, token_hash, expires_at)
+          VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+         [user.user_id, hashToken(token), RESET_TOKEN_TTL_MINUTES]
+       );
+ 
+       await mailer.send({
+         to: user.email,
+         subject: 'Reset your Word Count Tracker password',
+         text: `Hi ${user.username},\n\n` +
+           `Someone asked to reset the password for your account. If it was you, open this link within ` +
+           `${RESET_TOKEN_TTL_MINUTES} minutes:\n\n${appUrl(req)}/reset-password/${token}\n\n` +
+           `If you didn't ask for this you can ignore this email.`
+       });
+       console.log(`🔑 Password reset requested for ${user.username}`);
+     }
+ 
+     res.render('forgot-password', { error_message: null, success_message });
+   } catch (err) {
+     console.error('❌ Forgot password error:', err);
+     res.render('forgot-password', { error_message: 'An error occurred. Please try again.', success_message: null });
+   }
+ });
+ 
+ // Look up a reset token that is unused and not expired
+ async function findValidReset(token) {
+   const result = await db.query(
+     `SELECT reset_id, user_id FROM PasswordReset
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+     [hashToken(token)]
+   );
+   return result.rows[0] || null;
+ }
+ 
+ // Reset password form (GET)
+ app.get('/reset-password/:token', async (req, res) => {
+   try {
+     const reset = await findValidReset(req.params.token);
+     if (!reset) {
+       return res.render('forgot-password', {
+         error_message: 'That reset link is invalid or has expired. Please request a new one.',
+         success_message: null
+       });
+     }
+     res.render('reset-password', { token: req.params.token, error_message: null });
+   } catch (err) {
+     console.error('Reset password page error:', err);
+     res.render('forgot-password', { error_message: 'An error occurred. Please try again.', success_message: null });
+   }
+ });
+ 
+ // Reset password (POST)
+ app.post('/reset-password/:token', async (req, res) => {
+   const { token } = req.params;
+   const { password, confirm_password } = req.body;
+ 
+   try {
+     const reset = await findValidReset(token);
+     if (!reset) {
+       return res.render('forgot-password', {
+         error_message: 'That reset link is invalid or has expired. Please request a new one.',
+         success_message: null
+       });
+     }
+ 
+     if (!password || password.length < MIN_PASSWORD_LENGTH) {
+       return res.render('reset-password', { token, error_message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+     }
+     if (password !== confirm_password) {
+       return res.render('reset-password', { token, error_message: 'Passwords do not match.' });
+     }
+ 
+     const passwordHash = await hashPassword(password);
+     await db.transaction(async (client) => {
+       // A reset also clears any lockout so the user can log in straight away
+       await client.query(
+         `UPDATE Security SET password_text = $1, failed_login_count = 0, locked_until = NULL
+          WHERE user_id = $2`,
+         [passwordHash, reset.user_id]
+       );
+       // Burn this token and any other outstanding ones for the same user
+       await client.query(
+         'UPDATE PasswordReset SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+         [reset.user_id]
+       );
+     });
+ 
+     console.log(`🔑 Password reset completed for user ${reset.user_id}`);
+     res.render('login', { error_message: null, success_message: 'Your password has been reset. Please log in.' });
+   } catch (err) {
+     console.error('❌ Reset password error:', err);
+     res.render('reset-password', { token, error_message: 'An error occurred. Please try again.' });
+   }
+ });
+ 
+ // Adds project.goals: the active goals other than the main total_words goal, which the card already shows
+ async function attachActiveGoals(projects, userId, timeZone) {
+   if (projects.length === 0) return;
+   await closeFinishedSprints(db, projects.map(p => p.id));
+   const goals = await db.query(
+     goalProgressSql(`AND g.is_active = true AND g.goal_type <> 'total_words' AND g.project_id = ANY($3)`),
+     [userId, timeZone, projects.map(p => p.id)]
+   );
+   projects.forEach(project => {
+     project.goals = goals.rows.filter(goal => goal.project_id === project.id);
+   });
+ }
+ 
+ // Dashboard route
+ // What the search form can filter by: genres (the configured list plus any the user's
+ // projects still have), the user's tags, and how many projects are archived
+ async function projectFilterOptions(userId) {
+   const memberOf = `FROM Project p INNER JOIN ProjectMember m ON m.project_id = p.project_id AND m.user_id = $1
+                     WHERE p.deleted_at IS NULL`;
+   const projects = await db.query(`SELECT DISTINCT p.genre ${memberOf} ORDER BY p.genre`, [userId]);
+   const tags = await db.query(`SELECT DISTINCT unnest(p.tags) AS tag ${memberOf} ORDER BY tag`, [userId]);
+   const archived = await db.query(`SELECT COUNT(*)::int AS count ${memberOf} AND p.status = 'archived'`, [userId]);
+   const genres = await genreChoices(db);
+   projects.rows.forEach(row => {
+     if (!genres.includes(row.genre)) genres.push(row.genre);
+   });
+ 
+   return {
+     genres,
+     tags: tags.rows.map(row => row.tag),
+     statuses: PROJECT_STATUSES,
+     sorts: PROJECT_SORTS,
+     archivedCount: archived.rows[0].count
+   };
+ }
+ 
+ // The search form's fields as submitted, for showing them again
+ function searchFields(query) {
+   const fields = {};
+   ['q', 'genre', 'tag', 'status', 'from', 'to', 'sort'].forEach(key => {
+     fields[key] = typeof query[key] === 'string' ? query[key].trim() : '';
+   });
+   return fields;
+ }
+ 
+ // Archived projects are left off the dashboard; the search can still find them
+ app.get('/dashboard', async (req, res) => {
+   try {
+     const timeZone = userTimeZone(req);
+     const result = await db.query(projectSummarySql("AND p.status <> 'archived'"), [req.session.userId, timeZone]);
+     const today = todayIn(timeZone);
+     await attachActiveGoals(result.rows, req.session.userId, timeZone);
+ 
      res.render('dashboard', {
        username: req.session.username,
-       projects: result.rows,
+       projects: result.rows.map(project => withAccess(withForecast(project, today))),
+       goalTypes: GOAL_TYPES,
+       statuses: PROJECT_STATUSES,
+       filterOptions: await projectFilterOptions(req.session.userId),
+       unreadNotifications: await countUnread(db, req.session.userId),
+       badges: await earnedAchievements(db, req.session.userId),
        isManager: req.session.permissions === 'M'
      });
    } catch (err) {
@@ -220,37 +643,29 @@
    }
  });
  
- // Search route
+ // Search route - text, genre, tag, status and start-date filters, in the chosen order
  app.get('/search', async (req, res) => {
-   const searchTerm = req.query.q || '';
+   const search = searchFields(req.query);
    try {
+     const timeZone = userTimeZone(req);
+     const { where, params } = projectFilterSql(search);
+     const sort = PROJECT_SORTS[search.sort] || PROJECT_SORTS.newest;
      const result = await db.query(
-       `SELECT p.project_id AS id, p.title, p.genre, p.description, p.start_date, p.google_doc_id,
-               COALESCE(pl.total_words, 0) AS current_words,
-               COALESCE(g.target_value, 50000) AS target_words,
-               1000 AS daily_goal
- 
-        FROM Project p
-        LEFT JOIN LATERAL (
-          SELECT total_words
-          FROM ProgressLog
-          WHERE project_id = p.project_id
-          ORDER BY log_date DESC
-          LIMIT 1
-        ) pl ON true
-        LEFT JOIN Goal g ON g.project_id = p.project_id
-          AND g.is_active = true
-          AND g.goal_type = 'total_words'
-        WHERE p.user_id = $1
-          AND (LOWER(p.title) LIKE LOWER($2) OR LOWER(p.genre) LIKE LOWER($2))
-        ORDER BY p.start_date DESC`,
-       [req.session.userId, `%${searchTerm}%`]
+       projectSummarySql(where, sort.sql),
+       [req.session.userId, timeZone, ...params]
      );
+     const today = todayIn(timeZone);
+     await attachActiveGoals(result.rows, req.session.userId, timeZone);
  
      res.render('dashboard', {
        username: req.session.username,
-       projects: result.rows,
-       searchTerm,
+       projects: result.rows.map(project => withAccess(withForecast(project, today))),
+       goalTypes: GOAL_TYPES,
+       statuses: PROJECT_STATUSES,
+       filterOptions: await projectFilterOptions(req.session.userId),
+       unreadNotifications: await countUnread(db, req.session.userId),
+       badges: await earnedAchievements(db, req.session.userId),
+       search,
        isManager: req.session.permissions === 'M'
      });
    } catch (err) {
@@ -258,48 +673,56 @@
      res.render('dashboard', { 
        username: req.session.username, 
        projects: [], 
-       searchTerm,
+       search,
        isManager: req.session.permissions === 'M'
      });
    }
  });
  
- // Add new project form
- app.get('/add', (req, res) => {
-   res.render('add-project', { username: req.session.username });
- });
+ async function renderAddProject(req, res, form, error_message) {
+   res.render('add-project', {
+     username: req.session.username,
+     sources: sourceOptions(),
+     genres: await genreChoices(db),
+     statuses: PROJECT_STATUSES,
+     form,
+     error_message
+   });
+ }
  
- // Add new project (submit) - UPDATED with Google Doc Logic
- app.post('/add', async (req, res) => {
-   const { title, genre, description, targetWords, currentWords, dailyGoal, startDate, googleDocUrl } = req.body;
-   
+ // Add new project form
+ app.get('/add', async (req, res) => {
    try {
-     // Extract ID if URL is provided
-     const docId = googleDocUrl ? extractDocId(googleDocUrl) : null;
+     await renderAddProject(req, res, {}, null);
+   } catch (err) {
+     console.error('Add project form error:', err);
+     res.redirect('/dashboard');
+   }
+ });
  
-     const project = await db.query(
-       `INSERT INTO Project (user_id, title, genre, description, start_date, google_doc_id)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING project_id`,
-       [req.session.userId, title, genre, description || null, startDate, docId]
-     );
+ // Add new project (submit) - optionally linked to a document source
+ app.post('/add', acceptUpload('sourceFile'), async (req, res) => {
+   const { title, genre, description, targetWords, currentWords, dailyGoal, startDate, deadline, sourceType, sourceLocator,
+           status, tags } = req.body;
+   const source = req.uploadError ? { error: req.uploadError } : parseSource(sourceType, sourceLocator, req.file);
  
-     const projectId = project.rows[0].project_id;
+   try {
+     if (source.error) {
+       return await renderAddProject(req, res, req.body, source.error);
+     }
+     if (!(await isGenre(db, genre))) {
+       return await renderAddProject(req, res, req.body, 'Please choose a genre from the list.');
+     }
  
-     // Add goal with daily_target
-     await db.query(
-       `INSERT INTO Goal (project_id, goal_type, target_value, daily_target, start_date, is_active)
-        VALUES ($1, 'total_words', $2, $3, $4, true)`,
-       [projectId, parseInt(targetWords), parseInt(dailyGoal) || 1000, startDate]
-     );
+     const projectId = await createProject(db, req.session.userId, {
+       title, genre, description, startDate, targetWords, dailyGoal, deadline, currentWords, status, tags,
+       sourceType: source.sourceType, sourceLocator: source.sourceLocator, timeZone: userTimeZone(req)
+     });
  
-     // Optional initial progress log
-     if (parseInt(currentWords) > 0) {
-       await db.query(
-         `INSERT INTO ProgressLog (project_id, word_count, total_words, log_date)
-          VALUES ($1, $2, $2, $3)`,
-         [projectId, parseInt(currentWords), startDate]
-       );
+     // Uploaded documents can be counted straight away
+     if (req.file && source.sourceType) {
+       await getSource(source.sourceType).storeUpload(projectId, req.file.buffer);
+       await syncProject(db, { project_id: projectId, user_id: req.session.userId, ...toSourceRow(source) });
      }
  
      res.redirect('/dashboard');
@@ -309,42 +732,47 @@
    }
  });
  
+ // parseSource() result → the column names syncProject expects
+ function toSourceRow(source) {
+   return { source_type: source.sourceType, source_locator: source.sourceLocator };
+ }
+ 
+ // Load one of the user's projects for the edit form
+ async function loadEditableProject(req, projectId) {
+   const result = await db.query(
+     projectSummarySql('AND p.project_id = $3'),
+     [req.session.userId, userTimeZone(req), projectId]
+   );
+   if (result.rows.length === 0 || !hasAccess(result.rows[0].role, 'manage')) return null;
+ 
+   const project = withAccess(result.rows[0]);
+   if (project.start_date) {
+     project.start_date = new Date(project.start_date).toISOString().split('T')[0];
+   }
+   project.source_input = displayLocator(project.source_type, project.source_locator);
+   return project;
+ }
+ 
+ // The project's current genre stays on offer even if it has been taken off the list
+ async function renderEditProject(req, res, project, error_message) {
+   res.render('edit-project', {
+     username: req.session.username,
+     project,
+     sources: sourceOptions(),
+     genres: await genreChoices(db, project.genre),
+     statuses: PROJECT_STATUSES,
+     error_message
+   });
+ }
+ 
  // Edit project (GET form)
  app.get('/edit/:id', async (req, res) => {
    const projectId = parseInt(req.params.id);
    try {
-     const result = await db.query(
-       `SELECT p.project_id AS id, p.title, p.genre, p.description, p.start_date, p.google_doc_id,
-               COALESCE(pl.total_words, 0) AS current_words,
-               COALESCE(g.target_value, 50000) AS target_words,
-               1000 AS daily_goal,
-               g.goal_id
-        FROM Project p
-        LEFT JOIN LATERAL (
-          SELECT total_words
-          FROM ProgressLog
-          WHERE project_id = p.project_id
-          ORDER BY log_date DESC
-          LIMIT 1
-        ) pl ON true
-        LEFT JOIN Goal g ON g.project_id = p.project_id
-          AND g.is_active = true
-          AND g.goal_type = 'total_words'
-        WHERE p.project_id = $1 AND p.user_id = $2`,
-       [projectId, req.session.userId]
-     );
+     const project = await loadEditableProject(req, projectId);
+     if (!project) return res.redirect('/dashboard');
  
-     if (result.rows.length === 0) return res.redirect('/dashboard');
- 
-     const project = result.rows[0];
-     if (project.start_date) {
-       project.start_date = new Date(project.start_date).toISOString().split('T')[0];
-     }
- 
-     res.render('edit-project', {
-       username: req.session.username,
-       project
-     });
+     await renderEditProject(req, res, project, null);
    } catch (err) {
      console.error('Edit GET error:', err);
      res.redirect('/dashboard');
@@ -352,52 +780,89 @@
  });
  
  // Edit project (POST update)
- app.post('/edit/:id', async (req, res) => {
+ app.post('/edit/:id', acceptUpload('sourceFile'), async (req, res) => {
    const projectId = parseInt(req.params.id);
-   // Extracted googleDocUrl from body
-   const { title, genre, description, targetWords, currentWords, dailyGoal, startDate, googleDocUrl } = req.body;
+   const { title, genre, description, targetWords, currentWords, dailyGoal, startDate, deadline, sourceType, sourceLocator,
+           status } = req.body;
  
    try {
-     // Process Google Doc ID
-     const docId = googleDocUrl ? extractDocId(googleDocUrl) : null;
+     const project = await loadEditableProject(req, projectId);
+     if (!project) return res.redirect('/dashboard');
+ 
+     // An upload source can be kept without uploading the file again
+     const source = req.uploadError
+       ? { error: req.uploadError }
+       : parseSource(sourceType, sourceLocator, req.file, project);
+     if (source.error) {
+       return await renderEditProject(
+         req, res, { ...project, source_type: sourceType, source_input: sourceLocator || '' }, source.error
+       );
+     }
+     if (genre !== project.genre && !(await isGenre(db, genre))) {
+       return await renderEditProject(req, res, project, 'Please choose a genre from the list.');
+     }
  
-     // Update Project with google_doc_id
-     await db.query(
-       `UPDATE Project
-        SET title = $1, genre = $2, description = $3, start_date = $4, google_doc_id = $5
-        WHERE project_id = $6 AND user_id = $7`,
-       [title, genre, description || null, startDate, docId, projectId, req.session.userId]
-     );
+     // Checkboxes arrive as a string when only one is ticked
+     const countExclusions = [].concat(req.body.countExclusions || []).filter(part => EXCLUSIONS.includes(part));
+     const changes = {
+       title,
+       genre,
+       description: description || null,
+       start_date: startDate,
+       source_type: source.sourceType,
+       source_locator: source.sourceLocator,
+       count_exclusions: countExclusions,
+       status: PROJECT_STATUSES[status] ? status : project.status,
+       tags: parseTags(req.body.tags),
+       target_words: parseInt(targetWords),
+       daily_goal: parseInt(dailyGoal) || 1000,
+       deadline: deadline || null
+     };
+ 
+     await db.transaction(async (client) => {
+       await client.query(
+         `UPDATE Project
+          SET title = $1, genre = $2, description = $3, start_date = $4, source_type = $5, source_locator = $6,
+              count_exclusions = $9, status = $10, tags = $11
+          WHERE project_id = $7 AND user_id = $8`,
+         [title, genre, changes.description, startDate, source.sourceType, source.sourceLocator, projectId, req.session.userId,
+          countExclusions, changes.status, changes.tags]
+       );
  
-     // Update Goal
-     await db.query(
-       `UPDATE Goal
-        SET target_value = $1
-        WHERE project_id = $2 AND goal_type = 'total_words' AND is_active = true`,
-       [parseInt(targetWords), projectId]
-     );
+       // Update Goal (the project check keeps users from editing someone else's goal)
+       await client.query(
+         `UPDATE Goal
+          SET target_value = $1, daily_target = $2, end_date = $3
+          WHERE project_id = $4 AND goal_type = 'total_words' AND is_active = true
+            AND project_id IN (SELECT project_id FROM Project WHERE user_id = $5)`,
+         [changes.target_words, changes.daily_goal, changes.deadline, projectId, req.session.userId]
+       );
  
-     // Update progress
-     const currentTotal = parseInt(currentWords);
-     const lastLog = await db.query(
-       `SELECT total_words FROM ProgressLog
-        WHERE project_id = $1 ORDER BY log_date DESC LIMIT 1`,
-       [projectId]
-     );
+       await recordAudit(client, auditActor(req), {
+         action: 'project.update',
+         entityType: 'project',
+         entityId: projectId,
+         entityLabel: title,
+         before: snapshot(project, Object.keys(changes)),
+         after: changes
+       });
+     });
  
-     if (lastLog.rows.length === 0 && currentTotal > 0) {
-       await db.query(
-         `INSERT INTO ProgressLog (project_id, word_count, total_words)
-          VALUES ($1, $2, $2)`,
-         [projectId, currentTotal]
-       );
-     } else if (lastLog.rows.length > 0 && lastLog.rows[0].total_words !== currentTotal) {
-       const diff = currentTotal - lastLog.rows[0].total_words;
-       await db.query(
-         `INSERT INTO ProgressLog (project_id, word_count, total_words)
-          VALUES ($1, $2, $3)`,
-         [projectId, diff, currentTotal]
-       );
+     const sourceRow = { project_id: projectId, user_id: req.session.userId, ...toSourceRow(source), count_exclusions: countExclusions };
+     const countingChanged = [...countExclusions].sort().join() !== [...project.count_exclusions].sort().join();
+     if (req.file && source.sourceType) {
+       // A new document version replaces the manual count
+       await getSource(source.sourceType).storeUpload(projectId, req.file.buffer);
+       await syncProject(db, sourceRow);
+     } else if (source.sourceType && countingChanged) {
+       // Recount the document with the new rules rather than keeping the old total
+       await syncProject(db, sourceRow);
+     } else {
+       // Update progress
+       const currentTotal = parseInt(currentWords);
+       if (!isNaN(currentTotal)) {
+         await overrideTotal(db, { id: projectId, title }, currentTotal, auditActor(req));
+       }
      }
  
      res.redirect('/dashboard');
@@ -407,17 +872,11 @@
    }
  });
  
- // Delete project
+ // Delete project (moves it to the trash)
  app.post('/delete/:id', async (req, res) => {
    const projectId = parseInt(req.params.id);
    try {
-     // Delete related records first (if no CASCADE in DB)
-     await db.query('DELETE FROM ProgressLog WHERE project_id = $1', [projectId]);
-     await db.query('DELETE FROM Goal WHERE project_id = $1', [projectId]);
-     await db.query(
-       `DELETE FROM Project WHERE project_id = $1 AND user_id = $2`,
-       [projectId, req.session.userId]
-     );
+     await trashProject(db, req.session.userId, projectId, auditActor(req));
      res.redirect('/dashboard');
    } catch (err) {
      console.error('Delete error:', err);
@@ -425,138 +884,292 @@
    }
  });
  
- // ============ GOOGLE SYNC & AUTH ROUTES ============
- 
- // 1. Start Google Login flow
- app.get('/auth/google', (req, res) => {
-   // Store the project ID they are trying to sync in the session
-   if (req.query.projectId) req.session.syncProjectId = req.query.projectId;
-    
-   const scopes = ['https://www.googleapis.com/auth/documents.readonly'];
-   const url = oauth2Client.generateAuthUrl({
-     access_type: 'offline',
-     scope: scopes
-   });
-   res.redirect(url);
- });
+ // ============ TRASH ROUTES ============
  
- // 2. Google Callback
- app.get('/auth/google/callback', async (req, res) => {
-   const { code } = req.query;
+ // Projects the user has deleted, until they're purged
+ app.get('/trash', async (req, res) => {
    try {
-     const { tokens } = await oauth2Client.getToken(code);
-     oauth2Client.setCredentials(tokens);
-      
-     // Store tokens in session
-     req.session.googleTokens = tokens;
-      
-     const projectId = req.session.syncProjectId;
-     if (projectId) {
-       res.redirect(`/sync-doc/${projectId}`);
-     } else {
-       res.redirect('/dashboard');
-     }
-   } catch (error) {
-     console.error('Error retrieving access token', error);
+     res.render('trash', {
+       username: req.session.username,
+       projects: await listTrashedProjects(db, req.session.userId, TRASH_RETENTION_DAYS),
+       retentionDays: TRASH_RETENTION_DAYS
+     });
+   } catch (err) {
+     console.error('Trash page error:', err);
      res.redirect('/dashboard');
    }
  });
  
- // 3. Sync Route
- app.get('/sync-doc/:id', async (req, res) => {
-   const projectId = parseInt(req.params.id);
-    
-   // Check if we have tokens. If not, auth first.
-   if (!req.session.googleTokens) {
-     return res.redirect(`/auth/google?projectId=${projectId}`);
-   }
-    
+ // Restore a project from the trash
+ app.post('/trash/:id/restore', async (req, res) => {
    try {
-     // Get Project Doc ID from DB
-     const projectResult = await db.query(
-       'SELECT google_doc_id FROM Project WHERE project_id = $1 AND user_id = $2',
-       [projectId, req.session.userId]
-     );
-      
-     if (projectResult.rows.length === 0 || !projectResult.rows[0].google_doc_id) {
-       console.log('No Google Doc linked');
-       return res.redirect('/dashboard');
-     }
- 
-     const docId = projectResult.rows[0].google_doc_id;
- 
-     // Fetch from Google
-     oauth2Client.setCredentials(req.session.googleTokens);
-     const docs = google.docs({ version: 'v1', auth: oauth2Client });
-     const doc = await docs.documents.get({ documentId: docId });
- 
-     // Calculate Word Count
-     const wordCount = countGoogleDocWords(doc.data.body.content);
+     await restoreProject(db, req.session.userId, parseInt(req.params.id), auditActor(req));
+   } catch (err) {
+     console.error('Restore project error:', err);
+   }
+   res.redirect('/trash');
+ });
  
-     // Update Progress Log
-     const lastLog = await db.query(
-       `SELECT total_words FROM ProgressLog WHERE project_id = $1 ORDER BY log_date DESC LIMIT 1`,
-       [projectId]
-     );
+ // Delete a trashed project for good
+ app.post('/trash/:id/purge', async (req, res) => {
+   try {
+     await purgeProject(db, req.session.userId, parseInt(req.params.id), auditActor(req));
+   } catch (err) {
+     console.error('Purge project error:', err);
+   }
+   res.redirect('/trash');
+ });
  
-     const previousTotal = lastLog.rows.length > 0 ? lastLog.rows[0].total_words : 0;
-      
-     // Only update if count has changed
-     if (wordCount !== previousTotal) {
-       const diff = wordCount - previousTotal;
-       await db.query(
-         `INSERT INTO ProgressLog (project_id, word_count, total_words, log_date)
-          VALUES ($1, $2, $3, CURRENT_TIMESTAMP)`,
-         [projectId, diff, wordCount]
-       );
-     }
+ // ============ GOAL ROUTES ============
+ 
+ // Look up a project the current user is a member of, or null. `access` is what they're about
+ // to do with it (view, write or manage - see lib/members); if their role doesn't allow that,
+ // it's as if the project weren't theirs.
+ async function findProject(projectId, req, access = 'view') {
+   const result = await db.query(
+     projectSummarySql('AND p.project_id = $3'),
+     [req.session.userId, userTimeZone(req), projectId]
+   );
+   const project = result.rows[0];
+   return project && hasAccess(project.role, access) ? withAccess(project) : null;
+ }
  
-     console.log(`Synced Project ${projectId}: ${wordCount} words.`);
-     res.redirect('/dashboard');
+ async function renderGoalsPage(req, res, project, error_message) {
+   const timeZone = userTimeZone(req);
+   await closeFinishedSprints(db, [project.id]);
+   const goals = await db.query(
+     goalProgressSql('AND g.project_id = $3'),
+     [req.session.userId, timeZone, project.id]
+   );
+   const today = todayIn(timeZone);
+ 
+   res.render('goals', {
+     username: req.session.username,
+     project,
+     activeGoals: goals.rows.filter(g => g.is_active),
+     pastGoals: goals.rows.filter(g => !g.is_active),
+     goalTypes: GOAL_TYPES,
+     today,
+     error_message
+   });
+ }
  
+ // Goal management page (GET)
+ app.get('/goals/:id', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   try {
+     const project = await findProject(projectId, req);
+     if (!project) return res.redirect('/dashboard');
+     await renderGoalsPage(req, res, project, null);
    } catch (err) {
-     console.error('Sync Error:', err);
-     // If token expired (401), force re-auth
-     if (err.code === 401) return res.redirect(`/auth/google?projectId=${projectId}`);
+     console.error('Goals page error:', err);
      res.redirect('/dashboard');
    }
  });
  
- // ============ WORD LOGGING ROUTES ============
- 
- // Project-specific word logging page (GET)
- app.get('/log-words/:id', async (req, res) => {
+ // Add a goal (POST)
+ app.post('/goals/:id', async (req, res) => {
    const projectId = parseInt(req.params.id);
-   
+   const { goalType, targetValue, startDate, endDate } = req.body;
+ 
    try {
-     const result = await db.query(
-       `SELECT p.project_id AS id, p.title, p.genre,
-               COALESCE(pl.total_words, 0) AS current_words,
-               COALESCE(g.target_value, 50000) AS target_words,
-               1000 AS daily_goal
+     const project = await findProject(projectId, req, 'manage');
+     if (!project) return res.redirect('/dashboard');
  
+     const goal = { goalType, targetValue, startDate: startDate || todayIn(userTimeZone(req)), endDate };
+     const error = validateGoal(goal);
+     if (error) return renderGoalsPage(req, res, project, error);
+ 
+     await addGoal(db, projectId, goal);
+ 
+     res.redirect(`/goals/${projectId}`);
+   } catch (err) {
+     console.error('Add goal error:', err);
+     res.redirect(`/goals/${projectId}`);
+   }
+ });
+ 
+ // Close a goal as completed or retired (POST). The main total_words goal can't be closed here.
+ app.post('/goals/:id/:goalId/:action', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   const goalId = parseInt(req.params.goalId);
+   const outcome = { complete: 'completed', retire: 'retired' }[req.params.action];
+   if (!outcome) return res.redirect(`/goals/${projectId}`);
+ 
+   try {
+     await db.query(
+       `UPDATE Goal g
+        SET is_active = false, outcome = $1, ended_at = CURRENT_TIMESTAMP
         FROM Project p
-        LEFT JOIN LATERAL (
-          SELECT total_words
-          FROM ProgressLog
-          WHERE project_id = p.project_id
-          ORDER BY log_date DESC
-          LIMIT 1
-        ) pl ON true
-        LEFT JOIN Goal g ON g.project_id = p.project_id
-          AND g.is_active = true
-          AND g.goal_type = 'total_words'
-        WHERE p.project_id = $1 AND p.user_id = $2`,
-       [projectId, req.session.userId]
+        WHERE g.goal_id = $2 AND g.project_id = $3 AND g.goal_type <> 'total_words' AND g.is_active = true
+          AND p.project_id = g.project_id AND p.user_id = $4 AND p.deleted_at IS NULL`,
+       [outcome, goalId, projectId, req.session.userId]
      );
+   } catch (err) {
+     console.error('Close goal error:', err);
+   }
+   res.redirect(`/goals/${projectId}`);
+ });
  
-     if (result.rows.length === 0) {
+ // ============ DOCUMENT SYNC & GOOGLE AUTH ROUTES ============
+ 
+ // 1. Start Google Login flow
+ app.get('/auth/google', (req, res) => {
+   if (!hasEncryptionKey()) return res.redirect('/account');
+   // Store the project ID they are trying to sync in the session
+   if (req.query.projectId) req.session.syncProjectId = req.query.projectId;
+   res.redirect(googleAuthUrl());
+ });
+ 
+ // 2. Google Callback - keeps the refresh token so docs can be synced in the background
+ app.get('/auth/google/callback', async (req, res) => {
+   const { code } = req.query;
+   if (!req.session.isLoggedIn) return res.redirect('/');
+ 
+   try {
+     const stored = await connectGoogleAccount(db, req.session.userId, code);
+     if (!stored) {
+       console.error(`Google did not return a refresh token for ${req.session.username}`);
+       return res.redirect('/dashboard');
+     }
+     console.log(`🔗 ${req.session.username} connected Google Docs`);
+      
+     const projectId = req.session.syncProjectId;
+     delete req.session.syncProjectId;
+     if (projectId) {
+       res.redirect(`/sync-doc/${projectId}`);
+     } else {
+       res.redirect('/account');
+     }
+   } catch (error) {
+     console.error('Error retrieving access token', error);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // Look up one of the user's projects that has a document source, or null
+ async function findSyncableProject(projectId, req) {
+   const result = await db.query(
+     `SELECT p.project_id, p.user_id, p.source_type, p.source_locator, p.count_exclusions FROM Project p
+      INNER JOIN ProjectMember m ON m.project_id = p.project_id AND m.user_id = $2 AND m.role <> 'viewer'
+      WHERE p.project_id = $1 AND p.source_type IS NOT NULL AND p.deleted_at IS NULL`,
+     [projectId, req.session.userId]
+   );
+   return result.rows[0] || null;
+ }
+ 
+ // 3. Sync Route - the same sync the scheduler runs, on demand
+ app.get('/sync-doc/:id', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+    
+   try {
+     const project = await findSyncableProject(projectId, req);
+     if (!project) {
+       console.log('No document source linked');
+       return res.redirect('/dashboard');
+     }
+ 
+     const outcome = await syncProject(db, project);
+ 
+     // Not connected (or access was revoked), so send them to sign in with the source. Documents
+     // are read through the owner's account, so co-authors can only wait for the owner to do that.
+     const { authPath } = getSource(project.source_type);
+     if (outcome.status === 'auth_required' && authPath && project.user_id === req.session.userId) {
+       return res.redirect(`${authPath}?projectId=${projectId}`);
+     }
+     if (outcome.status === 'synced') {
+       console.log(`Synced Project ${projectId}: ${outcome.total} words.`);
+     }
+     res.redirect('/dashboard');
+ 
+   } catch (err) {
+     console.error('Sync Error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // 4. Upload a new version of an uploaded document (.docx) and sync it
+ app.post('/sync-doc/:id/upload', acceptUpload('sourceFile'), async (req, res) => {
+   const projectId = parseInt(req.params.id);
+ 
+   try {
+     const project = await findSyncableProject(projectId, req);
+     if (!project || !req.file) return res.redirect('/dashboard');
+ 
+     const source = parseSource(project.source_type, null, req.file, project);
+     if (source.error || !getSource(project.source_type).storeUpload) return res.redirect('/dashboard');
+ 
+     await getSource(project.source_type).storeUpload(projectId, req.file.buffer);
+     await db.query('UPDATE Project SET source_locator = $1 WHERE project_id = $2', [source.sourceLocator, projectId]);
+     await syncProject(db, { ...project, source_locator: source.sourceLocator });
+     res.redirect('/dashboard');
+   } catch (err) {
+     console.error('Upload sync error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // ============ CHAPTER ROUTES ============
+ 
+ async function renderChapters(req, res, project, error_message) {
+   const sections = await listSections(db, project.id);
+   const result = await db.query('SELECT sections_changed_at FROM Project WHERE project_id = $1', [project.id]);
+   res.render('chapters', {
+     username: req.session.username,
+     project,
+     sections,
+     changedAt: result.rows[0].sections_changed_at,
+     error_message
+   });
+ }
+ 
+ // Words per chapter of a synced document, and which chapters the last sync changed
+ app.get('/chapters/:id', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   try {
+     const project = await findProject(projectId, req);
+     if (!project) return res.redirect('/dashboard');
+     await renderChapters(req, res, project, null);
+   } catch (err) {
+     console.error('Chapters error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // Set or clear a chapter's target (POST)
+ app.post('/chapters/:id/:sectionId', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   const target = (req.body.targetWords || '').trim();
+   try {
+     const project = await findProject(projectId, req, 'manage');
+     if (!project) return res.redirect('/dashboard');
+     if (target && !(parseInt(target) > 0)) {
+       return renderChapters(req, res, project, 'Chapter targets must be a positive number.');
+     }
+ 
+     await setSectionTarget(db, projectId, parseInt(req.params.sectionId), target ? parseInt(target) : null);
+     res.redirect(`/chapters/${projectId}`);
+   } catch (err) {
+     console.error('Chapter target error:', err);
+     res.redirect(`/chapters/${projectId}`);
+   }
+ });
+ 
+ // ============ WORD LOGGING ROUTES ============
+ 
+ // Project-specific word logging page (GET)
+ app.get('/log-words/:id', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   
+   try {
+     const project = await findProject(projectId, req, 'write');
+     if (!project) {
        return res.redirect('/dashboard');
      }
  
      res.render('log-words', {
        username: req.session.username,
-       project: result.rows[0],
+       project,
        error_message: null,
        success_message: null
      });
@@ -572,136 +1185,1069 @@
    const { text, manual_count } = req.body;
    
    try {
+     const project = await findProject(projectId, req, 'write');
+     if (!project) return res.redirect('/dashboard');
+ 
      // Calculate word count
      let wordCount = 0;
      if (manual_count && parseInt(manual_count) > 0) {
        wordCount = parseInt(manual_count);
-     } else if (text && text.trim()) {
-       wordCount = text.trim().split(/\s+/).length;
+     } else if (text) {
+       wordCount = countWords(text, { format: 'markdown', exclude: project.count_exclusions });
      }
  
      if (wordCount === 0) {
-       const project = await db.query(
-         `SELECT p.project_id AS id, p.title, p.genre,
-                 COALESCE(pl.total_words, 0) AS current_words,
-                 COALESCE(g.target_value, 50000) AS target_words,
-                 1000 AS daily_goal
- 
-          FROM Project p
-          LEFT JOIN LATERAL (
-            SELECT total_words FROM ProgressLog
-            WHERE project_id = p.project_id
-            ORDER BY log_date DESC LIMIT 1
-          ) pl ON true
-          LEFT JOIN Goal g ON g.project_id = p.project_id
-            AND g.is_active = true AND g.goal_type = 'total_words'
-          WHERE p.project_id = $1 AND p.user_id = $2`,
-         [projectId, req.session.userId]
-       );
-       
        return res.render('log-words', {
          username: req.session.username,
-         project: project.rows[0],
+         project,
          error_message: 'Please enter text or a word count',
          success_message: null
        });
      }
  
-     // Get current total for the project
-     const lastLog = await db.query(
-       `SELECT total_words FROM ProgressLog
-        WHERE project_id = $1 ORDER BY log_date DESC LIMIT 1`,
-       [projectId]
-     );
+     const log = await addWords(db, projectId, req.session.userId, wordCount);
+ 
+     console.log(`✅ Logged ${wordCount} words for project ${projectId}. New total: ${log.total_words}`);
+     res.redirect('/dashboard');
+   } catch (err) {
+     console.error('Log submission error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // Statistics page - the charts load their data from /stats/data
+ app.get('/stats', async (req, res) => {
+   try {
+     const result = await db.query(
+       `SELECT p.project_id AS id, p.title FROM Project p
+        INNER JOIN ProjectMember m ON m.project_id = p.project_id AND m.user_id = $1
+        WHERE p.deleted_at IS NULL ORDER BY p.start_date DESC`,
+       [req.session.userId]
+     );
+     res.render('stats', { username: req.session.username, projects: result.rows });
+   } catch (err) {
+     console.error('Stats error:', err);
+     res.render('stats', { username: req.session.username, projects: [] });
+   }
+ });
+ 
+ // Goals without a deadline are paced as if the writer hits the daily target every day from the start
+ function paceDeadline(project) {
+   if (!project.goal_start_date) return null;
+   return addDays(project.goal_start_date, Math.ceil(project.target_words / project.daily_goal));
+ }
+ 
+ const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+ 
+ // Statistics data (JSON) - cumulative words per day for each project plus its on-pace line
+ // Query: from/to (YYYY-MM-DD, optional) and projects (comma-separated ids, optional)
+ app.get('/stats/data', async (req, res) => {
+   const { from, to } = req.query;
+   const timeZone = userTimeZone(req);
+ 
+   if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+     return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+   }
+   const projectIds = req.query.projects
+     ? String(req.query.projects).split(',').map(id => parseInt(id)).filter(id => !isNaN(id))
+     : null;
+ 
+   try {
+     const projectResult = await db.query(
+       projectSummarySql('AND ($3::int[] IS NULL OR p.project_id = ANY($3))'),
+       [req.session.userId, timeZone, projectIds]
+     );
+ 
+     // Last running total of each local day, per project
+     const seriesResult = await db.query(
+       `SELECT DISTINCT ON (d.project_id, d.day) d.project_id, d.day, d.total_words
+        FROM (
+          SELECT pl.project_id, pl.total_words, pl.log_date,
+                 to_char(${localDaySql('pl.log_date')}, 'YYYY-MM-DD') AS day
+          FROM ProgressLog pl
+          INNER JOIN Project p ON p.project_id = pl.project_id
+          INNER JOIN ProjectMember m ON m.project_id = p.project_id AND m.user_id = $1
+          WHERE p.deleted_at IS NULL
+            AND ($3::int[] IS NULL OR p.project_id = ANY($3))
+        ) d
+        WHERE ($4::text IS NULL OR d.day >= $4) AND ($5::text IS NULL OR d.day <= $5)
+        ORDER BY d.project_id, d.day, d.log_date DESC`,
+       [req.session.userId, timeZone, projectIds, from || null, to || null]
+     );
+ 
+     const seriesByProject = new Map();
+     seriesResult.rows.forEach(row => {
+       if (!seriesByProject.has(row.project_id)) seriesByProject.set(row.project_id, []);
+       seriesByProject.get(row.project_id).push({ date: row.day, total: row.total_words });
+     });
+ 
+     const today = todayIn(timeZone);
+     res.json({
+       from: from || null,
+       to: to || null,
+       projects: projectResult.rows.map(project => {
+         const deadline = project.deadline || paceDeadline(project);
+         return {
+           id: project.id,
+           title: project.title,
+           currentWords: project.current_words,
+           targetWords: project.target_words,
+           startDate: project.goal_start_date,
+           deadline,
+           hasDeadline: Boolean(project.deadline),
+           forecast: withForecast(project, today).forecast,
+           series: seriesByProject.get(project.id) || [],
+           pace: deadline
+             ? [{ date: project.goal_start_date, total: 0 }, { date: deadline, total: project.target_words }]
+             : []
+         };
+       })
+     });
+   } catch (err) {
+     console.error('Stats data error:', err);
+     res.status(500).json({ error: 'Could not load statistics' });
+   }
+ });
+ 
+ // Per-project writing history: calendar heatmap, streaks and averages
+ app.get('/history/:id', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   const timeZone = userTimeZone(req);
+ 
+   try {
+     const project = await findProject(projectId, req);
+     if (!project) return res.redirect('/dashboard');
+ 
+     const daysResult = await db.query(
+       `SELECT to_char(${localDaySql()}, 'YYYY-MM-DD') AS day,
+               SUM(word_count)::int AS words
+        FROM ProgressLog
+        WHERE project_id = $1
+        GROUP BY 1
+        ORDER BY 1`,
+       [projectId, timeZone]
+     );
+ 
+     res.render('history', {
+       username: req.session.username,
+       project,
+       history: summarizeHistory(daysResult.rows, project.daily_goal, todayIn(timeZone))
+     });
+   } catch (err) {
+     console.error('History error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // ============ SPRINT ROUTES ============
+ 
+ async function renderSprintPage(req, res, project, error_message) {
+   let sprint = await findRunningSprint(db, req.session.userId, project.id);
+   if (sprint && await closeIfExpired(db, req.session.userId, sprint)) {
+     req.session.sprintResult = { expired: true };
+     sprint = null;
+   }
+   const result = req.session.sprintResult || null;
+   delete req.session.sprintResult;
+ 
+   const history = await sprintHistory(db, req.session.userId, project.id);
+   res.render('sprint', {
+     username: req.session.username,
+     project,
+     sprint,
+     result,
+     history,
+     stats: summarizeSprints(history),
+     durations: SPRINT_DURATIONS,
+     maxMinutes: MAX_SPRINT_MINUTES,
+     error_message
+   });
+ }
+ 
+ // Sprint page (GET) - the setup form, or the running sprint's timer and writing area
+ app.get('/sprint/:id', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   try {
+     const project = await findProject(projectId, req, 'write');
+     if (!project) return res.redirect('/dashboard');
+     await renderSprintPage(req, res, project, null);
+   } catch (err) {
+     console.error('Sprint page error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // Start a sprint (POST)
+ app.post('/sprint/:id', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   // The custom length box is only used when "custom" is picked
+   const minutes = req.body.minutes === 'custom' ? req.body.customMinutes : req.body.minutes;
+   const fields = { minutes, wordTarget: req.body.wordTarget };
+ 
+   try {
+     const project = await findProject(projectId, req, 'write');
+     if (!project) return res.redirect('/dashboard');
+     const error = validateSprint(fields);
+     if (error) return renderSprintPage(req, res, project, error);
+ 
+     await startSprint(db, req.session.userId, projectId, fields);
+     res.redirect(`/sprint/${projectId}`);
+   } catch (err) {
+     console.error('Start sprint error:', err);
+     res.redirect(`/sprint/${projectId}`);
+   }
+ });
+ 
+ // Autosave the draft (JSON, called from the sprint page)
+ app.post('/sprint/:id/:sprintId/draft', async (req, res) => {
+   const text = typeof req.body.text === 'string' ? req.body.text : '';
+   try {
+     const saved = await saveDraft(db, req.session.userId, parseInt(req.params.sprintId), text);
+     if (!saved) return res.status(409).json({ error: 'This sprint has already ended' });
+     res.json({ savedAt: new Date().toISOString() });
+   } catch (err) {
+     console.error('Sprint autosave error:', err);
+     res.status(500).json({ error: 'Could not save the draft' });
+   }
+ });
+ 
+ // End a sprint and log its words (POST) - sent by the timer, or by "Finish now"
+ app.post('/sprint/:id/:sprintId/finish', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   const text = typeof req.body.text === 'string' ? req.body.text : null;
+   try {
+     const sprint = await finishSprint(db, req.session.userId, parseInt(req.params.sprintId), text);
+     if (sprint) {
+       req.session.sprintResult = {
+         words: sprint.words_written,
+         seconds: sprint.elapsed_seconds,
+         target: sprint.word_target,
+         text: sprint.draft_text
+       };
+       console.log(`⏱️ Sprint on project ${sprint.project_id}: ${sprint.words_written} words in ${sprint.elapsed_seconds}s`);
+     }
+   } catch (err) {
+     console.error('Finish sprint error:', err);
+   }
+   res.redirect(`/sprint/${projectId}`);
+ });
+ 
+ // Give up on a sprint without logging anything (POST)
+ app.post('/sprint/:id/:sprintId/abandon', async (req, res) => {
+   try {
+     await abandonSprint(db, req.session.userId, parseInt(req.params.sprintId));
+   } catch (err) {
+     console.error('Abandon sprint error:', err);
+   }
+   res.redirect(`/sprint/${parseInt(req.params.id)}`);
+ });
+ 
+ // ============ WORD WAR ROUTES ============
+ 
+ // The projects the user can log words on, for picking where their words are credited
+ async function warProjectOptions(userId) {
+   const result = await db.query(
+     `SELECT p.project_id AS id, p.title FROM Project p
+      INNER JOIN ProjectMember m ON m.project_id = p.project_id AND m.user_id = $1 AND m.role <> 'viewer'
+      WHERE p.deleted_at IS NULL ORDER BY p.start_date DESC`,
+     [userId]
+   );
+   return result.rows;
+ }
+ 
+ async function renderWarsPage(req, res, error_message) {
+   res.render('wars', {
+     username: req.session.username,
+     projects: await warProjectOptions(req.session.userId),
+     history: await warHistory(db, req.session.userId),
+     durations: WAR_DURATIONS,
+     maxMinutes: MAX_WAR_MINUTES,
+     code: normalizeCode(req.body && req.body.code),
+     error_message
+   });
+ }
+ 
+ // Word wars page (GET) - create a war, join one by code, and past results
+ app.get('/wars', async (req, res) => {
+   try {
+     await renderWarsPage(req, res, null);
+   } catch (err) {
+     console.error('Word wars page error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // Create a war (POST)
+ app.post('/wars', async (req, res) => {
+   const minutes = req.body.minutes === 'custom' ? req.body.customMinutes : req.body.minutes;
+   const fields = { title: req.body.title || '', minutes, projectId: parseInt(req.body.projectId) };
+   try {
+     const error = validateWar(fields);
+     if (error) return renderWarsPage(req, res, error);
+     if (!(await findProject(fields.projectId, req, 'write'))) {
+       return renderWarsPage(req, res, 'Please pick one of your projects.');
+     }
+ 
+     const code = await createWar(db, req.session.userId, fields);
+     console.log(`⚔️ Word war ${code} created by ${req.session.username}`);
+     res.redirect(`/wars/${code}`);
+   } catch (err) {
+     console.error('Create word war error:', err);
+     renderWarsPage(req, res, 'Could not create the war. Please try again.');
+   }
+ });
+ 
+ // Join a war by its code, or switch projects in one already joined (POST)
+ app.post('/wars/join', async (req, res) => {
+   try {
+     const war = await findWar(db, req.body.code);
+     if (!war || war.status === 'cancelled') {
+       return renderWarsPage(req, res, 'There is no war with that code.');
+     }
+     if (war.status === 'finished') {
+       return renderWarsPage(req, res, 'That war has already finished.');
+     }
+     if (!(await joinWar(db, war.war_id, req.session.userId, parseInt(req.body.projectId)))) {
+       return renderWarsPage(req, res, 'Please pick one of your projects.');
+     }
+ 
+     await publishBoard(db, war.war_id);
+     res.redirect(`/wars/${war.code}`);
+   } catch (err) {
+     console.error('Join word war error:', err);
+     renderWarsPage(req, res, 'Could not join the war. Please try again.');
+   }
+ });
+ 
+ // A war (GET) - the lobby, the writing area while it runs, or the results
+ app.get('/wars/:code', async (req, res) => {
+   try {
+     let war = await findWar(db, req.params.code);
+     if (!war || war.status === 'cancelled') return res.redirect('/wars');
+     if (await closeIfOver(db, war)) war = await findWar(db, war.code);
+ 
+     const participant = await findParticipant(db, war.war_id, req.session.userId);
+     res.render('war', {
+       username: req.session.username,
+       war,
+       participant,
+       isCreator: war.created_by === req.session.userId,
+       board: await warBoard(db, war.war_id),
+       // Anyone with the link who hasn't joined yet gets the join form
+       projects: participant ? [] : await warProjectOptions(req.session.userId)
+     });
+   } catch (err) {
+     console.error('Word war page error:', err);
+     res.redirect('/wars');
+   }
+ });
+ 
+ // Live leaderboard (Server-Sent Events) for everyone in the war
+ app.get('/wars/:code/events', async (req, res) => {
+   try {
+     const war = await findWar(db, req.params.code);
+     if (!war || !(await findParticipant(db, war.war_id, req.session.userId))) {
+       return res.status(404).end();
+     }
+ 
+     res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+     res.flushHeaders();
+     const send = board => res.write(`data: ${JSON.stringify(board)}\n\n`);
+     const unsubscribe = subscribeToWar(war.war_id, send);
+     // Comments keep proxies from closing an idle stream
+     const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+     req.on('close', () => {
+       clearInterval(heartbeat);
+       unsubscribe();
+     });
+     send(await warBoard(db, war.war_id));
+   } catch (err) {
+     console.error('Word war events error:', err);
+     res.end();
+   }
+ });
+ 
+ // Start the countdown (POST) - creator only
+ app.post('/wars/:code/start', async (req, res) => {
+   try {
+     const war = await findWar(db, req.params.code);
+     if (war && war.created_by === req.session.userId && await startWar(db, war.war_id)) {
+       scheduleWarEnd(db, await findWar(db, war.code));
+       await publishBoard(db, war.war_id);
+       console.log(`⚔️ Word war ${war.code} started`);
+     }
+   } catch (err) {
+     console.error('Start word war error:', err);
+   }
+   res.redirect(`/wars/${normalizeCode(req.params.code)}`);
+ });
+ 
+ // Call off a war that hasn't started (POST) - creator only
+ app.post('/wars/:code/cancel', async (req, res) => {
+   try {
+     const war = await findWar(db, req.params.code);
+     if (war && war.created_by === req.session.userId && await cancelWar(db, war.war_id)) {
+       await publishBoard(db, war.war_id);
+     }
+   } catch (err) {
+     console.error('Cancel word war error:', err);
+   }
+   res.redirect('/wars');
+ });
+ 
+ // Leave a war before it starts (POST)
+ app.post('/wars/:code/leave', async (req, res) => {
+   try {
+     const war = await findWar(db, req.params.code);
+     if (war) {
+       await leaveWar(db, war.war_id, req.session.userId);
+       await publishBoard(db, war.war_id);
+     }
+   } catch (err) {
+     console.error('Leave word war error:', err);
+   }
+   res.redirect('/wars');
+ });
+ 
+ // Save the draft and update the leaderboard (JSON, called from the war page)
+ app.post('/wars/:code/words', async (req, res) => {
+   const text = typeof req.body.text === 'string' ? req.body.text : '';
+   try {
+     const war = await findWar(db, req.params.code);
+     const words = war ? await recordWords(db, war.war_id, req.session.userId, text) : null;
+     if (words === null) return res.status(409).json({ error: 'This war is not running' });
+ 
+     await publishBoard(db, war.war_id);
+     res.json({ words });
+   } catch (err) {
+     console.error('Word war save error:', err);
+     res.status(500).json({ error: 'Could not save your words' });
+   }
+ });
+ 
+ // ============ LOG ENTRY ROUTES ============
+ 
+ const LOG_PAGE_SIZE = 100;
+ 
+ // Owners can correct any entry; co-authors only the ones they logged
+ function canEditEntry(project, entry, req) {
+   return project.canManage || (project.canWrite && entry.user_id === req.session.userId);
+ }
+ 
+ // Every log entry of a project, newest first, one page at a time
+ async function renderLogEntries(req, res, project, error_message) {
+   const timeZone = userTimeZone(req);
+   const page = Math.max(1, parseInt(req.query.page) || 1);
+   const result = await db.query(
+     `SELECT pl.log_id, pl.user_id, u.username AS author, pl.word_count, pl.total_words, pl.log_date,
+             to_char(${localDaySql('pl.log_date')}, 'YYYY-MM-DD') AS day,
+             to_char(pl.log_date AT TIME ZONE 'UTC' AT TIME ZONE $2, 'HH24:MI') AS time
+      FROM ProgressLog pl
+      LEFT JOIN "users" u ON u.user_id = pl.user_id
+      WHERE pl.project_id = $1
+      ORDER BY pl.log_date DESC, pl.log_id DESC
+      LIMIT ${LOG_PAGE_SIZE + 1} OFFSET $3`,
+     [project.id, timeZone, (page - 1) * LOG_PAGE_SIZE]
+   );
+ 
+   res.render('log-entries', {
+     username: req.session.username,
+     project,
+     entries: result.rows.slice(0, LOG_PAGE_SIZE).map(entry => ({ ...entry, editable: canEditEntry(project, entry, req) })),
+     page,
+     hasMore: result.rows.length > LOG_PAGE_SIZE,
+     today: todayIn(timeZone),
+     error_message
+   });
+ }
+ 
+ // Check a submitted entry. Returns an error message, or null when it's fine.
+ function validateEntry(words, day, today) {
+   if (!/^-?\d+$/.test(String(words).trim())) return 'Words must be a whole number.';
+   if (!DATE_PATTERN.test(day || '')) return 'Please pick a date.';
+   if (day > today) return 'Entries can\'t be dated in the future.';
+   return null;
+ }
+ 
+ // Log entries page (GET)
+ app.get('/history/:id/entries', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   try {
+     const project = await findProject(projectId, req);
+     if (!project) return res.redirect('/dashboard');
+     await renderLogEntries(req, res, project, null);
+   } catch (err) {
+     console.error('Log entries error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // Add a back-dated entry (POST)
+ app.post('/history/:id/entries', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   const { words, day } = req.body;
+   const timeZone = userTimeZone(req);
+ 
+   try {
+     const project = await findProject(projectId, req, 'write');
+     if (!project) return res.redirect('/dashboard');
+     const error = validateEntry(words, day, todayIn(timeZone));
+     if (error) return renderLogEntries(req, res, project, error);
+ 
+     await db.transaction(async (client) => {
+       const entry = await addEntry(client, projectId, req.session.userId, parseInt(words), day, timeZone);
+       await recordAudit(client, auditActor(req), {
+         action: 'project.log_add',
+         entityType: 'project',
+         entityId: projectId,
+         entityLabel: project.title,
+         after: { log_id: entry.log_id, day: entry.day, word_count: entry.word_count }
+       });
+     });
+     res.redirect(`/history/${projectId}/entries`);
+   } catch (err) {
+     console.error('Add log entry error:', err);
+     res.redirect(`/history/${projectId}/entries`);
+   }
+ });
+ 
+ // Edit an entry (POST). Either the words added or the total after the entry can be changed;
+ // a new total is turned back into words added.
+ app.post('/history/:id/entries/:logId', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   const logId = parseInt(req.params.logId);
+   const { words, total, day } = req.body;
+   const timeZone = userTimeZone(req);
+ 
+   try {
+     const project = await findProject(projectId, req, 'write');
+     if (!project) return res.redirect('/dashboard');
+     const entry = await findEntry(db, projectId, logId, timeZone);
+     if (!entry || !canEditEntry(project, entry, req)) return res.redirect(`/history/${projectId}/entries`);
+ 
+     let newWords = words;
+     if (total !== undefined && String(total).trim() !== '' && parseInt(total) !== entry.total_words) {
+       newWords = parseInt(total) - (entry.total_words - entry.word_count);
+     }
+     const error = validateEntry(newWords, day, todayIn(timeZone));
+     if (error) return renderLogEntries(req, res, project, error);
+ 
+     await db.transaction(async (client) => {
+       await updateEntry(client, projectId, logId, parseInt(newWords), day, timeZone);
+       await recordAudit(client, auditActor(req), {
+         action: 'project.log_edit',
+         entityType: 'project',
+         entityId: projectId,
+         entityLabel: project.title,
+         before: { log_id: logId, day: entry.day, word_count: entry.word_count },
+         after: { log_id: logId, day, word_count: parseInt(newWords) }
+       });
+     });
+     res.redirect(`/history/${projectId}/entries`);
+   } catch (err) {
+     console.error('Edit log entry error:', err);
+     res.redirect(`/history/${projectId}/entries`);
+   }
+ });
+ 
+ // Delete an entry (POST)
+ app.post('/history/:id/entries/:logId/delete', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   const logId = parseInt(req.params.logId);
+ 
+   try {
+     const project = await findProject(projectId, req, 'write');
+     if (!project) return res.redirect('/dashboard');
+     const entry = await findEntry(db, projectId, logId, userTimeZone(req));
+     if (!entry || !canEditEntry(project, entry, req)) return res.redirect(`/history/${projectId}/entries`);
+ 
+     await db.transaction(async (client) => {
+       await deleteEntry(client, projectId, logId);
+       await recordAudit(client, auditActor(req), {
+         action: 'project.log_delete',
+         entityType: 'project',
+         entityId: projectId,
+         entityLabel: project.title,
+         before: { log_id: logId, day: entry.day, word_count: entry.word_count, total_words: entry.total_words }
+       });
+     });
+   } catch (err) {
+     console.error('Delete log entry error:', err);
+   }
+   res.redirect(`/history/${projectId}/entries`);
+ });
+ 
+ // ============ MEMBER ROUTES ============
+ 
+ // Who's on a project and how many words each author has logged. Owners invite and remove
+ // members here; everyone else can leave.
+ async function renderMembers(req, res, project, error_message, form = {}) {
+   res.render('members', {
+     username: req.session.username,
+     userId: req.session.userId,
+     project,
+     members: await listMembers(db, project.id),
+     contributions: await authorTotals(db, project.id),
+     roles: PROJECT_ROLES,
+     invitableRoles: INVITABLE_ROLES,
+     form,
+     error_message
+   });
+ }
+ 
+ // Members page (GET)
+ app.get('/members/:id', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   try {
+     const project = await findProject(projectId, req);
+     if (!project) return res.redirect('/dashboard');
+     await renderMembers(req, res, project, null);
+   } catch (err) {
+     console.error('Members page error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // Invite someone with an account here as a co-author or viewer (POST)
+ app.post('/members/:id', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   const identifier = (req.body.identifier || '').trim();
+   const { role } = req.body;
+ 
+   try {
+     const project = await findProject(projectId, req, 'manage');
+     if (!project) return res.redirect('/dashboard');
+     const form = { identifier, role };
+ 
+     if (!identifier) {
+       return renderMembers(req, res, project, 'Enter the username or email of the person to invite.', form);
+     }
+     if (!INVITABLE_ROLES.includes(role)) {
+       return renderMembers(req, res, project, 'Please choose a role.', form);
+     }
+     const invitee = await findInvitee(db, identifier);
+     if (!invitee) {
+       return renderMembers(req, res, project, `There's no account with the username or email "${identifier}".`, form);
+     }
+ 
+     const added = await db.transaction(async (client) => {
+       if (!(await addMember(client, projectId, invitee.user_id, role, req.session.userId))) return false;
+       await recordAudit(client, auditActor(req), {
+         action: 'project.member_add',
+         entityType: 'project',
+         entityId: projectId,
+         entityLabel: project.title,
+         after: { member: invitee.username, role }
+       });
+       return true;
+     });
+     if (!added) {
+       return renderMembers(req, res, project, `${invitee.username} is already a member of this project.`, form);
+     }
+ 
+     if (invitee.email) {
+       await mailer.send({
+         to: invitee.email,
+         subject: `You've been added to "${project.title}"`,
+         text: `Hi ${invitee.first_name || invitee.username},\n\n` +
+           `${req.session.firstName || req.session.username} added you to "${project.title}" on Word Count Tracker ` +
+           `as a ${PROJECT_ROLES[role].toLowerCase()}. It's on your dashboard now:\n\n${appUrl(req)}/dashboard`
+       }).catch(err => console.error('Member email error:', err));
+     }
+     console.log(`👥 ${req.session.username} added ${invitee.username} to project ${projectId} as ${role}`);
+     res.redirect(`/members/${projectId}`);
+   } catch (err) {
+     console.error('Add member error:', err);
+     res.redirect(`/members/${projectId}`);
+   }
+ });
+ 
+ // Make a co-author a viewer or the other way round (POST)
+ app.post('/members/:id/:userId/role', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   const memberId = parseInt(req.params.userId);
+   const { role } = req.body;
+ 
+   try {
+     const project = await findProject(projectId, req, 'manage');
+     if (!project) return res.redirect('/dashboard');
+     if (!INVITABLE_ROLES.includes(role)) return res.redirect(`/members/${projectId}`);
+ 
+     await db.transaction(async (client) => {
+       const oldRole = await setMemberRole(client, projectId, memberId, role);
+       if (!oldRole) return;
+       await recordAudit(client, auditActor(req), {
+         action: 'project.member_role',
+         entityType: 'project',
+         entityId: projectId,
+         entityLabel: project.title,
+         before: { member_id: memberId, role: oldRole },
+         after: { member_id: memberId, role }
+       });
+     });
+   } catch (err) {
+     console.error('Change member role error:', err);
+   }
+   res.redirect(`/members/${projectId}`);
+ });
+ 
+ // Remove a member (POST). Owners can remove anyone but themselves; members can remove
+ // themselves to leave. The words they logged stay on the project.
+ app.post('/members/:id/:userId/remove', async (req, res) => {
+   const projectId = parseInt(req.params.id);
+   const memberId = parseInt(req.params.userId);
+   const leaving = memberId === req.session.userId;
+ 
+   try {
+     const project = await findProject(projectId, req, leaving ? 'view' : 'manage');
+     if (!project) return res.redirect('/dashboard');
+ 
+     const removed = await db.transaction(async (client) => {
+       const oldRole = await removeMember(client, projectId, memberId);
+       if (!oldRole) return false;
+       await recordAudit(client, auditActor(req), {
+         action: 'project.member_remove',
+         entityType: 'project',
+         entityId: projectId,
+         entityLabel: project.title,
+         before: { member_id: memberId, role: oldRole }
+       });
+       return true;
+     });
+     if (removed && leaving) {
+       console.log(`👥 ${req.session.username} left project ${projectId}`);
+       return res.redirect('/dashboard');
+     }
+   } catch (err) {
+     console.error('Remove member error:', err);
+   }
+   res.redirect(`/members/${projectId}`);
+ });
+ 
+ // ============ MANAGER ROUTES ============
+ 
+ // Team overview (GET) - every writer's recent output, sortable by any column
+ app.get('/team', requireManager, async (req, res) => {
+   const sort = TEAM_SORTS[req.query.sort] ? req.query.sort : 'activity';
+   const dir = req.query.dir === 'asc' ? 'asc' : 'desc';
+   try {
+     const result = await db.query(teamSummarySql(sort, dir));
+     res.render('team', {
+       username: req.session.username,
+       writers: result.rows,
+       sort,
+       dir
+     });
+   } catch (err) {
+     console.error('Team overview error:', err);
+     res.redirect('/dashboard');
+   }
+ });
  
-     const previousTotal = lastLog.rows.length > 0 ? lastLog.rows[0].total_words : 0;
-     const newTotal = previousTotal + wordCount;
+ // Audit trail (GET) - newest first, filtered by the query string
+ const AUDIT_PAGE_SIZE = 200;
  
-     // Insert progress log
-     await db.query(
-       `INSERT INTO ProgressLog (project_id, word_count, total_words, log_date)
-        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)`,
-       [projectId, wordCount, newTotal]
+ app.get('/audit', requireManager, async (req, res) => {
+   const { where, params } = auditFilterSql(req.query);
+   try {
+     const result = await db.query(
+       `SELECT a.* FROM AuditLog a ${where} ORDER BY a.created_at DESC, a.audit_id DESC LIMIT ${AUDIT_PAGE_SIZE + 1}`,
+       params
      );
+     res.render('audit', {
+       username: req.session.username,
+       entries: result.rows.slice(0, AUDIT_PAGE_SIZE),
+       truncated: result.rows.length > AUDIT_PAGE_SIZE,
+       filters: req.query,
+       actions: AUDIT_ACTIONS,
+       entityTypes: ENTITY_TYPES,
+       exportQuery: new URLSearchParams(req.query).toString()
+     });
+   } catch (err) {
+     console.error('Audit log error:', err);
+     res.redirect('/manage-users');
+   }
+ });
  
-     console.log(`✅ Logged ${wordCount} words for project ${projectId}. New total: ${newTotal}`);
-     res.redirect('/dashboard');
+ // Audit trail as CSV, with the same filters and no row limit (GET)
+ app.get('/audit/export', requireManager, async (req, res) => {
+   const { where, params } = auditFilterSql(req.query);
+   try {
+     const result = await db.query(`SELECT a.* FROM AuditLog a ${where} ORDER BY a.created_at, a.audit_id`, params);
+     res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+     res.type('text/csv').send(auditCsv(result.rows));
    } catch (err) {
-     console.error('Log submission error:', err);
-     res.redirect('/dashboard');
+     console.error('Audit export error:', err);
+     res.redirect('/audit');
    }
  });
  
- // Statistics page
- app.get('/stats', async (req, res) => {
+ // One writer's dashboard, read-only (GET)
+ app.get('/team/:userId', requireManager, async (req, res) => {
+   const userId = parseInt(req.params.userId);
    try {
-     const result = await db.query(
-       `SELECT p.title,
-               COALESCE(pl.total_words, 0) AS total_words,
-               COALESCE(g.target_value, 50000) AS goal_words
-        FROM Project p
-        LEFT JOIN LATERAL (
-          SELECT total_words
-          FROM ProgressLog
-          WHERE project_id = p.project_id
-          ORDER BY log_date DESC
-          LIMIT 1
-        ) pl ON true
-        LEFT JOIN Goal g ON g.project_id = p.project_id
-          AND g.is_active = true
-          AND g.goal_type = 'total_words'
-        WHERE p.user_id = $1
-        ORDER BY p.start_date DESC`,
-       [req.session.userId]
+     const userResult = await db.query(
+       'SELECT user_id, username, first_name, last_name, time_zone FROM "users" WHERE user_id = $1 AND deleted_at IS NULL',
+       [userId]
      );
+     if (userResult.rows.length === 0) return res.redirect('/team');
  
-     const projects = result.rows.map(r => r.title);
-     const totalWords = result.rows.map(r => r.total_words);
-     const goalWords = result.rows.map(r => r.goal_words);
+     // Their numbers, in their time zone
+     const writer = userResult.rows[0];
+     const result = await db.query(projectSummarySql("AND p.status <> 'archived'"), [writer.user_id, writer.time_zone]);
+     await attachActiveGoals(result.rows, writer.user_id, writer.time_zone);
+     const today = todayIn(writer.time_zone);
  
-     res.render('stats', {
+     res.render('dashboard', {
        username: req.session.username,
-       projects,
-       totalWords,
-       goalWords
+       projects: result.rows.map(project => withForecast(project, today)),
+       goalTypes: GOAL_TYPES,
+       statuses: PROJECT_STATUSES,
+       isManager: true,
+       writer
      });
    } catch (err) {
-     console.error('Stats error:', err);
-     res.render('stats', {
-       username: req.session.username,
-       projects: [],
-       totalWords: [],
-       goalWords: []
-     });
+     console.error('Team drill-down error:', err);
+     res.redirect('/team');
    }
  });
  
- // ============ MANAGER ROUTES ============
- 
  // Manage Users (GET - list all users)
  app.get('/manage-users', requireManager, async (req, res) => {
    try {
      const result = await db.query(
        `SELECT u.user_id, u.username, u.email, u.first_name, u.last_name, 
-               u.permissions, u.created_at, s.last_login
+               u.permissions, u.created_at, s.last_login, s.locked_until
         FROM "users" u
         LEFT JOIN Security s ON u.user_id = s.user_id
+        WHERE u.deleted_at IS NULL
         ORDER BY u.created_at DESC`
      );
  
+     const invites = await db.query(
+       `SELECT i.invite_id, i.code, i.email, i.created_at, u.username AS created_by_username
+        FROM Invite i
+        LEFT JOIN "users" u ON u.user_id = i.created_by
+        WHERE i.used_at IS NULL AND i.revoked_at IS NULL
+        ORDER BY i.created_at DESC`
+     );
+ 
      res.render('manage-users', {
        username: req.session.username,
-       users: result.rows
+       users: result.rows,
+       deletedUsers: await listTrashedUsers(db, TRASH_RETENTION_DAYS),
+       openSignup: await isOpenSignup(),
+       invites: invites.rows,
+       appUrl: appUrl(req)
      });
    } catch (err) {
      console.error('Manage users error:', err);
      res.render('manage-users', {
        username: req.session.username,
-       users: []
+       users: [],
+       deletedUsers: [],
+       openSignup: true,
+       invites: [],
+       appUrl: appUrl(req)
      });
    }
  });
  
+ // Turn open signup on/off (POST)
+ app.post('/manage-users/signup-mode', requireManager, async (req, res) => {
+   const openSignup = req.body.open_signup === 'true';
+   try {
+     await setSetting('open_signup', openSignup);
+     console.log(`🔧 ${req.session.username} set open signup to ${openSignup}`);
+   } catch (err) {
+     console.error('Signup mode error:', err);
+   }
+   res.redirect('/manage-users');
+ });
+ 
+ // Create an invite (POST) - emailed when an address is given
+ app.post('/manage-users/invites', requireManager, async (req, res) => {
+   const email = (req.body.email || '').trim() || null;
+   const code = randomToken(16);
+ 
+   try {
+     await db.query(
+       'INSERT INTO Invite (code, email, created_by) VALUES ($1, $2, $3)',
+       [code, email, req.session.userId]
+     );
+ 
+     if (email) {
+       await mailer.send({
+         to: email,
+         subject: "You're invited to Word Count Tracker",
+         text: `${req.session.firstName || req.session.username} has invited you to track your writing on Word Count Tracker.\n\n` +
+           `Create your account here:\n\n${appUrl(req)}/register?invite=${code}`
+       });
+     }
+     console.log(`✉️ ${req.session.username} created invite${email ? ` for ${email}` : ''}`);
+   } catch (err) {
+     console.error('Create invite error:', err);
+   }
+   res.redirect('/manage-users');
+ });
+ 
+ // Revoke an unused invite (POST)
+ app.post('/manage-users/invites/:id/revoke', requireManager, async (req, res) => {
+   const inviteId = parseInt(req.params.id);
+   try {
+     await db.query(
+       'UPDATE Invite SET revoked_at = CURRENT_TIMESTAMP WHERE invite_id = $1 AND used_at IS NULL',
+       [inviteId]
+     );
+   } catch (err) {
+     console.error('Revoke invite error:', err);
+   }
+   res.redirect('/manage-users');
+ });
+ 
+ // ---------------- Genres ----------------
+ 
+ async function renderGenres(req, res, error_message) {
+   const genres = await listGenres(db);
+   const counts = await db.query(
+     'SELECT genre, COUNT(*)::int AS count FROM Project WHERE deleted_at IS NULL GROUP BY genre'
+   );
+   const projectCounts = Object.fromEntries(counts.rows.map(row => [row.genre, row.count]));
+   res.render('genres', {
+     username: req.session.username,
+     genres: genres.map(genre => ({ ...genre, projects: projectCounts[genre.name] || 0 })),
+     error_message
+   });
+ }
+ 
+ // The genres writers can choose from
+ app.get('/genres', requireManager, async (req, res) => {
+   try {
+     await renderGenres(req, res, null);
+   } catch (err) {
+     console.error('Genres error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // Add a genre (POST)
+ app.post('/genres', requireManager, async (req, res) => {
+   const name = (req.body.name || '').trim();
+   try {
+     const error = validateGenreName(name);
+     if (error) return await renderGenres(req, res, error);
+     if (!(await addGenre(db, name))) {
+       return await renderGenres(req, res, `There's already a genre called "${name}".`);
+     }
+     console.log(`🏷️ ${req.session.username} added genre ${name}`);
+     res.redirect('/genres');
+   } catch (err) {
+     console.error('Add genre error:', err);
+     res.redirect('/genres');
+   }
+ });
+ 
+ // Rename a genre, and the projects filed under it (POST)
+ app.post('/genres/:id/rename', requireManager, async (req, res) => {
+   const name = (req.body.name || '').trim();
+   try {
+     const error = validateGenreName(name);
+     if (error) return await renderGenres(req, res, error);
+     const oldName = await renameGenre(db, parseInt(req.params.id), name);
+     if (oldName && oldName !== name) {
+       console.log(`🏷️ ${req.session.username} renamed genre ${oldName} to ${name}`);
+     }
+     res.redirect('/genres');
+   } catch (err) {
+     if (err.code === '23505') {
+       return renderGenres(req, res, `There's already a genre called "${name}".`);
+     }
+     console.error('Rename genre error:', err);
+     res.redirect('/genres');
+   }
+ });
+ 
+ // Move a genre up or down the list (POST)
+ app.post('/genres/:id/move', requireManager, async (req, res) => {
+   try {
+     await moveGenre(db, parseInt(req.params.id), req.body.direction === 'up' ? 'up' : 'down');
+   } catch (err) {
+     console.error('Move genre error:', err);
+   }
+   res.redirect('/genres');
+ });
+ 
+ // Take a genre off the list; projects already using it keep it (POST)
+ app.post('/genres/:id/delete', requireManager, async (req, res) => {
+   try {
+     const name = await deleteGenre(db, parseInt(req.params.id));
+     if (name) console.log(`🏷️ ${req.session.username} removed genre ${name}`);
+   } catch (err) {
+     console.error('Delete genre error:', err);
+   }
+   res.redirect('/genres');
+ });
+ 
+ async function renderAchievements(req, res, error_message, form = {}) {
+   res.render('achievements', {
+     username: req.session.username,
+     achievements: await listAchievements(db),
+     metrics: ACHIEVEMENT_METRICS,
+     form,
+     error_message
+   });
+ }
+ 
+ // Every achievement and how many have earned it, with custom team achievements added here
+ app.get('/achievements', requireManager, async (req, res) => {
+   try {
+     await renderAchievements(req, res, null);
+   } catch (err) {
+     console.error('Achievements error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // Add a custom achievement (POST)
+ app.post('/achievements', requireManager, async (req, res) => {
+   const form = {
+     name: (req.body.name || '').trim(),
+     description: (req.body.description || '').trim(),
+     icon: (req.body.icon || '').trim().slice(0, 16),
+     metric: req.body.metric,
+     threshold: req.body.threshold
+   };
+   try {
+     const error = validateAchievement(form);
+     if (error) return await renderAchievements(req, res, error, form);
+     await addAchievement(db, form);
+     console.log(`🏆 ${req.session.username} added achievement ${form.name}`);
+     res.redirect('/achievements');
+   } catch (err) {
+     console.error('Add achievement error:', err);
+     res.redirect('/achievements');
+   }
+ });
+ 
+ // Delete a custom achievement, taking it away from everyone who earned it (POST)
+ app.post('/achievements/:id/delete', requireManager, async (req, res) => {
+   try {
+     const name = await deleteAchievement(db, parseInt(req.params.id));
+     if (name) console.log(`🏆 ${req.session.username} deleted achievement ${name}`);
+   } catch (err) {
+     console.error('Delete achievement error:', err);
+   }
+   res.redirect('/achievements');
+ });
+ 
+ function renderEditUser(req, res, user, error_message) {
+   res.render('edit-user', {
+     username: req.session.username,
+     user,
+     error_message
+   });
+ }
+ 
  // Edit User (GET - form)
  app.get('/edit-user/:id', requireManager, async (req, res) => {
    const userId = parseInt(req.params.id);
@@ -709,7 +2255,7 @@
      const result = await db.query(
        `SELECT u.user_id, u.username, u.email, u.first_name, u.last_name, u.permissions
         FROM "users" u
-        WHERE u.user_id = $1`,
+        WHERE u.user_id = $1 AND u.deleted_at IS NULL`,
        [userId]
      );
  
@@ -717,10 +2263,7 @@
        return res.redirect('/manage-users');
      }
  
-     res.render('edit-user', {
-       username: req.session.username,
-       user: result.rows[0]
-     });
+     renderEditUser(req, res, result.rows[0], null);
    } catch (err) {
      console.error('Edit user GET error:', err);
      res.redirect('/manage-users');
@@ -731,23 +2274,59 @@
  app.post('/edit-user/:id', requireManager, async (req, res) => {
    const userId = parseInt(req.params.id);
    const { username, email, first_name, last_name, permissions } = req.body;
+   const form = { user_id: userId, username, email, first_name, last_name, permissions };
+ 
+   if (!['U', 'M'].includes(permissions)) {
+     return renderEditUser(req, res, form, 'Please choose a permission level.');
+   }
+   // Otherwise the last manager could leave the team without one
+   if (userId === req.session.userId && permissions !== 'M') {
+     return renderEditUser(req, res, form, "You can't remove your own manager access. Ask another manager to do it.");
+   }
  
    try {
-     await db.query(
-       `UPDATE "users"
-        SET username = $1, email = $2, first_name = $3, last_name = $4, permissions = $5
-        WHERE user_id = $6`,
-       [username, email, first_name, last_name, permissions, userId]
-     );
+     await db.transaction(async (client) => {
+       const before = await client.query(
+         'SELECT username, email, first_name, last_name, permissions FROM "users" WHERE user_id = $1 AND deleted_at IS NULL FOR UPDATE',
+         [userId]
+       );
+       if (before.rows.length === 0) return;
+ 
+       await client.query(
+         `UPDATE "users"
+          SET username = $1, email = $2, first_name = $3, last_name = $4, permissions = $5
+          WHERE user_id = $6`,
+         [username, email, first_name, last_name, permissions, userId]
+       );
+ 
+       // Permission changes get their own entry so they're easy to find
+       const { permissions: oldPermissions, ...oldProfile } = before.rows[0];
+       const entry = { entityType: 'user', entityId: userId, entityLabel: username };
+       await recordAudit(client, auditActor(req), {
+         ...entry,
+         action: 'user.update',
+         before: oldProfile,
+         after: { username, email, first_name, last_name }
+       });
+       await recordAudit(client, auditActor(req), {
+         ...entry,
+         action: 'user.permissions',
+         before: { permissions: oldPermissions },
+         after: { permissions }
+       });
+     });
  
      res.redirect('/manage-users');
    } catch (err) {
+     if (err.code === '23505') {
+       return renderEditUser(req, res, form, 'That username or email is already taken.');
+     }
      console.error('Edit user POST error:', err);
      res.redirect('/manage-users');
    }
  });
  
- // Delete User (POST)
+ // Delete User (POST) - deactivates the account; it can be restored until the trash is purged
  app.post('/delete-user/:id', requireManager, async (req, res) => {
    const userId = parseInt(req.params.id);
    
@@ -757,7 +2336,7 @@
    }
  
    try {
-     await db.query('DELETE FROM "users" WHERE user_id = $1', [userId]);
+     await trashUser(db, userId, auditActor(req));
      res.redirect('/manage-users');
    } catch (err) {
      console.error('Delete user error:', err);
@@ -765,6 +2344,294 @@
    }
  });
  
+ // Restore a deleted user (POST)
+ app.post('/restore-user/:id', requireManager, async (req, res) => {
+   try {
+     await restoreUser(db, parseInt(req.params.id), auditActor(req));
+   } catch (err) {
+     console.error('Restore user error:', err);
+   }
+   res.redirect('/manage-users');
+ });
+ 
+ // Permanently delete a deleted user and all their projects (POST)
+ app.post('/purge-user/:id', requireManager, async (req, res) => {
+   try {
+     await purgeUser(db, parseInt(req.params.id), auditActor(req));
+   } catch (err) {
+     console.error('Purge user error:', err);
+   }
+   res.redirect('/manage-users');
+ });
+ 
+ // ============ EXPORT & IMPORT ROUTES ============
+ 
+ // Send an export as a download, as JSON or (format=csv) CSV
+ function sendExport(res, data, format, name) {
+   const stamp = new Date().toISOString().slice(0, 10);
+   if (format === 'csv') {
+     res.attachment(`word-count-tracker-${name}-${stamp}.csv`);
+     return res.type('text/csv').send(exportCsv(data));
+   }
+   res.attachment(`word-count-tracker-${name}-${stamp}.json`);
+   res.type('application/json').send(JSON.stringify(data, null, 2));
+ }
+ 
+ function renderDataPage(req, res, extra = {}) {
+   res.render('data', {
+     username: req.session.username,
+     isManager: req.session.permissions === 'M',
+     plan: null,
+     fileName: null,
+     result: null,
+     error_message: null,
+     ...extra
+   });
+ }
+ 
+ // Export & import page (GET)
+ app.get('/data', async (req, res) => {
+   // Leaving the preview abandons that import
+   if (req.session.pendingImport) {
+     await discardPendingImport(req.session.pendingImport.id).catch(err => console.error('Discard import error:', err));
+     delete req.session.pendingImport;
+   }
+   const result = req.session.importResult || null;
+   delete req.session.importResult;
+   renderDataPage(req, res, { result });
+ });
+ 
+ // Download everything of the current user's
+ app.get('/data/export', async (req, res) => {
+   try {
+     const data = await buildExport(db, req.session.userId);
+     sendExport(res, data, req.query.format, req.session.username);
+   } catch (err) {
+     console.error('Export error:', err);
+     res.redirect('/data');
+   }
+ });
+ 
+ // Download every account's data (managers only)
+ app.get('/data/export-all', requireManager, async (req, res) => {
+   try {
+     const data = await buildExport(db);
+     sendExport(res, data, req.query.format, 'all');
+   } catch (err) {
+     console.error('Instance export error:', err);
+     res.redirect('/data');
+   }
+ });
+ 
+ // Import step 1: read the file and show what would happen, without writing anything
+ app.post('/data/import', acceptUpload('importFile'), async (req, res) => {
+   if (req.uploadError || !req.file) {
+     return renderDataPage(req, res, { error_message: req.uploadError || 'Please choose a file to import.' });
+   }
+ 
+   try {
+     const fileName = req.file.originalname;
+     const imported = parseImport(fileName, req.file.buffer.toString('utf8'), req.body.projectName);
+     if (imported.error) {
+       return renderDataPage(req, res, { error_message: imported.error });
+     }
+ 
+     const plan = await planImport(db, req.session.userId, userTimeZone(req), imported);
+     // The parsed file can be large, so it waits on disk rather than in the session
+     if (req.session.pendingImport) await discardPendingImport(req.session.pendingImport.id);
+     req.session.pendingImport = { fileName, id: await savePendingImport(imported) };
+     renderDataPage(req, res, { plan, fileName });
+   } catch (err) {
+     console.error('Import preview error:', err);
+     renderDataPage(req, res, { error_message: 'The file could not be read.' });
+   }
+ });
+ 
+ // Import step 2: carry out the previewed import
+ app.post('/data/import/apply', async (req, res) => {
+   const pending = req.session.pendingImport;
+   delete req.session.pendingImport;
+   if (!pending) return res.redirect('/data');
+ 
+   try {
+     const imported = await takePendingImport(pending.id);
+     if (!imported) return res.redirect('/data');
+     const plan = await applyImport(db, auditActor(req), userTimeZone(req), imported);
+     req.session.importResult = {
+       fileName: pending.fileName,
+       entries: plan.entries,
+       skipped: plan.skipped,
+       newProjects: plan.newProjects
+     };
+     console.log(`📥 ${req.session.username} imported ${plan.entries} log entries from ${pending.fileName}`);
+   } catch (err) {
+     console.error('Import error:', err);
+     req.session.importResult = { fileName: pending.fileName, failed: true };
+   }
+   res.redirect('/data');
+ });
+ 
+ // ============ PROFILE ROUTES ============
+ 
+ // A writer's stats and badges, earned and still to earn. Opening it also awards anything
+ // their existing logs already qualify for (e.g. words imported before achievements existed).
+ async function renderProfile(req, res, userId) {
+   const result = await db.query(
+     'SELECT user_id, username, first_name, last_name FROM "users" WHERE user_id = $1 AND deleted_at IS NULL',
+     [userId]
+   );
+   if (result.rows.length === 0) return false;
+ 
+   await awardAchievements(db, userId);
+   res.render('profile', {
+     username: req.session.username,
+     profile: result.rows[0],
+     own: userId === req.session.userId,
+     stats: await writerStats(db, userId),
+     achievements: await userAchievements(db, userId),
+     metrics: ACHIEVEMENT_METRICS,
+     isManager: req.session.permissions === 'M'
+   });
+   return true;
+ }
+ 
+ app.get('/profile', async (req, res) => {
+   try {
+     if (!(await renderProfile(req, res, req.session.userId))) res.redirect('/dashboard');
+   } catch (err) {
+     console.error('Profile error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // Managers can look at anyone's profile, like the team drill-down
+ app.get('/profile/:userId', requireManager, async (req, res) => {
+   try {
+     if (!(await renderProfile(req, res, parseInt(req.params.userId)))) res.redirect('/team');
+   } catch (err) {
+     console.error('Profile error:', err);
+     res.redirect('/team');
+   }
+ });
+ 
+ // ============ NOTIFICATION ROUTES ============
+ 
+ // Newest first, with what's new since the last visit highlighted; opening the page marks
+ // everything read. The settings for which notifications to get are on the same page.
+ app.get('/notifications', async (req, res) => {
+   try {
+     const notifications = await listNotifications(db, req.session.userId);
+     const preferences = await getPreferences(db, req.session.userId);
+     const user = await db.query('SELECT email, time_zone FROM "users" WHERE user_id = $1', [req.session.userId]);
+     await markAllRead(db, req.session.userId);
+ 
+     res.render('notifications', {
+       username: req.session.username,
+       notifications,
+       preferences,
+       kinds: NOTIFICATION_KINDS,
+       user: user.rows[0],
+       saved: req.query.saved === '1'
+     });
+   } catch (err) {
+     console.error('Notifications page error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // Save which notifications to get, the reminder hour and the email digest (POST)
+ app.post('/notifications/settings', async (req, res) => {
+   try {
+     await savePreferences(db, req.session.userId, {
+       kinds: [].concat(req.body.kinds || []),
+       reminderHour: req.body.reminder_hour,
+       emailDigest: req.body.email_digest === 'on'
+     });
+     res.redirect('/notifications?saved=1');
+   } catch (err) {
+     console.error('Notification settings error:', err);
+     res.redirect('/notifications');
+   }
+ });
+ 
+ // ============ ACCOUNT ROUTES ============
+ 
+ // Account page (GET) - profile details and personal access tokens for the API
+ app.get('/account', async (req, res) => {
+   // A newly created token is shown exactly once
+   const newToken = req.session.newApiToken || null;
+   delete req.session.newApiToken;
+ 
+   try {
+     const user = await db.query(
+       'SELECT username, email, first_name, last_name, time_zone FROM "users" WHERE user_id = $1',
+       [req.session.userId]
+     );
+     const tokens = await db.query(
+       `SELECT token_id, name, token_hint, created_at, last_used_at
+        FROM ApiToken
+        WHERE user_id = $1 AND revoked_at IS NULL
+        ORDER BY created_at DESC`,
+       [req.session.userId]
+     );
+     const google = await db.query(
+       'SELECT updated_at FROM GoogleCredential WHERE user_id = $1',
+       [req.session.userId]
+     );
+ 
+     res.render('account', {
+       username: req.session.username,
+       user: user.rows[0],
+       tokens: tokens.rows,
+       googleConnectedAt: google.rows.length > 0 ? google.rows[0].updated_at : null,
+       googleAvailable: hasEncryptionKey(),
+       newToken,
+       appUrl: appUrl(req)
+     });
+   } catch (err) {
+     console.error('Account page error:', err);
+     res.redirect('/dashboard');
+   }
+ });
+ 
+ // Create a personal access token (POST)
+ app.post('/account/tokens', async (req, res) => {
+   const name = (req.body.name || '').trim().slice(0, 100) || 'API token';
+   try {
+     const created = await createApiToken(db, req.session.userId, name);
+     req.session.newApiToken = { name: created.name, token: created.token };
+     console.log(`🔑 ${req.session.username} created API token "${name}"`);
+   } catch (err) {
+     console.error('Create token error:', err);
+   }
+   res.redirect('/account');
+ });
+ 
+ // Revoke a personal access token (POST)
+ app.post('/account/tokens/:id/revoke', async (req, res) => {
+   const tokenId = parseInt(req.params.id);
+   try {
+     await db.query(
+       'UPDATE ApiToken SET revoked_at = CURRENT_TIMESTAMP WHERE token_id = $1 AND user_id = $2',
+       [tokenId, req.session.userId]
+     );
+   } catch (err) {
+     console.error('Revoke token error:', err);
+   }
+   res.redirect('/account');
+ });
+ 
+ // Forget the stored Google refresh token; linked docs stop syncing until reconnected (POST)
+ app.post('/account/google/disconnect', async (req, res) => {
+   try {
+     await disconnectGoogleAccount(db, req.session.userId);
+     console.log(`🔗 ${req.session.username} disconnected Google Docs`);
+   } catch (err) {
+     console.error('Disconnect Google error:', err);
+   }
+   res.redirect('/account');
+ });
+ 
  // Logout
  app.get('/logout', (req, res) => {
    req.session.destroy(err => {
@@ -774,6 +2641,33 @@
  });
  
  // ---------------- START SERVER ----------------
- app.listen(port, () => {
-   console.log(`✅ Server running on http://localhost:${port}`);
- });
\ No newline at end of file
+ // `node index.js` starts everything; require('./index') only gets the app, which is how
+ // the tests in test/ use it (no port, no background jobs)
+ if (require.main === module) {
+   testConnection();
+ 
+   // Nothing runs until the database has every migration this version needs (see lib/schema.js)
+   checkSchema()
+     .then(() => {
+       if (SYNC_INTERVAL_MINUTES > 0) {
+         startSyncScheduler(db, SYNC_INTERVAL_MINUTES);
+         console.log(`🔄 Document sync every ${SYNC_INTERVAL_MINUTES} minutes`);
+       }
+       startTrashPurge(db, TRASH_RETENTION_DAYS);
+       if (NOTIFY_INTERVAL_MINUTES > 0) {
+         startNotificationChecks(db, NOTIFY_INTERVAL_MINUTES, { mailer, baseUrl: process.env.APP_URL || `http://localhost:${port}` });
+         console.log(`🔔 Notification checks every ${NOTIFY_INTERVAL_MINUTES} minutes`);
+       }
+       startWarClock(db).catch(err => console.error('Word war timer error:', err));
+ 
+       app.listen(port, () => {
+         console.log(`✅ Server running on http://localhost:${port}`);
+       });
+     })
+     .catch(err => {
+       console.error(err instanceof SchemaOutOfDateError ? `❌ ${err.message}` : `❌ Schema check failed: ${err.message}`);
+       process.exit(1);
+     });
+ }
+ 
+ module.exports = app;
\ No newline at end of file
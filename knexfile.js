@@ -0,0 +1,24 @@
+/**
+ * knex configuration for the migrations in migrations/ and the seeds in seeds/.
+ * Connects with the same settings as the app (see lib/db.js).
+ *
+ * npm run migrate           apply any new migrations
+ * npm run migrate:rollback  undo the last batch
+ * npm run seed              add the sample manager and writer
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { connection } = require('./lib/db');
+
+module.exports = {
+  client: 'pg',
+  connection,
+  migrations: {
+    directory: path.join(__dirname, 'migrations'),
+    tableName: 'knex_migrations'
+  },
+  seeds: {
+    directory: path.join(__dirname, 'seeds')
+  }
+};
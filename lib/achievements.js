@@ -0,0 +1,167 @@
+/**
+ * Achievements
+ * Badges earned from the words a writer has logged. Every achievement is a threshold on one
+ * of the stats from writerStats (ACHIEVEMENT_METRICS); the built-in ones come from the
+ * migrations and managers can add their own for the team. lib/progress calls
+ * awardAchievements whenever it writes a log, and an earned badge is never taken away,
+ * even if the words behind it are later edited or deleted.
+ */
+
+const { todayIn, computeStreaks } = require('./history');
+
+const ACHIEVEMENT_METRICS = {
+  lifetime_words: { label: 'Words written in total', unit: 'words' },
+  streak_days: { label: 'Days written in a row', unit: 'days' },
+  month_words: { label: 'Words written in one calendar month', unit: 'words' },
+  day_words: { label: 'Words written in one day', unit: 'words' },
+  projects_finished: { label: 'Projects finished', unit: 'projects' }
+};
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 255;
+
+/**
+ * The writer's numbers for each metric, counting only the words they logged themselves,
+ * by day in their time zone. A day with any words counts towards a streak. A project is
+ * finished when it's marked complete or its total reaches its main goal; viewers don't
+ * get credit for those.
+ */
+async function writerStats(db, userId) {
+  const user = await db.query('SELECT time_zone FROM "users" WHERE user_id = $1', [userId]);
+  const timeZone = user.rows.length > 0 ? user.rows[0].time_zone : 'UTC';
+
+  // localDaySql from lib/projects, which can't be required here (it requires lib/progress)
+  const days = await db.query(
+    `SELECT to_char((log_date AT TIME ZONE 'UTC' AT TIME ZONE $2)::date, 'YYYY-MM-DD') AS day,
+            SUM(word_count)::int AS words
+     FROM ProgressLog
+     WHERE user_id = $1
+     GROUP BY 1`,
+    [userId, timeZone]
+  );
+  const finished = await db.query(
+    `SELECT COUNT(*)::int AS projects
+     FROM Project p
+     INNER JOIN ProjectMember m ON m.project_id = p.project_id AND m.user_id = $1 AND m.role <> 'viewer'
+     LEFT JOIN Goal g ON g.project_id = p.project_id AND g.is_active = true AND g.goal_type = 'total_words'
+     LEFT JOIN LATERAL (
+       SELECT total_words FROM ProgressLog WHERE project_id = p.project_id ORDER BY log_date DESC, log_id DESC LIMIT 1
+     ) pl ON true
+     WHERE p.deleted_at IS NULL AND (p.status = 'complete' OR pl.total_words >= g.target_value)`,
+    [userId]
+  );
+
+  const wordsByDay = new Map(days.rows.map(d => [d.day, d.words]));
+  const wordsByMonth = new Map();
+  days.rows.forEach(d => {
+    const month = d.day.slice(0, 7);
+    wordsByMonth.set(month, (wordsByMonth.get(month) || 0) + d.words);
+  });
+
+  return {
+    lifetime_words: days.rows.reduce((sum, d) => sum + d.words, 0),
+    streak_days: computeStreaks(wordsByDay, 1, todayIn(timeZone)).longestStreak,
+    month_words: Math.max(0, ...wordsByMonth.values()),
+    day_words: Math.max(0, ...wordsByDay.values()),
+    projects_finished: finished.rows[0].projects
+  };
+}
+
+// Give the user every achievement their stats now reach. Returns the newly earned ones.
+async function awardAchievements(db, userId) {
+  const unearned = await db.query(
+    `SELECT a.achievement_id, a.name, a.icon, a.metric, a.threshold
+     FROM Achievement a
+     WHERE NOT EXISTS (SELECT 1 FROM UserAchievement ua WHERE ua.achievement_id = a.achievement_id AND ua.user_id = $1)`,
+    [userId]
+  );
+  if (unearned.rows.length === 0) return [];
+
+  const stats = await writerStats(db, userId);
+  const reached = unearned.rows.filter(achievement => stats[achievement.metric] >= achievement.threshold);
+  if (reached.length === 0) return [];
+
+  const inserted = await db.query(
+    `INSERT INTO UserAchievement (user_id, achievement_id)
+     SELECT $1, unnest($2::int[])
+     ON CONFLICT DO NOTHING
+     RETURNING achievement_id`,
+    [userId, reached.map(achievement => achievement.achievement_id)]
+  );
+  const ids = inserted.rows.map(row => row.achievement_id);
+  return reached.filter(achievement => ids.includes(achievement.achievement_id));
+}
+
+// Every achievement, with when the user earned it (null if they haven't yet). Earned first.
+async function userAchievements(db, userId) {
+  const result = await db.query(
+    `SELECT a.achievement_id, a.code, a.name, a.description, a.icon, a.metric, a.threshold, ua.earned_at
+     FROM Achievement a
+     LEFT JOIN UserAchievement ua ON ua.achievement_id = a.achievement_id AND ua.user_id = $1
+     ORDER BY ua.earned_at IS NULL, ua.earned_at DESC, a.metric, a.threshold, a.achievement_id`,
+    [userId]
+  );
+  return result.rows;
+}
+
+// Just the ones the user has, newest first, for the dashboard
+async function earnedAchievements(db, userId) {
+  return (await userAchievements(db, userId)).filter(achievement => achievement.earned_at);
+}
+
+// Every achievement with how many people have earned it, built-in ones first
+async function listAchievements(db) {
+  const result = await db.query(
+    `SELECT a.achievement_id, a.code, a.name, a.description, a.icon, a.metric, a.threshold,
+            (SELECT COUNT(*) FROM UserAchievement ua WHERE ua.achievement_id = a.achievement_id)::int AS earned_count
+     FROM Achievement a
+     ORDER BY a.code IS NULL, a.metric, a.threshold, a.achievement_id`
+  );
+  return result.rows;
+}
+
+// Check a custom achievement. Returns an error message, or null when it's fine.
+function validateAchievement({ name, description, metric, threshold }) {
+  if (!name) return 'Please give the achievement a name.';
+  if (name.length > MAX_NAME_LENGTH) return `Names can be at most ${MAX_NAME_LENGTH} characters.`;
+  if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+    return `Descriptions can be at most ${MAX_DESCRIPTION_LENGTH} characters.`;
+  }
+  if (!ACHIEVEMENT_METRICS[metric]) return 'Please choose what the achievement counts.';
+  if (!(parseInt(threshold) > 0)) return 'The target must be a positive number.';
+  return null;
+}
+
+// Add a custom achievement that passed validateAchievement. Returns the new achievement_id.
+// People who already qualify get it the next time they log words.
+async function addAchievement(db, { name, description, icon, metric, threshold }) {
+  const result = await db.query(
+    `INSERT INTO Achievement (name, description, icon, metric, threshold)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING achievement_id`,
+    [name, description || null, icon || '🏆', metric, parseInt(threshold)]
+  );
+  return result.rows[0].achievement_id;
+}
+
+// Delete a custom achievement, and everyone's badge for it. Built-in ones can't be deleted.
+// Returns its name, or null if there's no such custom achievement.
+async function deleteAchievement(db, achievementId) {
+  const result = await db.query(
+    'DELETE FROM Achievement WHERE achievement_id = $1 AND code IS NULL RETURNING name',
+    [achievementId]
+  );
+  return result.rows.length > 0 ? result.rows[0].name : null;
+}
+
+module.exports = {
+  ACHIEVEMENT_METRICS,
+  writerStats,
+  awardAchievements,
+  userAchievements,
+  earnedAchievements,
+  listAchievements,
+  validateAchievement,
+  addAchievement,
+  deleteAchievement
+};
@@ -0,0 +1,116 @@
+/**
+ * Audit trail
+ * Who changed what, to which record, and when. Only the fields that actually changed
+ * are kept in before_value/after_value. The actor's username is copied onto each entry
+ * so the trail survives the account being deleted.
+ */
+
+const { toCsv } = require('./csv');
+
+const AUDIT_ACTIONS = {
+  'user.update': 'User edited',
+  'user.permissions': 'Permissions changed',
+  'user.delete': 'User deleted',
+  'user.restore': 'User restored',
+  'user.purge': 'User permanently deleted',
+  'project.update': 'Project edited',
+  'project.delete': 'Project moved to trash',
+  'project.restore': 'Project restored',
+  'project.purge': 'Project permanently deleted',
+  'project.import': 'Data imported',
+  'project.log_add': 'Log entry added',
+  'project.log_edit': 'Log entry edited',
+  'project.log_delete': 'Log entry deleted',
+  'project.total_override': 'Word total overridden',
+  'project.member_add': 'Member added',
+  'project.member_role': 'Member role changed',
+  'project.member_remove': 'Member removed'
+};
+
+const ENTITY_TYPES = ['user', 'project'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates and numbers from forms and from pg don't compare equal as-is, so compare their JSON
+function normalize(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+}
+
+// Keep only the keys whose values differ. Returns null when nothing changed.
+function changedFields(before, after) {
+  const diff = { before: {}, after: {} };
+  for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    const from = normalize(before ? before[key] : undefined);
+    const to = normalize(after ? after[key] : undefined);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff.before[key] = from;
+      diff.after[key] = to;
+    }
+  }
+  return Object.keys(diff.before).length > 0 ? diff : null;
+}
+
+// Copy just `keys` out of a row, for a before/after snapshot
+function snapshot(row, keys) {
+  return Object.fromEntries(keys.map(key => [key, row[key]]));
+}
+
+/**
+ * Record one audit entry. `actor` is { userId, username }. Pass `before` and/or `after`
+ * snapshots; for updates only the changed fields are stored, and nothing is recorded
+ * if nothing changed. Use a transaction client as `db` to keep the entry with the change.
+ */
+async function recordAudit(db, actor, { action, entityType, entityId, entityLabel = null, before = null, after = null }) {
+  let beforeValue = before;
+  let afterValue = after;
+  if (before && after) {
+    const diff = changedFields(before, after);
+    if (!diff) return;
+    beforeValue = diff.before;
+    afterValue = diff.after;
+  }
+
+  await db.query(
+    `INSERT INTO AuditLog (actor_id, actor_username, action, entity_type, entity_id, entity_label, before_value, after_value)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      actor.userId || null, actor.username || null, action, entityType, entityId, entityLabel,
+      beforeValue ? JSON.stringify(beforeValue) : null,
+      afterValue ? JSON.stringify(afterValue) : null
+    ]
+  );
+}
+
+/**
+ * WHERE clause for the audit view's filters: actor (username), action, entityType, entityId,
+ * from and to (YYYY-MM-DD, inclusive). Returns { where, params }.
+ */
+function auditFilterSql(filters) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+  // Repeated query parameters arrive as arrays; ignore those
+  const value = key => (typeof filters[key] === 'string' ? filters[key].trim() : '');
+
+  if (value('actor')) add('LOWER(a.actor_username) = LOWER(?)', value('actor'));
+  if (AUDIT_ACTIONS[value('action')]) add('a.action = ?', value('action'));
+  if (ENTITY_TYPES.includes(value('entityType'))) add('a.entity_type = ?', value('entityType'));
+  if (parseInt(value('entityId')) > 0) add('a.entity_id = ?', parseInt(value('entityId')));
+  if (DATE_PATTERN.test(value('from'))) add('a.created_at >= ?::date', value('from'));
+  if (DATE_PATTERN.test(value('to'))) add("a.created_at < ?::date + INTERVAL '1 day'", value('to'));
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+function auditCsv(rows) {
+  const header = ['audit_id', 'created_at', 'actor', 'action', 'entity_type', 'entity_id', 'entity_label', 'before', 'after'];
+  return toCsv(header, rows.map(row => [
+    row.audit_id, row.created_at, row.actor_username, row.action, row.entity_type,
+    row.entity_id, row.entity_label, row.before_value, row.after_value
+  ]));
+}
+
+module.exports = { AUDIT_ACTIONS, ENTITY_TYPES, recordAudit, snapshot, auditFilterSql, auditCsv };
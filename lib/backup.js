@@ -0,0 +1,476 @@
+/**
+ * Data export & import
+ * A user's projects, goals and complete ProgressLog history as JSON or CSV, and the import
+ * that reads those files back in, along with spreadsheets of dated word counts. An import is
+ * always planned first, so the preview and the real run skip exactly the same entries.
+ */
+
+const { toCsv, parseCsv } = require('./csv');
+const { dayIn, todayIn } = require('./history');
+const { GOAL_TYPES, PROJECT_STATUSES, localDaySql, parseTags } = require('./projects');
+const { recalculateTotals } = require('./progress');
+const { recordAudit } = require('./audit');
+const { addMember } = require('./members');
+
+const EXPORT_FORMAT = 'word-count-tracker';
+const EXPORT_VERSION = 1;
+const ISO_SQL = `'YYYY-MM-DD"T"HH24:MI:SS"Z"'`;
+
+// Projects created by an import get these when the file doesn't say
+const DEFAULT_GENRE = 'Other';
+const DEFAULT_TARGET_WORDS = 50000;
+const DEFAULT_DAILY_GOAL = 1000;
+
+// ---------------- EXPORT ----------------
+
+/**
+ * Everything belonging to one user, or to every account when userId is null.
+ * Deleted accounts and trashed projects are left out; log times are UTC.
+ */
+async function buildExport(db, userId = null) {
+  const users = await db.query(
+    `SELECT user_id, username, email, first_name, last_name, time_zone
+     FROM "users"
+     WHERE deleted_at IS NULL AND ($1::int IS NULL OR user_id = $1)
+     ORDER BY LOWER(username)`,
+    [userId]
+  );
+  const projects = await db.query(
+    `SELECT project_id, user_id, title, genre, description, status, tags, source_type, source_locator,
+            to_char(start_date, 'YYYY-MM-DD') AS start_date
+     FROM Project
+     WHERE user_id = ANY($1) AND deleted_at IS NULL
+     ORDER BY start_date, project_id`,
+    [users.rows.map(user => user.user_id)]
+  );
+  const projectIds = projects.rows.map(project => project.project_id);
+  const goals = await db.query(
+    `SELECT project_id, goal_type, target_value, daily_target, is_active, outcome,
+            to_char(start_date, 'YYYY-MM-DD') AS start_date,
+            to_char(end_date, 'YYYY-MM-DD') AS end_date,
+            to_char(ended_at, ${ISO_SQL}) AS ended_at
+     FROM Goal
+     WHERE project_id = ANY($1)
+     ORDER BY goal_id`,
+    [projectIds]
+  );
+  const logs = await db.query(
+    `SELECT project_id, word_count, total_words, to_char(log_date, ${ISO_SQL}) AS logged_at
+     FROM ProgressLog
+     WHERE project_id = ANY($1)
+     ORDER BY log_date, log_id`,
+    [projectIds]
+  );
+
+  const byProject = (rows, projectId) => rows.filter(row => row.project_id === projectId);
+  const projectJson = project => ({
+    title: project.title,
+    genre: project.genre,
+    status: project.status,
+    tags: project.tags,
+    description: project.description,
+    startDate: project.start_date,
+    source: project.source_type ? { type: project.source_type, locator: project.source_locator } : null,
+    goals: byProject(goals.rows, project.project_id).map(goal => ({
+      type: goal.goal_type,
+      targetValue: goal.target_value,
+      dailyTarget: goal.daily_target,
+      startDate: goal.start_date,
+      endDate: goal.end_date,
+      isActive: goal.is_active,
+      outcome: goal.outcome,
+      endedAt: goal.ended_at
+    })),
+    logs: byProject(logs.rows, project.project_id).map(log => ({
+      loggedAt: log.logged_at,
+      wordCount: log.word_count,
+      totalWords: log.total_words
+    }))
+  });
+  const userJson = user => ({
+    username: user.username,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    timeZone: user.time_zone
+  });
+  const projectsOf = user => projects.rows.filter(project => project.user_id === user.user_id).map(projectJson);
+
+  const header = { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString() };
+  if (userId === null) {
+    return { ...header, users: users.rows.map(user => ({ ...userJson(user), projects: projectsOf(user) })) };
+  }
+  const user = users.rows[0];
+  return user ? { ...header, user: userJson(user), projects: projectsOf(user) } : null;
+}
+
+const CSV_HEADER = [
+  'user', 'record', 'project', 'genre', 'description', 'date', 'end_date',
+  'goal_type', 'target', 'daily_target', 'words', 'total_words', 'status'
+];
+
+// The same export flattened to one CSV: a "project" row, then its "goal" rows, then its "log" rows
+function exportCsv(data) {
+  const users = data.users || [{ ...data.user, projects: data.projects }];
+  const rows = [];
+  for (const user of users) {
+    for (const project of user.projects) {
+      rows.push([user.username, 'project', project.title, project.genre, project.description, project.startDate,
+        '', '', '', '', '', '', '']);
+      for (const goal of project.goals) {
+        rows.push([user.username, 'goal', project.title, '', '', goal.startDate, goal.endDate,
+          goal.type, goal.targetValue, goal.dailyTarget, '', '', goal.isActive ? 'active' : goal.outcome]);
+      }
+      for (const log of project.logs) {
+        rows.push([user.username, 'log', project.title, '', '', log.loggedAt, '', '', '', '',
+          log.wordCount, log.totalWords, '']);
+      }
+    }
+  }
+  return toCsv(CSV_HEADER, rows);
+}
+
+// ---------------- IMPORT: PARSING ----------------
+
+// Every parser below produces { projects: [{ title, genre, description, startDate, goals, entries }] }
+// where each entry is { at: ISO timestamp } or { day: 'YYYY-MM-DD' } plus { words }.
+
+class ImportError extends Error {}
+
+const INSTANCE_EXPORT_ERROR = 'Whole-instance exports can\'t be imported into one account. Import a single user\'s export instead.';
+
+// Undo the formula guard csvField() puts on exported text
+function cleanText(value) {
+  return (value || '').trim().replace(/^'(?=[=+\-@])/, '');
+}
+
+// "1,234" and " 1234 " both mean 1234; blank means no value
+function parseWordCount(value, where) {
+  const text = cleanText(value).replace(/[,\s]/g, '');
+  if (text === '') return null;
+  if (!/^-?\d+$/.test(text)) throw new ImportError(`${where}: "${value}" isn't a whole number.`);
+  return parseInt(text);
+}
+
+// YYYY-MM-DD, YYYY/MM/DD or M/D/YYYY
+function parseDay(value, where) {
+  const text = cleanText(value);
+  let match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  let [year, month, day] = match ? [match[1], match[2], match[3]] : [];
+  if (!match) {
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) [month, day, year] = [match[1], match[2], match[3]];
+  }
+  const iso = match ? `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}` : '';
+  const date = new Date(`${iso}T00:00:00Z`);
+  if (!match || isNaN(date) || date.toISOString().slice(0, 10) !== iso) {
+    throw new ImportError(`${where}: "${value}" isn't a date. Use YYYY-MM-DD.`);
+  }
+  return iso;
+}
+
+// An exported log time, or a plain date from a spreadsheet
+function parseEntryDate(value, where) {
+  const text = cleanText(value);
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text) && !isNaN(new Date(text))) {
+    return { at: new Date(text).toISOString() };
+  }
+  return { day: parseDay(text, where) };
+}
+
+function emptyProject(title) {
+  return { title, genre: null, status: null, tags: [], description: null, startDate: null, goals: [], entries: [] };
+}
+
+// Collects rows into projects by title, ignoring case
+function projectCollector() {
+  const projects = new Map();
+  return {
+    get(title) {
+      const key = title.toLowerCase();
+      if (!projects.has(key)) projects.set(key, emptyProject(title));
+      return projects.get(key);
+    },
+    list: () => Array.from(projects.values())
+  };
+}
+
+function parseExportJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new ImportError('This file isn\'t valid JSON.');
+  }
+  if (!data || data.format !== EXPORT_FORMAT) {
+    throw new ImportError('This JSON file wasn\'t exported from Word Count Tracker.');
+  }
+  if (Array.isArray(data.users)) {
+    throw new ImportError(INSTANCE_EXPORT_ERROR);
+  }
+
+  const collector = projectCollector();
+  (data.projects || []).forEach((source, i) => {
+    const where = `Project ${i + 1}`;
+    const title = cleanText(source.title);
+    if (!title) throw new ImportError(`${where} has no title.`);
+
+    const project = collector.get(title);
+    project.genre = cleanText(source.genre) || null;
+    project.status = PROJECT_STATUSES[source.status] ? source.status : null;
+    project.tags = parseTags(source.tags || []);
+    project.description = source.description || null;
+    project.startDate = source.startDate ? parseDay(source.startDate, where) : null;
+    project.goals.push(...(source.goals || []).map(goal => ({
+      type: goal.type,
+      targetValue: parseInt(goal.targetValue),
+      dailyTarget: parseInt(goal.dailyTarget) || null,
+      startDate: goal.startDate ? parseDay(goal.startDate, where) : null,
+      endDate: goal.endDate ? parseDay(goal.endDate, where) : null,
+      isActive: goal.isActive !== false,
+      outcome: goal.outcome || null
+    })));
+    (source.logs || []).forEach((log, j) => {
+      const entryWhere = `${where}, log ${j + 1}`;
+      const words = parseWordCount(String(log.wordCount ?? ''), entryWhere);
+      if (words === null) throw new ImportError(`${entryWhere} has no word count.`);
+      project.entries.push({ ...parseEntryDate(String(log.loggedAt || ''), entryWhere), words });
+    });
+  });
+  return { projects: collector.list() };
+}
+
+// The CSV written by exportCsv()
+function parseExportCsv(header, rows) {
+  const column = name => header.indexOf(name);
+  const value = (row, name) => (column(name) >= 0 ? row[column(name)] || '' : '');
+  const collector = projectCollector();
+
+  if (new Set(rows.map(row => cleanText(value(row, 'user')).toLowerCase())).size > 1) {
+    throw new ImportError(INSTANCE_EXPORT_ERROR);
+  }
+  rows.forEach((row, i) => {
+    const where = `Row ${i + 2}`;
+    const title = cleanText(value(row, 'project'));
+    if (!title) throw new ImportError(`${where} has no project.`);
+    const project = collector.get(title);
+
+    switch (cleanText(value(row, 'record')).toLowerCase()) {
+      case 'project':
+        project.genre = cleanText(value(row, 'genre')) || null;
+        project.description = cleanText(value(row, 'description')) || null;
+        project.startDate = value(row, 'date') ? parseDay(value(row, 'date'), where) : null;
+        break;
+      case 'goal': {
+        const status = cleanText(value(row, 'status')).toLowerCase();
+        project.goals.push({
+          type: cleanText(value(row, 'goal_type')),
+          targetValue: parseWordCount(value(row, 'target'), where),
+          dailyTarget: parseWordCount(value(row, 'daily_target'), where),
+          startDate: value(row, 'date') ? parseDay(value(row, 'date'), where) : null,
+          endDate: value(row, 'end_date') ? parseDay(value(row, 'end_date'), where) : null,
+          isActive: status === 'active' || status === '',
+          outcome: status === 'active' ? null : status || null
+        });
+        break;
+      }
+      case 'log': {
+        const words = parseWordCount(value(row, 'words'), where);
+        if (words === null) throw new ImportError(`${where} has no word count.`);
+        project.entries.push({ ...parseEntryDate(value(row, 'date'), where), words });
+        break;
+      }
+      default:
+        throw new ImportError(`${where}: record must be project, goal or log.`);
+    }
+  });
+  return { projects: collector.list() };
+}
+
+// Header names recognized in spreadsheets of dated word counts
+const SPREADSHEET_COLUMNS = {
+  date: ['date', 'day'],
+  words: ['words', 'word_count', 'word count', 'words written', 'daily words', 'count'],
+  total: ['total_words', 'total words', 'total', 'word total', 'cumulative'],
+  project: ['project', 'title', 'project title']
+};
+
+// A date column plus words written that day and/or the running total. Without a project
+// column every row goes into `defaultTitle`. Totals are turned into daily words.
+function parseSpreadsheetCsv(header, rows, defaultTitle) {
+  const find = names => header.findIndex(name => names.includes(name));
+  const columns = Object.fromEntries(Object.entries(SPREADSHEET_COLUMNS).map(([key, names]) => [key, find(names)]));
+  if (columns.date < 0) {
+    throw new ImportError('The CSV needs a "date" column.');
+  }
+  if (columns.words < 0 && columns.total < 0) {
+    throw new ImportError('The CSV needs a "words" column (words written that day) or a "total" column.');
+  }
+
+  const collector = projectCollector();
+  rows.forEach((row, i) => {
+    const where = `Row ${i + 2}`;
+    if (!cleanText(row[columns.date])) return;
+
+    const title = (columns.project >= 0 && cleanText(row[columns.project])) || defaultTitle;
+    const day = parseDay(row[columns.date], where);
+    const words = columns.words >= 0 ? parseWordCount(row[columns.words], where) : null;
+    const total = columns.total >= 0 ? parseWordCount(row[columns.total], where) : null;
+    if (words === null && total === null) return;
+
+    const project = collector.get(title);
+    project.entries.push({ day, words, total });
+  });
+
+  // Rows may be in any order; running totals only make sense oldest first
+  for (const project of collector.list()) {
+    project.entries.sort((a, b) => a.day.localeCompare(b.day));
+    let previousTotal = 0;
+    project.entries = project.entries.map(({ day, words, total }) => {
+      const entry = { day, words: words !== null ? words : total - previousTotal };
+      if (total !== null) previousTotal = total;
+      else previousTotal += entry.words;
+      return entry;
+    });
+    project.startDate = project.entries.length > 0 ? project.entries[0].day : null;
+  }
+  return { projects: collector.list() };
+}
+
+/**
+ * Read an uploaded export (.json or .csv) or spreadsheet CSV. `projectName` is used for
+ * spreadsheets without a project column (defaults to the file name).
+ * Returns { projects } or { error }.
+ */
+function parseImport(fileName, text, projectName = '') {
+  try {
+    if (/\.json$/i.test(fileName) || text.trim().startsWith('{')) {
+      return parseExportJson(text);
+    }
+
+    const [headerRow, ...rows] = parseCsv(text);
+    if (!headerRow) throw new ImportError('The file is empty.');
+    const header = headerRow.map(name => cleanText(name).toLowerCase());
+    if (header.includes('record')) return parseExportCsv(header, rows);
+
+    const defaultTitle = cleanText(projectName) || fileName.replace(/\.[^.]*$/, '').trim() || 'Imported project';
+    return parseSpreadsheetCsv(header, rows, defaultTitle);
+  } catch (err) {
+    if (err instanceof ImportError) return { error: err.message };
+    throw err;
+  }
+}
+
+// ---------------- IMPORT: PLAN & APPLY ----------------
+
+/**
+ * Match imported projects to the user's projects by title and drop every entry for a day the
+ * project already has words logged on. Days are in the user's time zone.
+ * Returns { projects: [{ ...imported, existingId, skipped, words }], entries, skipped, newProjects }.
+ */
+async function planImport(db, userId, timeZone, imported) {
+  const existing = await db.query(
+    'SELECT project_id, title FROM Project WHERE user_id = $1 AND deleted_at IS NULL',
+    [userId]
+  );
+  const idsByTitle = new Map(existing.rows.map(row => [row.title.toLowerCase(), row.project_id]));
+
+  const plan = { projects: [], entries: 0, skipped: 0, newProjects: 0 };
+  for (const project of imported.projects) {
+    const existingId = idsByTitle.get(project.title.toLowerCase()) || null;
+    let loggedDays = new Set();
+    if (existingId) {
+      const days = await db.query(
+        `SELECT DISTINCT to_char(${localDaySql()}, 'YYYY-MM-DD') AS day FROM ProgressLog WHERE project_id = $1`,
+        [existingId, timeZone]
+      );
+      loggedDays = new Set(days.rows.map(row => row.day));
+    } else {
+      plan.newProjects++;
+    }
+
+    const entries = project.entries
+      .map(entry => ({ ...entry, day: entry.day || dayIn(new Date(entry.at), timeZone) }))
+      .filter(entry => !loggedDays.has(entry.day));
+    const skipped = project.entries.length - entries.length;
+
+    plan.projects.push({
+      ...project,
+      entries,
+      existingId,
+      skipped,
+      words: entries.reduce((sum, entry) => sum + entry.words, 0)
+    });
+    plan.entries += entries.length;
+    plan.skipped += skipped;
+  }
+  return plan;
+}
+
+// A project from an import, with its goals. There is always an active total_words goal.
+async function createImportedProject(client, userId, project, timeZone) {
+  const firstDay = project.entries.map(entry => entry.day).sort()[0];
+  const startDate = project.startDate || firstDay || todayIn(timeZone);
+  const result = await client.query(
+    `INSERT INTO Project (user_id, title, genre, description, start_date, status, tags)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING project_id`,
+    [userId, project.title, project.genre || DEFAULT_GENRE, project.description, startDate,
+     project.status || 'drafting', project.tags]
+  );
+  const projectId = result.rows[0].project_id;
+  await addMember(client, projectId, userId, 'owner');
+
+  const goals = project.goals.filter(goal => GOAL_TYPES[goal.type] && goal.targetValue > 0);
+  if (!goals.some(goal => goal.type === 'total_words' && goal.isActive)) {
+    goals.push({ type: 'total_words', targetValue: DEFAULT_TARGET_WORDS, dailyTarget: DEFAULT_DAILY_GOAL, isActive: true });
+  }
+  for (const goal of goals) {
+    await client.query(
+      `INSERT INTO Goal (project_id, goal_type, target_value, daily_target, start_date, end_date, is_active, outcome)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [projectId, goal.type, goal.targetValue, goal.dailyTarget || null, goal.startDate || startDate,
+        goal.endDate || null, goal.isActive, goal.isActive ? null : goal.outcome]
+    );
+  }
+  return projectId;
+}
+
+/**
+ * Run an import for `actor` ({ userId, username }) in one transaction. Plain dates are logged
+ * at noon in the user's time zone. Returns the plan that was carried out.
+ */
+async function applyImport(db, actor, timeZone, imported) {
+  return db.transaction(async (client) => {
+    const plan = await planImport(client, actor.userId, timeZone, imported);
+
+    for (const project of plan.projects) {
+      if (project.existingId && project.entries.length === 0) continue;
+      const projectId = project.existingId || await createImportedProject(client, actor.userId, project, timeZone);
+
+      for (const entry of project.entries) {
+        await client.query(
+          `INSERT INTO ProgressLog (project_id, user_id, word_count, total_words, log_date)
+           VALUES ($1, $2, $3, 0, COALESCE(
+             $4::timestamptz AT TIME ZONE 'UTC',
+             ($5::date + TIME '12:00') AT TIME ZONE $6 AT TIME ZONE 'UTC'
+           ))`,
+          [projectId, actor.userId, entry.words, entry.at || null, entry.day, timeZone]
+        );
+      }
+      // Imported entries can predate existing ones, so every total after them moves
+      await recalculateTotals(client, projectId);
+
+      await recordAudit(client, actor, {
+        action: 'project.import',
+        entityType: 'project',
+        entityId: projectId,
+        entityLabel: project.title,
+        after: { created: !project.existingId, entries: project.entries.length, words: project.words }
+      });
+    }
+    return plan;
+  });
+}
+
+module.exports = { buildExport, exportCsv, parseImport, planImport, applyImport };
@@ -0,0 +1,68 @@
+/**
+ * CSV helpers
+ * Shared by the audit export and the data export/import. Output is RFC 4180 with CRLF line ends.
+ */
+
+// One CSV field. Text starting with = + - @ is prefixed so spreadsheets don't run it as a formula.
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A header row plus one line per row of values
+function toCsv(header, rows) {
+  const lines = rows.map(values => values.map(csvField).join(','));
+  return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+/**
+ * Split CSV text into rows of strings. Handles quoted fields with embedded commas,
+ * quotes and line breaks, a UTF-8 byte order mark, and CRLF or LF line ends.
+ * Blank lines are dropped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(values => values.some(value => value.trim() !== ''));
+}
+
+module.exports = { csvField, toCsv, parseCsv };
@@ -0,0 +1,58 @@
+/**
+ * Database connection (smart switch)
+ * Shared by the web app, the command-line scripts in scripts/ and the knex migrations.
+ */
+
+const { Pool, types, defaults } = require('pg');
+
+// TIMESTAMP columns (no time zone) hold UTC, so read them as UTC and send Dates as UTC,
+// whatever time zone the Node process runs in
+types.setTypeParser(types.builtins.TIMESTAMP, value => new Date(`${value.replace(' ', 'T')}Z`));
+defaults.parseInputDatesAsUTC = true;
+
+// We check for DB_HOST (your local .env) OR RDS_HOSTNAME (AWS default)
+const dbHost = process.env.DB_HOST || process.env.RDS_HOSTNAME || 'localhost';
+const dbUser = process.env.DB_USER || process.env.RDS_USERNAME;
+const dbPassword = process.env.DB_PASSWORD || process.env.RDS_PASSWORD;
+const dbName = process.env.DB_NAME || 'writinghelper'; // Default to writinghelper if not set
+
+// Detect if we are running locally
+const isLocal = dbHost === 'localhost' || dbHost === '127.0.0.1';
+
+// Also used by knexfile.js, so migrations run against the same database
+const connection = {
+  host: dbHost,
+  user: dbUser,
+  password: dbPassword,
+  database: dbName,
+  port: parseInt(process.env.DB_PORT) || 5432,
+  // SSL Configuration:
+  // - Localhost: SSL is disabled to prevent "server does not support SSL" errors.
+  // - AWS RDS: SSL is required. 'rejectUnauthorized: false' allows self-signed certs common in RDS.
+  ssl: isLocal ? false : { rejectUnauthorized: false },
+  // ...and have CURRENT_TIMESTAMP stored into them as UTC too, whatever the server's zone
+  options: '-c TimeZone=UTC'
+};
+
+const pool = new Pool(connection);
+
+const db = {
+  query: (text, params) => pool.query(text, params),
+  // Run several queries on one client inside BEGIN/COMMIT, rolling back if anything throws
+  transaction: async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+};
+
+module.exports = { pool, db, connection, dbHost, isLocal };
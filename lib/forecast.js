@@ -0,0 +1,69 @@
+/**
+ * Pace forecasting
+ * Uses recent writing velocity to predict when a goal will be finished and
+ * how many words a day are needed to hit its deadline.
+ */
+
+const { addDays } = require('./history');
+
+// How many days of recent logs count towards "current velocity"
+const VELOCITY_WINDOW_DAYS = 14;
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * @param {object} goal
+ * @param {number} goal.currentWords
+ * @param {number} goal.targetWords
+ * @param {string} goal.startDate - YYYY-MM-DD
+ * @param {?string} goal.deadline - YYYY-MM-DD, or null when the goal has none
+ * @param {number} goal.recentWords - words written in the last VELOCITY_WINDOW_DAYS days
+ * @param {string} today - YYYY-MM-DD in the writer's time zone
+ * @returns {{status: string, velocity: number, remaining: number, projectedFinish: ?string,
+ *            daysLeft: ?number, wordsPerDayNeeded: ?number, wordsAhead: ?number}}
+ *   status is one of 'complete', 'ahead', 'behind', 'overdue' or 'no_deadline'
+ */
+function forecastGoal({ currentWords, targetWords, startDate, deadline, recentWords }, today) {
+  const remaining = Math.max(0, targetWords - currentWords);
+  const velocity = Math.max(0, Math.round(recentWords / VELOCITY_WINDOW_DAYS));
+  const projectedFinish = remaining === 0
+    ? today
+    : velocity > 0 ? addDays(today, Math.ceil(remaining / velocity)) : null;
+
+  const forecast = {
+    status: 'no_deadline',
+    velocity,
+    remaining,
+    projectedFinish,
+    daysLeft: null,
+    wordsPerDayNeeded: null,
+    wordsAhead: null
+  };
+
+  if (remaining === 0) {
+    forecast.status = 'complete';
+    return forecast;
+  }
+  if (!deadline) return forecast;
+
+  // Today counts as a writing day, so a deadline of today leaves one day
+  forecast.daysLeft = daysBetween(today, deadline) + 1;
+  if (forecast.daysLeft <= 0) {
+    forecast.status = 'overdue';
+    return forecast;
+  }
+  forecast.wordsPerDayNeeded = Math.ceil(remaining / forecast.daysLeft);
+
+  // Compare against a straight line from 0 words at the start to the target at the deadline
+  const totalDays = Math.max(1, daysBetween(startDate || today, deadline) + 1);
+  const elapsedDays = Math.min(totalDays, Math.max(0, daysBetween(startDate || today, today)));
+  const expectedWords = Math.round(targetWords * (elapsedDays / totalDays));
+  forecast.wordsAhead = currentWords - expectedWords;
+  forecast.status = forecast.wordsAhead >= 0 ? 'ahead' : 'behind';
+
+  return forecast;
+}
+
+module.exports = { VELOCITY_WINDOW_DAYS, forecastGoal };
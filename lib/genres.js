@@ -0,0 +1,93 @@
+/**
+ * Genres
+ * The list the project forms offer, kept by managers. Projects store the genre's name,
+ * so renaming one here renames it on every project, and removing one leaves existing
+ * projects filed under it (their edit form keeps offering it).
+ */
+
+const MAX_GENRE_LENGTH = 100;
+
+// Check a genre name. Returns an error message, or null when it's fine.
+function validateGenreName(name) {
+  if (!name) return 'Please enter a genre.';
+  if (name.length > MAX_GENRE_LENGTH) return `Genres can be at most ${MAX_GENRE_LENGTH} characters.`;
+  return null;
+}
+
+async function listGenres(db) {
+  const result = await db.query('SELECT genre_id, name, position FROM Genre ORDER BY position, LOWER(name)');
+  return result.rows;
+}
+
+// The genre names a project may be given: the configured list, plus the one it already has
+async function genreChoices(db, current = null) {
+  const names = (await listGenres(db)).map(genre => genre.name);
+  return current && !names.includes(current) ? [...names, current] : names;
+}
+
+async function isGenre(db, name) {
+  const result = await db.query('SELECT 1 FROM Genre WHERE name = $1', [name]);
+  return result.rows.length > 0;
+}
+
+// Add a genre at the end of the list. Returns false if there's already one by that name.
+async function addGenre(db, name) {
+  const result = await db.query(
+    `INSERT INTO Genre (name, position)
+     SELECT $1, COALESCE(MAX(position), 0) + 1 FROM Genre
+     ON CONFLICT (name) DO NOTHING`,
+    [name]
+  );
+  return result.rowCount > 0;
+}
+
+// Rename a genre along with the projects filed under it. Returns the old name, or null
+// if there's no such genre; throws a unique violation (23505) if the name is taken.
+async function renameGenre(db, genreId, name) {
+  return db.transaction(async (client) => {
+    const genre = await client.query('SELECT name FROM Genre WHERE genre_id = $1 FOR UPDATE', [genreId]);
+    if (genre.rows.length === 0) return null;
+
+    const oldName = genre.rows[0].name;
+    await client.query('UPDATE Genre SET name = $1 WHERE genre_id = $2', [name, genreId]);
+    await client.query('UPDATE Project SET genre = $1 WHERE genre = $2', [name, oldName]);
+    return oldName;
+  });
+}
+
+// Take a genre off the list. Returns its name, or null if there's no such genre.
+async function deleteGenre(db, genreId) {
+  const result = await db.query('DELETE FROM Genre WHERE genre_id = $1 RETURNING name', [genreId]);
+  return result.rows.length > 0 ? result.rows[0].name : null;
+}
+
+// Swap a genre with its neighbour in the list (direction 'up' or 'down')
+async function moveGenre(db, genreId, direction) {
+  await db.transaction(async (client) => {
+    const genres = (await client.query(
+      'SELECT genre_id, position FROM Genre ORDER BY position, LOWER(name) FOR UPDATE'
+    )).rows;
+    const index = genres.findIndex(genre => genre.genre_id === genreId);
+    const other = index === -1 ? -1 : index + (direction === 'up' ? -1 : 1);
+    if (other < 0 || other >= genres.length) return;
+
+    // Renumber so ties from older rows don't stop the swap
+    [genres[index], genres[other]] = [genres[other], genres[index]];
+    for (const [i, genre] of genres.entries()) {
+      if (genre.position !== i + 1) {
+        await client.query('UPDATE Genre SET position = $1 WHERE genre_id = $2', [i + 1, genre.genre_id]);
+      }
+    }
+  });
+}
+
+module.exports = {
+  validateGenreName,
+  listGenres,
+  genreChoices,
+  isGenre,
+  addGenre,
+  renameGenre,
+  deleteGenre,
+  moveGenre
+};
@@ -0,0 +1,89 @@
+/**
+ * Google Docs access
+ * Refresh tokens are stored per user (encrypted) so documents can be synced
+ * in the background, long after the browser session that authorized them is gone.
+ */
+
+const { google } = require('googleapis');
+const { hasEncryptionKey, encrypt, decrypt } = require('./secrets');
+
+const DOCS_SCOPES = ['https://www.googleapis.com/auth/documents.readonly'];
+
+// GOOGLE_API_URL sends Docs API and token requests somewhere other than Google,
+// e.g. the fake Google the tests run (test/fake-google.js)
+function apiUrl() {
+  return process.env.GOOGLE_API_URL || null;
+}
+
+function createOAuthClient() {
+  return new google.auth.OAuth2({
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    redirectUri: process.env.GOOGLE_REDIRECT_URI,
+    endpoints: apiUrl() ? { oauth2TokenUrl: new URL('token', apiUrl()).href } : {}
+  });
+}
+
+// Google only hands out a refresh token on the consent screen, so always show it
+function googleAuthUrl() {
+  return createOAuthClient().generateAuthUrl({
+    access_type: 'offline',
+    prompt: 'consent',
+    scope: DOCS_SCOPES
+  });
+}
+
+// Swap an OAuth callback code for tokens and keep the refresh token for later.
+// Returns false when Google didn't send one (nothing is stored then).
+// Throws without asking Google when ENCRYPTION_KEY isn't set, as the token couldn't be stored safely.
+async function connectGoogleAccount(db, userId, code) {
+  if (!hasEncryptionKey()) throw new Error('Google cannot be connected: ENCRYPTION_KEY is not set');
+  const { tokens } = await createOAuthClient().getToken(code);
+  if (!tokens.refresh_token) return false;
+
+  await db.query(
+    `INSERT INTO GoogleCredential (user_id, refresh_token, updated_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP)
+     ON CONFLICT (user_id) DO UPDATE SET refresh_token = EXCLUDED.refresh_token, updated_at = EXCLUDED.updated_at`,
+    [userId, encrypt(tokens.refresh_token)]
+  );
+  return true;
+}
+
+async function disconnectGoogleAccount(db, userId) {
+  await db.query('DELETE FROM GoogleCredential WHERE user_id = $1', [userId]);
+}
+
+// An authorized client for the user, or null if they haven't connected Google.
+// Access tokens are fetched (and refreshed) by the client as needed.
+async function googleClientFor(db, userId) {
+  const result = await db.query('SELECT refresh_token FROM GoogleCredential WHERE user_id = $1', [userId]);
+  if (result.rows.length === 0) return null;
+
+  const client = createOAuthClient();
+  client.setCredentials({ refresh_token: decrypt(result.rows[0].refresh_token) });
+  return client;
+}
+
+// The document's structural JSON (body.content is a list of paragraphs, tables, ...)
+async function fetchDocument(client, docId) {
+  const docs = google.docs({ version: 'v1', auth: client, ...(apiUrl() && { rootUrl: apiUrl() }) });
+  const doc = await docs.documents.get({ documentId: docId });
+  return doc.data;
+}
+
+// Errors that mean the stored grant is no good any more and the user has to reconnect
+function isGoogleAuthError(err) {
+  if (err.code === 401 || err.code === '401') return true;
+  const reason = err.response && err.response.data && err.response.data.error;
+  return reason === 'invalid_grant' || err.message === 'invalid_grant';
+}
+
+module.exports = {
+  googleAuthUrl,
+  connectGoogleAccount,
+  disconnectGoogleAccount,
+  googleClientFor,
+  fetchDocument,
+  isGoogleAuthError
+};
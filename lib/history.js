@@ -0,0 +1,131 @@
+/**
+ * Daily writing history
+ * Turns per-day word totals into streaks, rolling averages and a calendar heatmap.
+ * Days are 'YYYY-MM-DD' strings already converted to the writer's time zone.
+ */
+
+const CALENDAR_WEEKS = 53;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// The calendar date of `date` in the given time zone ('en-CA' formats as YYYY-MM-DD)
+function dayIn(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+// Today's date in the given time zone
+function todayIn(timeZone) {
+  return dayIn(new Date(), timeZone);
+}
+
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function dayOfWeek(day) {
+  return new Date(`${day}T00:00:00Z`).getUTCDay();
+}
+
+// Heatmap shade: 0 = nothing written, 4 = well past the daily target
+function heatLevel(words, dailyTarget) {
+  if (words <= 0) return 0;
+  const ratio = words / dailyTarget;
+  if (ratio < 0.5) return 1;
+  if (ratio < 1) return 2;
+  if (ratio < 1.5) return 3;
+  return 4;
+}
+
+// Current and longest run of consecutive days that met the daily target.
+// Today not being met yet doesn't break the current streak - there's still time.
+function computeStreaks(wordsByDay, dailyTarget, today) {
+  const met = day => (wordsByDay.get(day) || 0) >= dailyTarget;
+
+  let currentStreak = 0;
+  let cursor = met(today) ? today : addDays(today, -1);
+  while (met(cursor)) {
+    currentStreak++;
+    cursor = addDays(cursor, -1);
+  }
+
+  let longestStreak = 0;
+  let run = 0;
+  let previous = null;
+  [...wordsByDay.keys()].sort().forEach(day => {
+    if (!met(day)) {
+      run = 0;
+    } else {
+      run = previous && addDays(previous, 1) === day && met(previous) ? run + 1 : 1;
+      longestStreak = Math.max(longestStreak, run);
+    }
+    previous = day;
+  });
+
+  return { currentStreak, longestStreak };
+}
+
+// Average words per day over the last `days` days including today
+function rollingAverage(wordsByDay, today, days) {
+  let total = 0;
+  for (let i = 0; i < days; i++) {
+    total += wordsByDay.get(addDays(today, -i)) || 0;
+  }
+  return Math.round(total / days);
+}
+
+// Weeks of Sunday-first cells ending with the current week; days after today are null
+function buildCalendar(wordsByDay, dailyTarget, today) {
+  const start = addDays(today, -((CALENDAR_WEEKS - 1) * 7) - dayOfWeek(today));
+  const weeks = [];
+  let lastMonth = null;
+
+  for (let w = 0; w < CALENDAR_WEEKS; w++) {
+    const days = [];
+    for (let d = 0; d < 7; d++) {
+      const day = addDays(start, w * 7 + d);
+      if (day > today) {
+        days.push(null);
+      } else {
+        const words = wordsByDay.get(day) || 0;
+        days.push({ date: day, words, level: heatLevel(words, dailyTarget) });
+      }
+    }
+
+    // Label a column when a new month starts in it
+    const month = parseInt(addDays(start, w * 7).slice(5, 7)) - 1;
+    weeks.push({ monthLabel: month !== lastMonth ? MONTHS[month] : '', days });
+    lastMonth = month;
+  }
+  return weeks;
+}
+
+/**
+ * Summarize a project's writing history.
+ * @param {Array<{day: string, words: number}>} days - words written per local day
+ * @param {number} dailyTarget - words needed for a day to count towards a streak
+ * @param {string} today - today's date in the writer's time zone
+ */
+function summarizeHistory(days, dailyTarget, today) {
+  const wordsByDay = new Map(days.map(d => [d.day, d.words]));
+
+  const bestDay = days.reduce((best, d) => (!best || d.words > best.words ? d : best), null);
+  const { currentStreak, longestStreak } = computeStreaks(wordsByDay, dailyTarget, today);
+
+  return {
+    currentStreak,
+    longestStreak,
+    bestDay: bestDay && bestDay.words > 0 ? bestDay : null,
+    average7: rollingAverage(wordsByDay, today, 7),
+    average30: rollingAverage(wordsByDay, today, 30),
+    daysWritten: days.filter(d => d.words > 0).length,
+    calendar: buildCalendar(wordsByDay, dailyTarget, today)
+  };
+}
+
+module.exports = { dayIn, todayIn, addDays, computeStreaks, summarizeHistory };
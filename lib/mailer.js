@@ -0,0 +1,83 @@
+/**
+ * Pluggable mail transport
+ * MAIL_TRANSPORT picks where outgoing mail goes:
+ *   - 'smtp'    → sent through nodemailer using the SMTP_* settings
+ *   - 'file'    → written as a text file into MAIL_DIR (handy for local dev)
+ *   - 'console' → printed to the server log (default)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Word Count Tracker <no-reply@localhost>';
+
+// Formats a message the same way for the file and console transports
+function formatMessage({ from, to, subject, text }) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    '',
+    text
+  ].join('\n');
+}
+
+function smtpTransport() {
+  // Only required when SMTP is actually used so dev setups don't need it configured
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: message => transporter.sendMail(message)
+  };
+}
+
+function fileTransport(dir) {
+  return {
+    name: 'file',
+    send: async message => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const file = path.join(dir, `${Date.now()}-${safeTo}.txt`);
+      await fs.promises.writeFile(file, formatMessage(message));
+      console.log(`📧 Mail written to ${file}`);
+    }
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: 'console',
+    send: async message => {
+      console.log(`📧 ---- Outgoing mail ----\n${formatMessage(message)}\n📧 -----------------------`);
+    }
+  };
+}
+
+// Build a mailer for the configured transport. send() takes { to, subject, text }.
+function createMailer(transportName = process.env.MAIL_TRANSPORT || 'console') {
+  let transport;
+  if (transportName === 'smtp') {
+    transport = smtpTransport();
+  } else if (transportName === 'file') {
+    transport = fileTransport(process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox'));
+  } else {
+    transport = consoleTransport();
+  }
+
+  return {
+    transport: transport.name,
+    send: ({ to, subject, text }) => transport.send({ from: MAIL_FROM, to, subject, text })
+  };
+}
+
+module.exports = { createMailer };
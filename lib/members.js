@@ -0,0 +1,132 @@
+/**
+ * Project members
+ * Every project has one owner (Project.user_id) and may have co-authors and viewers.
+ * Owners manage the project and its members, co-authors log words alongside them, and
+ * viewers only see the numbers. Each ProgressLog row records the member who wrote it,
+ * which is where the per-author totals come from.
+ */
+
+const PROJECT_ROLES = {
+  owner: 'Owner',
+  co_author: 'Co-author',
+  viewer: 'Viewer'
+};
+
+// The roles an owner can give someone; a project's owner never changes
+const INVITABLE_ROLES = ['co_author', 'viewer'];
+
+// view: see the project, its goals, history and chapters
+// write: log words, sync, run sprints, add history entries
+// manage: edit or delete the project, its goals, chapter targets and members
+const ROLE_ACCESS = {
+  owner: ['view', 'write', 'manage'],
+  co_author: ['view', 'write'],
+  viewer: ['view']
+};
+
+function hasAccess(role, access) {
+  return Boolean(ROLE_ACCESS[role] && ROLE_ACCESS[role].includes(access));
+}
+
+// Flags the views use to decide which buttons to show, for a row from projectSummarySql
+function withAccess(project) {
+  project.canWrite = hasAccess(project.role, 'write');
+  project.canManage = hasAccess(project.role, 'manage');
+  return project;
+}
+
+// Current members, owner first, with the words each has logged on the project
+async function listMembers(db, projectId) {
+  const result = await db.query(
+    `SELECT m.user_id, m.role, m.added_at, u.username, u.first_name, u.last_name,
+            COALESCE(w.words, 0)::int AS words
+     FROM ProjectMember m
+     INNER JOIN "users" u ON u.user_id = m.user_id AND u.deleted_at IS NULL
+     LEFT JOIN LATERAL (
+       SELECT SUM(word_count) AS words FROM ProgressLog
+       WHERE project_id = m.project_id AND user_id = m.user_id
+     ) w ON true
+     WHERE m.project_id = $1
+     ORDER BY m.role = 'owner' DESC, m.role = 'co_author' DESC, LOWER(u.username)`,
+    [projectId]
+  );
+  return result.rows;
+}
+
+// Words logged on the project per author, most first. Includes people who are no longer
+// members; rows whose author's account was purged are grouped under a null user_id.
+async function authorTotals(db, projectId) {
+  const result = await db.query(
+    `SELECT pl.user_id, u.username, u.first_name, u.last_name, m.role,
+            SUM(pl.word_count)::int AS words, COUNT(*)::int AS entries, MAX(pl.log_date) AS last_logged_at
+     FROM ProgressLog pl
+     LEFT JOIN "users" u ON u.user_id = pl.user_id
+     LEFT JOIN ProjectMember m ON m.project_id = pl.project_id AND m.user_id = pl.user_id
+     WHERE pl.project_id = $1
+     GROUP BY pl.user_id, u.username, u.first_name, u.last_name, m.role
+     ORDER BY words DESC, LOWER(u.username)`,
+    [projectId]
+  );
+  return result.rows;
+}
+
+// An active account by username or email, for inviting, or null
+async function findInvitee(db, identifier) {
+  const result = await db.query(
+    `SELECT user_id, username, email, first_name FROM "users"
+     WHERE (LOWER(username) = LOWER($1) OR LOWER(email) = LOWER($1)) AND deleted_at IS NULL
+     ORDER BY LOWER(username) = LOWER($1) DESC
+     LIMIT 1`,
+    [identifier]
+  );
+  return result.rows[0] || null;
+}
+
+// Returns false if they're already a member (their role is left alone then)
+async function addMember(db, projectId, userId, role, addedBy = null) {
+  const result = await db.query(
+    `INSERT INTO ProjectMember (project_id, user_id, role, added_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (project_id, user_id) DO NOTHING`,
+    [projectId, userId, role, addedBy]
+  );
+  return result.rowCount > 0;
+}
+
+// Change a co-author or viewer's role. Returns the old role, or null if there's no such member.
+async function setMemberRole(db, projectId, userId, role) {
+  const result = await db.query(
+    `UPDATE ProjectMember m SET role = $3
+     FROM ProjectMember old
+     WHERE m.project_id = $1 AND m.user_id = $2 AND m.role <> 'owner'
+       AND old.project_id = m.project_id AND old.user_id = m.user_id
+     RETURNING old.role`,
+    [projectId, userId, role]
+  );
+  return result.rows.length > 0 ? result.rows[0].role : null;
+}
+
+// Take a co-author or viewer off the project; the words they logged stay credited to them.
+// Returns their old role, or null if there's no such member.
+async function removeMember(db, projectId, userId) {
+  const result = await db.query(
+    `DELETE FROM ProjectMember
+     WHERE project_id = $1 AND user_id = $2 AND role <> 'owner'
+     RETURNING role`,
+    [projectId, userId]
+  );
+  return result.rows.length > 0 ? result.rows[0].role : null;
+}
+
+module.exports = {
+  PROJECT_ROLES,
+  INVITABLE_ROLES,
+  hasAccess,
+  withAccess,
+  listMembers,
+  authorTotals,
+  findInvitee,
+  addMember,
+  setMemberRole,
+  removeMember
+};
@@ -0,0 +1,340 @@
+/**
+ * Notifications
+ * A background check (startNotificationChecks) looks at every account every few minutes and
+ * leaves in-app notifications for the things its owner asked to hear about: no words yet
+ * today by their reminder hour, a streak about to end, goal milestones, a deadline coming
+ * up and document sync failures. Each notification has a key, so the same thing is only
+ * ever notified once. Users who turn on the email digest also get one email a day, after
+ * their reminder hour, with whatever they haven't seen yet, through lib/mailer.
+ */
+
+const { dayIn, addDays, computeStreaks } = require('./history');
+const { GOAL_TYPES, localDaySql, projectSummarySql, goalProgressSql, closeFinishedSprints } = require('./projects');
+const { hasAccess } = require('./members');
+
+const NOTIFICATION_KINDS = {
+  no_words_today: 'No words logged yet today by my reminder time',
+  streak_at_risk: 'A writing streak is about to end',
+  goal_milestone: 'A goal reaches 25%, 50%, 75% or 100%',
+  deadline_approaching: 'A deadline is coming up',
+  sync_failed: "A linked document couldn't be synced"
+};
+
+const MILESTONES = [25, 50, 75, 100];
+// Goals that reset every day or week only notify when they're met
+const PERIODIC_GOAL_TYPES = ['words_per_day', 'words_per_week', 'sessions_per_week'];
+const DEADLINE_WARNING_DAYS = 7;
+const DEFAULT_REMINDER_HOUR = 20;
+
+// A NotificationPreference row (or none) as { kinds, reminderHour, emailDigest }
+function preferencesFrom(row) {
+  if (!row || !row.kinds) {
+    return { kinds: Object.keys(NOTIFICATION_KINDS), reminderHour: DEFAULT_REMINDER_HOUR, emailDigest: false };
+  }
+  return { kinds: row.kinds, reminderHour: row.reminder_hour, emailDigest: row.email_digest };
+}
+
+async function getPreferences(db, userId) {
+  const result = await db.query(
+    'SELECT kinds, reminder_hour, email_digest FROM NotificationPreference WHERE user_id = $1',
+    [userId]
+  );
+  return preferencesFrom(result.rows[0]);
+}
+
+// Unknown kinds are dropped and the hour is clamped to 0-23
+async function savePreferences(db, userId, { kinds, reminderHour, emailDigest }) {
+  const hour = Math.min(23, Math.max(0, parseInt(reminderHour) || 0));
+  await db.query(
+    `INSERT INTO NotificationPreference (user_id, kinds, reminder_hour, email_digest)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id) DO UPDATE
+     SET kinds = EXCLUDED.kinds, reminder_hour = EXCLUDED.reminder_hour, email_digest = EXCLUDED.email_digest`,
+    [userId, kinds.filter(kind => NOTIFICATION_KINDS[kind]), hour, Boolean(emailDigest)]
+  );
+}
+
+// Returns false if there's already a notification with this key
+async function notify(db, userId, { kind, key, message, projectId = null, link = null }) {
+  const result = await db.query(
+    `INSERT INTO Notification (user_id, project_id, kind, notification_key, message, link)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id, notification_key) DO NOTHING`,
+    [userId, projectId, kind, key, message, link]
+  );
+  return result.rowCount > 0;
+}
+
+async function listNotifications(db, userId, limit = 100) {
+  const result = await db.query(
+    `SELECT notification_id, project_id, kind, message, link, created_at, read_at
+     FROM Notification
+     WHERE user_id = $1
+     ORDER BY created_at DESC, notification_id DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+  return result.rows;
+}
+
+async function countUnread(db, userId) {
+  const result = await db.query(
+    'SELECT COUNT(*)::int AS unread FROM Notification WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].unread;
+}
+
+async function markAllRead(db, userId) {
+  await db.query(
+    'UPDATE Notification SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+}
+
+// The hour (0-23) it is at `now` in the given time zone
+function hourIn(now, timeZone) {
+  return parseInt(new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', hourCycle: 'h23' }).format(now));
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+// Monday of the week `day` is in, matching goalProgressSql's weeks
+function weekStart(day) {
+  return addDays(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7));
+}
+
+async function checkNoWordsToday(db, user, projects, today) {
+  if (!projects.some(project => hasAccess(project.role, 'write'))) return 0;
+  const result = await db.query(
+    `SELECT COALESCE(SUM(word_count), 0)::int AS words
+     FROM ProgressLog
+     WHERE user_id = $1 AND ${localDaySql()} = $3::date`,
+    [user.user_id, user.time_zone, today]
+  );
+  if (result.rows[0].words > 0) return 0;
+
+  const created = await notify(db, user.user_id, {
+    kind: 'no_words_today',
+    key: `no_words_today:${today}`,
+    message: "You haven't logged any words today. Even a few hundred keeps the habit going.",
+    link: '/dashboard'
+  });
+  return created ? 1 : 0;
+}
+
+// Projects where yesterday's words met the daily target but today's haven't yet
+async function checkStreaks(db, user, projects, today) {
+  let created = 0;
+  for (const project of projects) {
+    if (!hasAccess(project.role, 'write') || project.words_today >= project.daily_goal) continue;
+
+    const days = await db.query(
+      `SELECT to_char(${localDaySql()}, 'YYYY-MM-DD') AS day, SUM(word_count)::int AS words
+       FROM ProgressLog
+       WHERE project_id = $1
+       GROUP BY 1`,
+      [project.id, user.time_zone]
+    );
+    const wordsByDay = new Map(days.rows.map(d => [d.day, d.words]));
+    const { currentStreak } = computeStreaks(wordsByDay, project.daily_goal, today);
+    if (currentStreak === 0) continue;
+
+    const remaining = project.daily_goal - (wordsByDay.get(today) || 0);
+    if (await notify(db, user.user_id, {
+      kind: 'streak_at_risk',
+      key: `streak_at_risk:${project.id}:${today}`,
+      projectId: project.id,
+      message: `Your ${currentStreak}-day streak on "${project.title}" ends at midnight. ` +
+        `${remaining.toLocaleString()} more words today keeps it going.`,
+      link: `/history/${project.id}`
+    })) created++;
+  }
+  return created;
+}
+
+// Only the highest milestone reached is notified, so a goal that jumps from 10% to 80%
+// gets one notification rather than three
+async function checkMilestones(db, user, projects, today) {
+  const titles = new Map(projects.map(project => [project.id, project.title]));
+  const goals = await db.query(goalProgressSql('AND g.is_active = true'), [user.user_id, user.time_zone]);
+  let created = 0;
+
+  for (const goal of goals.rows) {
+    if (!titles.has(goal.project_id) || !(goal.target_value > 0)) continue;
+    const periodic = PERIODIC_GOAL_TYPES.includes(goal.goal_type);
+    const percent = (goal.progress / goal.target_value) * 100;
+    const milestone = MILESTONES.filter(m => percent >= m && (!periodic || m === 100)).pop();
+    if (!milestone) continue;
+
+    const period = goal.goal_type === 'words_per_day' ? today : periodic ? weekStart(today) : 'all';
+    const label = GOAL_TYPES[goal.goal_type].label.toLowerCase();
+    const title = titles.get(goal.project_id);
+    if (await notify(db, user.user_id, {
+      kind: 'goal_milestone',
+      key: `goal_milestone:${goal.goal_id}:${period}:${milestone}`,
+      projectId: goal.project_id,
+      message: milestone === 100
+        ? `"${title}" reached its ${label} goal of ${goal.target_value.toLocaleString()}! 🎉`
+        : `"${title}" is ${milestone}% of the way to its ${label} goal ` +
+          `(${goal.progress.toLocaleString()} of ${goal.target_value.toLocaleString()}).`,
+      link: `/goals/${goal.project_id}`
+    })) created++;
+  }
+  return created;
+}
+
+async function checkDeadlines(db, user, projects, today) {
+  let created = 0;
+  for (const project of projects) {
+    if (!project.deadline || project.status === 'complete' || project.current_words >= project.target_words) continue;
+    const daysLeft = daysBetween(today, project.deadline);
+    if (daysLeft < 0 || daysLeft > DEADLINE_WARNING_DAYS) continue;
+
+    const when = daysLeft === 0 ? 'today' : daysLeft === 1 ? 'tomorrow' : `in ${daysLeft} days`;
+    if (await notify(db, user.user_id, {
+      kind: 'deadline_approaching',
+      key: `deadline_approaching:${project.goal_id}:${project.deadline}`,
+      projectId: project.id,
+      message: `"${project.title}" is due ${when} with ` +
+        `${(project.target_words - project.current_words).toLocaleString()} words to go.`,
+      link: `/goals/${project.id}`
+    })) created++;
+  }
+  return created;
+}
+
+// The owner hears about each failure once, until a sync succeeds again
+async function checkSyncFailures(db, user, projects) {
+  let created = 0;
+  for (const project of projects) {
+    if (project.owner_id !== user.user_id || !project.last_sync_error) continue;
+    const lastSynced = project.last_synced_at ? project.last_synced_at.toISOString() : 'never';
+    if (await notify(db, user.user_id, {
+      kind: 'sync_failed',
+      key: `sync_failed:${project.id}:${lastSynced}`,
+      projectId: project.id,
+      message: `"${project.title}" couldn't be synced: ${project.last_sync_error}`,
+      link: '/dashboard'
+    })) created++;
+  }
+  return created;
+}
+
+// One email with everything unread that hasn't been emailed yet. Returns whether one was sent.
+async function sendDigest(db, mailer, user, today, baseUrl) {
+  const pending = await db.query(
+    `SELECT notification_id, message FROM Notification
+     WHERE user_id = $1 AND read_at IS NULL AND emailed_at IS NULL
+     ORDER BY created_at, notification_id`,
+    [user.user_id]
+  );
+  if (pending.rows.length === 0) return false;
+
+  await mailer.send({
+    to: user.email,
+    subject: `Word Count Tracker: ${pending.rows.length} new notification${pending.rows.length === 1 ? '' : 's'}`,
+    text: `Hi ${user.first_name || user.username},\n\n` +
+      pending.rows.map(n => `- ${n.message}`).join('\n') +
+      `\n\nSee them all at ${baseUrl}/notifications\n\n` +
+      `You're getting this because you turned on the daily digest. You can turn it off on the same page.`
+  });
+  await db.query(
+    'UPDATE Notification SET emailed_at = CURRENT_TIMESTAMP WHERE notification_id = ANY($1)',
+    [pending.rows.map(n => n.notification_id)]
+  );
+  await db.query('UPDATE NotificationPreference SET last_digest_on = $2 WHERE user_id = $1', [user.user_id, today]);
+  return true;
+}
+
+/**
+ * Close expired sprints, then run every check for every active account. `now` decides the hour and day in each user's
+ * time zone; `mailer` and `baseUrl` (for links) are needed for the email digest.
+ * Returns { created, emailed }.
+ */
+async function runNotificationChecks(db, { now = new Date(), mailer = null, baseUrl = '' } = {}) {
+  await closeFinishedSprints(db);
+  const users = await db.query(
+    `SELECT u.user_id, u.username, u.email, u.first_name, u.time_zone,
+            np.kinds, np.reminder_hour, np.email_digest, to_char(np.last_digest_on, 'YYYY-MM-DD') AS last_digest_on
+     FROM "users" u
+     LEFT JOIN NotificationPreference np ON np.user_id = u.user_id
+     WHERE u.deleted_at IS NULL
+     ORDER BY u.user_id`
+  );
+  const summary = { created: 0, emailed: 0 };
+
+  for (const user of users.rows) {
+    try {
+      const preferences = preferencesFrom(user);
+      const wants = kind => preferences.kinds.includes(kind);
+      const today = dayIn(now, user.time_zone);
+      const pastReminder = hourIn(now, user.time_zone) >= preferences.reminderHour;
+
+      const result = await db.query(projectSummarySql("AND p.status <> 'archived'"), [user.user_id, user.time_zone]);
+      const projects = result.rows;
+      const drafting = projects.filter(project => project.status !== 'complete');
+
+      if (wants('no_words_today') && pastReminder) summary.created += await checkNoWordsToday(db, user, drafting, today);
+      if (wants('streak_at_risk') && pastReminder) summary.created += await checkStreaks(db, user, drafting, today);
+      if (wants('goal_milestone')) summary.created += await checkMilestones(db, user, projects, today);
+      if (wants('deadline_approaching')) summary.created += await checkDeadlines(db, user, drafting, today);
+      if (wants('sync_failed')) summary.created += await checkSyncFailures(db, user, projects);
+
+      if (mailer && preferences.emailDigest && user.email && pastReminder && user.last_digest_on !== today) {
+        if (await sendDigest(db, mailer, user, today, baseUrl)) summary.emailed++;
+      }
+    } catch (err) {
+      console.error(`Notification check error for ${user.username}:`, err);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Run runNotificationChecks every `intervalMinutes`, like the sync scheduler.
+ * Returns a function that stops it.
+ */
+function startNotificationChecks(db, intervalMinutes, options) {
+  let timer = null;
+  let stopped = false;
+
+  async function run() {
+    try {
+      const summary = await runNotificationChecks(db, options);
+      if (summary.created > 0 || summary.emailed > 0) {
+        console.log(`🔔 Notifications: ${summary.created} new, ${summary.emailed} digests emailed`);
+      }
+    } catch (err) {
+      console.error('Notification check error:', err);
+    }
+    schedule();
+  }
+
+  function schedule() {
+    if (stopped) return;
+    timer = setTimeout(run, intervalMinutes * 60 * 1000);
+    // Don't keep the process alive just for the checks
+    timer.unref();
+  }
+
+  schedule();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = {
+  NOTIFICATION_KINDS,
+  getPreferences,
+  savePreferences,
+  notify,
+  listNotifications,
+  countUnread,
+  markAllRead,
+  runNotificationChecks,
+  startNotificationChecks
+};
@@ -0,0 +1,53 @@
+/**
+ * Password hashing
+ * Passwords are stored in Security.password_text as
+ *   scrypt$<N>$<r>$<p>$<salt hex>$<hash hex>
+ * Anything without the scrypt$ prefix is a legacy plaintext row waiting to be upgraded.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+// Cost parameters are stored with every hash, so raising them later only affects new hashes
+const COST = { N: 16384, r: 8, p: 1 };
+
+function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${PREFIX}$`);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_LENGTH, COST);
+  return [PREFIX, COST.N, COST.r, COST.p, salt.toString('hex'), key.toString('hex')].join('$');
+}
+
+// Returns { valid, needsUpgrade }. needsUpgrade is true when a correct password
+// was checked against a plaintext row and should be re-saved as a hash.
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return { valid: false, needsUpgrade: false };
+  }
+
+  if (!isHashed(stored)) {
+    const a = Buffer.from(password);
+    const b = Buffer.from(stored);
+    const valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+    return { valid, needsUpgrade: valid };
+  }
+
+  const [, N, r, p, saltHex, keyHex] = stored.split('$');
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+  return { valid: crypto.timingSafeEqual(actual, expected), needsUpgrade: false };
+}
+
+module.exports = { isHashed, hashPassword, verifyPassword };
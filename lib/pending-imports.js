@@ -0,0 +1,60 @@
+/**
+ * Import previews waiting to be confirmed
+ * The parsed file is kept on disk as <UPLOAD_DIR>/imports/<random id>.json, so the session
+ * only holds the id rather than the whole import. Confirming or cancelling the preview
+ * deletes the file; ones left behind are removed once they're older than a session lasts.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const MAX_AGE_MS = 8 * 60 * 60 * 1000;
+const ID_PATTERN = /^[0-9a-f]{32}$/;
+
+function importDir() {
+  return path.resolve(process.env.UPLOAD_DIR || 'uploads', 'imports');
+}
+
+function importPath(id) {
+  return ID_PATTERN.test(id || '') ? path.join(importDir(), `${id}.json`) : null;
+}
+
+async function removeExpired() {
+  const files = await fs.readdir(importDir()).catch(() => []);
+  for (const file of files) {
+    const full = path.join(importDir(), file);
+    const stat = await fs.stat(full).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > MAX_AGE_MS) await fs.rm(full, { force: true });
+  }
+}
+
+// Keep a parsed import until it's confirmed. Returns its id.
+async function savePendingImport(imported) {
+  await removeExpired();
+  await fs.mkdir(importDir(), { recursive: true });
+  const id = crypto.randomBytes(16).toString('hex');
+  await fs.writeFile(importPath(id), JSON.stringify(imported));
+  return id;
+}
+
+// The import saved under id, which is deleted; null if there's none (or it has expired)
+async function takePendingImport(id) {
+  const file = importPath(id);
+  if (!file) return null;
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  } finally {
+    await fs.rm(file, { force: true });
+  }
+}
+
+async function discardPendingImport(id) {
+  const file = importPath(id);
+  if (file) await fs.rm(file, { force: true });
+}
+
+module.exports = { savePendingImport, takePendingImport, discardPendingImport };
@@ -0,0 +1,146 @@
+/**
+ * Writing progress
+ * Every ProgressLog row is written through here so word_count (the change)
+ * and total_words (the running total) always agree with each other.
+ * Rows are credited to the member who wrote them (userId), for the per-author totals,
+ * and every new row gives that member any achievements it earns them (lib/achievements).
+ */
+
+const { awardAchievements } = require('./achievements');
+
+async function latestTotal(db, projectId) {
+  const result = await db.query(
+    `SELECT total_words FROM ProgressLog
+     WHERE project_id = $1 ORDER BY log_date DESC, log_id DESC LIMIT 1`,
+    [projectId]
+  );
+  return result.rows.length > 0 ? result.rows[0].total_words : 0;
+}
+
+// Run fn(client) with the project's row locked, so two logs arriving at once take turns
+// instead of both adding to the same previous total. Given a client, the caller's
+// transaction holds the lock; given the pool, fn runs in a transaction of its own.
+// Rows are stamped with statement_timestamp() rather than the transaction's start, so a
+// log that waited for the lock still sorts after the one it waited on.
+async function withProjectLocked(db, projectId, fn) {
+  const locked = async client => {
+    await client.query('SELECT project_id FROM Project WHERE project_id = $1 FOR UPDATE', [projectId]);
+    return fn(client);
+  };
+  return db.transaction ? db.transaction(locked) : locked(db);
+}
+
+// Log `words` newly written words (may be negative after cuts) by userId.
+// logDate defaults to now; durationSeconds is how long the session took, if known.
+// Returns the inserted row.
+async function addWords(db, projectId, userId, words, logDate = null, durationSeconds = null) {
+  const row = await withProjectLocked(db, projectId, async client => {
+    const previousTotal = await latestTotal(client, projectId);
+    const result = await client.query(
+      `INSERT INTO ProgressLog (project_id, user_id, word_count, total_words, log_date, duration_seconds)
+       VALUES ($1, $2, $3, $4, COALESCE($5, statement_timestamp() AT TIME ZONE 'UTC'), $6)
+       RETURNING *`,
+      [projectId, userId, words, previousTotal + words, logDate, durationSeconds]
+    );
+    return result.rows[0];
+  });
+  await awardAchievements(db, userId);
+  return row;
+}
+
+// Record that the project now stands at `total` words (manual override or document sync),
+// crediting the difference to userId.
+// Nothing is written when the total hasn't changed; returns the inserted row or null.
+async function setTotal(db, projectId, userId, total) {
+  const row = await withProjectLocked(db, projectId, async client => {
+    const previousTotal = await latestTotal(client, projectId);
+    if (total === previousTotal) return null;
+
+    const result = await client.query(
+      `INSERT INTO ProgressLog (project_id, user_id, word_count, total_words, log_date)
+       VALUES ($1, $2, $3, $4, statement_timestamp() AT TIME ZONE 'UTC')
+       RETURNING *`,
+      [projectId, userId, total - previousTotal, total]
+    );
+    return result.rows[0];
+  });
+  if (row) await awardAchievements(db, userId);
+  return row;
+}
+
+// Rewrite total_words as the running sum of word_count in log_date order. Needed after rows
+// are inserted out of order, edited or deleted, so later totals include the change.
+async function recalculateTotals(db, projectId) {
+  await db.query(
+    `UPDATE ProgressLog pl
+     SET total_words = running.total
+     FROM (
+       SELECT log_id, SUM(word_count) OVER (ORDER BY log_date, log_id)::int AS total
+       FROM ProgressLog
+       WHERE project_id = $1
+     ) running
+     WHERE pl.log_id = running.log_id AND pl.total_words IS DISTINCT FROM running.total`,
+    [projectId]
+  );
+}
+
+// ---------------- CORRECTIONS ----------------
+// Entries edited from the log history page. Days are 'YYYY-MM-DD' in the writer's time zone ($tz).
+
+// One entry with its local day, or null if it doesn't belong to the project
+async function findEntry(db, projectId, logId, timeZone) {
+  const result = await db.query(
+    `SELECT log_id, project_id, user_id, word_count, total_words, log_date,
+            to_char((log_date AT TIME ZONE 'UTC' AT TIME ZONE $3)::date, 'YYYY-MM-DD') AS day
+     FROM ProgressLog
+     WHERE log_id = $1 AND project_id = $2`,
+    [logId, projectId, timeZone]
+  );
+  return result.rows[0] || null;
+}
+
+// Log words userId wrote on a past day. The entry is placed at noon that day (or now, if
+// that's still in the future) and every later total is recalculated. Returns the inserted row.
+async function addEntry(db, projectId, userId, words, day, timeZone) {
+  const result = await db.query(
+    `INSERT INTO ProgressLog (project_id, user_id, word_count, total_words, log_date)
+     VALUES ($1, $2, $3, 0, LEAST(
+       CURRENT_TIMESTAMP AT TIME ZONE 'UTC',
+       ($4::date + TIME '12:00') AT TIME ZONE $5 AT TIME ZONE 'UTC'
+     ))
+     RETURNING log_id`,
+    [projectId, userId, words, day, timeZone]
+  );
+  await recalculateTotals(db, projectId);
+  await awardAchievements(db, userId);
+  return findEntry(db, projectId, result.rows[0].log_id, timeZone);
+}
+
+// Change an entry's word count and move it to `day`, keeping its time of day, then
+// recalculate every later total
+async function updateEntry(db, projectId, logId, words, day, timeZone) {
+  await db.query(
+    `UPDATE ProgressLog
+     SET word_count = $3,
+         log_date = ($4::date + (log_date AT TIME ZONE 'UTC' AT TIME ZONE $5)::time) AT TIME ZONE $5 AT TIME ZONE 'UTC'
+     WHERE log_id = $1 AND project_id = $2`,
+    [logId, projectId, words, day, timeZone]
+  );
+  await recalculateTotals(db, projectId);
+}
+
+async function deleteEntry(db, projectId, logId) {
+  await db.query('DELETE FROM ProgressLog WHERE log_id = $1 AND project_id = $2', [logId, projectId]);
+  await recalculateTotals(db, projectId);
+}
+
+module.exports = {
+  latestTotal,
+  addWords,
+  setTotal,
+  recalculateTotals,
+  findEntry,
+  addEntry,
+  updateEntry,
+  deleteEntry
+};
@@ -0,0 +1,302 @@
+/**
+ * Project & goal queries
+ * The SELECTs behind every project card, goal list and API response.
+ */
+
+const { forecastGoal, VELOCITY_WINDOW_DAYS } = require('./forecast');
+const { addEntry, setTotal } = require('./progress');
+const { recordAudit } = require('./audit');
+const { addMember } = require('./members');
+
+// SQL for a log's local calendar day and for today, in the time zone bound to $2
+function localDaySql(column = 'log_date') {
+  return `(${column} AT TIME ZONE 'UTC' AT TIME ZONE $2)::date`;
+}
+const LOCAL_TODAY_SQL = '(CURRENT_TIMESTAMP AT TIME ZONE $2)::date';
+
+// Every project view shows the same numbers, so they share one SELECT.
+// $1 = user_id and $2 = the user's time zone; callers add their own conditions with params from $3.
+// Covers every project the user is a member of, with their role (see lib/members) and the
+// owner's username. Projects in the trash, and those of deleted accounts, are left out.
+function projectSummarySql(extraWhere = '', orderBy = 'p.start_date DESC') {
+  return `SELECT p.project_id AS id, p.title, p.genre, p.description, p.start_date,
+                 p.status, p.tags, p.source_type, p.source_locator, p.count_exclusions,
+                 m.role, p.user_id AS owner_id, owner.username AS owner_username,
+                 (SELECT COUNT(*) FROM ProjectMember WHERE project_id = p.project_id)::int AS member_count,
+                 p.last_synced_at, p.last_sync_error, p.last_sync_error_at,
+                 COALESCE(pl.total_words, 0) AS current_words,
+                 COALESCE(g.target_value, 50000) AS target_words,
+                 COALESCE(NULLIF(g.daily_target, 0), 1000) AS daily_goal,
+                 COALESCE(today.words, 0)::int AS words_today,
+                 to_char(COALESCE(g.start_date, p.start_date), 'YYYY-MM-DD') AS goal_start_date,
+                 to_char(g.end_date, 'YYYY-MM-DD') AS deadline,
+                 COALESCE(recent.words, 0)::int AS recent_words,
+                 g.goal_id
+          FROM Project p
+          INNER JOIN ProjectMember m ON m.project_id = p.project_id AND m.user_id = $1
+          INNER JOIN "users" owner ON owner.user_id = p.user_id
+          LEFT JOIN LATERAL (
+            SELECT total_words
+            FROM ProgressLog
+            WHERE project_id = p.project_id
+            ORDER BY log_date DESC, log_id DESC
+            LIMIT 1
+          ) pl ON true
+          LEFT JOIN Goal g ON g.project_id = p.project_id
+            AND g.is_active = true
+            AND g.goal_type = 'total_words'
+          LEFT JOIN LATERAL (
+            SELECT SUM(word_count) AS words
+            FROM ProgressLog
+            WHERE project_id = p.project_id
+              AND ${localDaySql()} = ${LOCAL_TODAY_SQL}
+          ) today ON true
+          LEFT JOIN LATERAL (
+            SELECT SUM(word_count) AS words
+            FROM ProgressLog
+            WHERE project_id = p.project_id
+              AND ${localDaySql()} > ${LOCAL_TODAY_SQL} - ${VELOCITY_WINDOW_DAYS}
+          ) recent ON true
+          WHERE p.deleted_at IS NULL AND owner.deleted_at IS NULL ${extraWhere}
+          ORDER BY ${orderBy}`;
+}
+
+// Where a project is in its life. Archived projects stay out of the dashboard and the
+// background sync but are otherwise kept as they are.
+const PROJECT_STATUSES = {
+  drafting: 'Drafting',
+  revising: 'Revising',
+  on_hold: 'On Hold',
+  complete: 'Complete',
+  archived: 'Archived'
+};
+
+// Orders for the project search → ORDER BY for projectSummarySql
+const PROJECT_SORTS = {
+  newest: { label: 'Newest first', sql: 'p.start_date DESC, p.project_id DESC' },
+  oldest: { label: 'Oldest first', sql: 'p.start_date ASC, p.project_id ASC' },
+  title: { label: 'Title', sql: 'LOWER(p.title), p.project_id' },
+  words: { label: 'Most words', sql: 'current_words DESC, p.project_id DESC' },
+  progress: {
+    label: 'Closest to target',
+    sql: 'COALESCE(pl.total_words, 0)::float / COALESCE(NULLIF(g.target_value, 0), 50000) DESC, p.project_id DESC'
+  },
+  deadline: { label: 'Deadline', sql: 'g.end_date ASC NULLS LAST, p.project_id DESC' }
+};
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+// Free-form tags from a comma-separated field (or an API array): trimmed, lowercase, no repeats
+function parseTags(input) {
+  const parts = Array.isArray(input) ? input : String(input || '').split(',');
+  const tags = parts
+    .map(tag => String(tag).trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH).trim())
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Conditions for the project search, to pass to projectSummarySql: q (title, genre or
+ * description), genre, tag, status and from/to (start date, YYYY-MM-DD, inclusive).
+ * Archived projects are only included when asked for by status, or with status 'all'.
+ * Params are numbered from firstParam. Returns { where, params }.
+ */
+function projectFilterSql(filters, firstParam = 3) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, `$${firstParam + params.length - 1}`));
+  };
+  // Repeated query parameters arrive as arrays; ignore those
+  const value = key => (typeof filters[key] === 'string' ? filters[key].trim() : '');
+
+  if (value('q')) {
+    add('(LOWER(p.title) LIKE LOWER(?) OR LOWER(p.genre) LIKE LOWER(?) OR LOWER(p.description) LIKE LOWER(?))', `%${value('q')}%`);
+  }
+  if (value('genre')) add('p.genre = ?', value('genre'));
+  if (parseTags(value('tag')).length > 0) add('? = ANY(p.tags)', parseTags(value('tag'))[0]);
+  if (PROJECT_STATUSES[value('status')]) {
+    add('p.status = ?', value('status'));
+  } else if (value('status') !== 'all') {
+    conditions.push("p.status <> 'archived'");
+  }
+  if (DATE_PATTERN.test(value('from'))) add('p.start_date >= ?::date', value('from'));
+  if (DATE_PATTERN.test(value('to'))) add('p.start_date <= ?::date', value('to'));
+
+  return { where: conditions.map(condition => `AND ${condition}`).join(' '), params };
+}
+
+// Attach the deadline/pace forecast to a row from projectSummarySql
+function withForecast(project, today) {
+  project.forecast = forecastGoal({
+    currentWords: project.current_words,
+    targetWords: project.target_words,
+    startDate: project.goal_start_date,
+    deadline: project.deadline,
+    recentWords: project.recent_words
+  }, today);
+  return project;
+}
+
+// Goal types a project can track at the same time. The total_words goal is the project's
+// main goal (it also carries the daily target) and is managed from the edit page.
+const GOAL_TYPES = {
+  total_words: { label: 'Total words', unit: 'words' },
+  words_per_day: { label: 'Words per day', unit: 'words today' },
+  words_per_week: { label: 'Words per week', unit: 'words this week' },
+  sessions_per_week: { label: 'Sessions per week', unit: 'sessions this week' },
+  sprint: { label: 'Sprint', unit: 'words in sprint' }
+};
+
+// Goals with their progress in the current period, on the projects user_id $1 is a member of.
+// $2 = time zone.
+// A "session" is any log entry that added words; weeks start on Monday.
+function goalProgressSql(extraWhere = '') {
+  const logs = `FROM ProgressLog pl WHERE pl.project_id = g.project_id`;
+  const weekStart = `date_trunc('week', ${LOCAL_TODAY_SQL})::date`;
+  return `SELECT g.goal_id, g.project_id, g.goal_type, g.target_value, g.is_active, g.ended_at, g.outcome,
+                 to_char(g.start_date, 'YYYY-MM-DD') AS start_date,
+                 to_char(g.end_date, 'YYYY-MM-DD') AS end_date,
+                 COALESCE(CASE g.goal_type
+                   WHEN 'total_words' THEN
+                     (SELECT pl.total_words ${logs} ORDER BY pl.log_date DESC, pl.log_id DESC LIMIT 1)
+                   WHEN 'words_per_day' THEN
+                     (SELECT SUM(pl.word_count) ${logs} AND ${localDaySql('pl.log_date')} = ${LOCAL_TODAY_SQL})
+                   WHEN 'words_per_week' THEN
+                     (SELECT SUM(pl.word_count) ${logs} AND ${localDaySql('pl.log_date')} >= ${weekStart})
+                   WHEN 'sessions_per_week' THEN
+                     (SELECT COUNT(*) ${logs} AND pl.word_count > 0 AND ${localDaySql('pl.log_date')} >= ${weekStart})
+                   WHEN 'sprint' THEN
+                     (SELECT SUM(pl.word_count) ${logs}
+                        AND ${localDaySql('pl.log_date')} BETWEEN g.start_date AND g.end_date)
+                 END, 0)::int AS progress
+          FROM Goal g
+          INNER JOIN Project p ON p.project_id = g.project_id
+          INNER JOIN ProjectMember m ON m.project_id = p.project_id AND m.user_id = $1
+          INNER JOIN "users" owner ON owner.user_id = p.user_id
+          WHERE p.deleted_at IS NULL AND owner.deleted_at IS NULL ${extraWhere}
+          ORDER BY g.is_active DESC, g.goal_type = 'total_words' DESC, g.start_date DESC, g.goal_id DESC`;
+}
+
+// Close the sprints on projectIds whose end date has passed in the project owner's time zone,
+// as completed if the words logged during it reached the target and missed otherwise. Pages
+// run it on the projects they're about to show; the notification checks run it on every
+// project (projectIds null), so sprints nobody looks at are closed too.
+async function closeFinishedSprints(db, projectIds = null) {
+  await db.query(
+    `UPDATE Goal g
+     SET is_active = false,
+         ended_at = CURRENT_TIMESTAMP,
+         outcome = CASE WHEN COALESCE((
+           SELECT SUM(pl.word_count) FROM ProgressLog pl
+           WHERE pl.project_id = g.project_id
+             AND (pl.log_date AT TIME ZONE 'UTC' AT TIME ZONE u.time_zone)::date BETWEEN g.start_date AND g.end_date
+         ), 0) >= g.target_value THEN 'completed' ELSE 'missed' END
+     FROM Project p
+     INNER JOIN "users" u ON u.user_id = p.user_id
+     WHERE p.project_id = g.project_id AND g.is_active = true AND g.goal_type = 'sprint'
+       AND g.end_date < (CURRENT_TIMESTAMP AT TIME ZONE u.time_zone)::date
+       AND ($1::int[] IS NULL OR g.project_id = ANY($1))`,
+    [projectIds]
+  );
+}
+
+// Create a project owned by userId with its main total_words goal and, optionally, the words
+// already written, logged on the start date in the owner's timeZone. Used by the add-project
+// form and the API. Returns the new project_id.
+async function createProject(db, userId, fields) {
+  const { title, genre, description, startDate, targetWords, dailyGoal, deadline, currentWords, sourceType, sourceLocator,
+          status, tags, timeZone = 'UTC' } = fields;
+
+  return db.transaction(async (client) => {
+    const project = await client.query(
+      `INSERT INTO Project (user_id, title, genre, description, start_date, source_type, source_locator, status, tags)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING project_id`,
+      [userId, title, genre, description || null, startDate, sourceType || null, sourceLocator || null,
+       PROJECT_STATUSES[status] ? status : 'drafting', parseTags(tags)]
+    );
+    const projectId = project.rows[0].project_id;
+    await addMember(client, projectId, userId, 'owner');
+
+    // Add goal with daily_target
+    await client.query(
+      `INSERT INTO Goal (project_id, goal_type, target_value, daily_target, start_date, end_date, is_active)
+       VALUES ($1, 'total_words', $2, $3, $4, $5, true)`,
+      [projectId, parseInt(targetWords), parseInt(dailyGoal) || 1000, startDate, deadline || null]
+    );
+
+    // Optional initial progress log, dated to the project's start
+    if (parseInt(currentWords) > 0) {
+      await addEntry(client, projectId, userId, parseInt(currentWords), startDate, timeZone);
+    }
+    return projectId;
+  });
+}
+
+// Check a new secondary goal. Returns an error message, or null when it's fine.
+function validateGoal({ goalType, targetValue, startDate, endDate }) {
+  if (!GOAL_TYPES[goalType] || goalType === 'total_words') {
+    return 'Please choose a goal type.';
+  }
+  if (!(parseInt(targetValue) > 0)) {
+    return 'The target must be a positive number.';
+  }
+  if (goalType === 'sprint' && (!startDate || !endDate || endDate < startDate)) {
+    return 'A sprint needs a start date and an end date on or after it.';
+  }
+  return null;
+}
+
+// Insert a goal that passed validateGoal. Returns the new goal_id.
+async function addGoal(db, projectId, { goalType, targetValue, startDate, endDate }) {
+  const result = await db.query(
+    `INSERT INTO Goal (project_id, goal_type, target_value, start_date, end_date, is_active)
+     VALUES ($1, $2, $3, $4, $5, true)
+     RETURNING goal_id`,
+    [projectId, goalType, parseInt(targetValue), startDate, goalType === 'sprint' ? endDate : null]
+  );
+  return result.rows[0].goal_id;
+}
+
+// A total typed in by hand (edit form or API), as opposed to one synced from a document.
+// The change is credited to the actor and recorded in the audit trail.
+// Returns the new ProgressLog row, or null if unchanged.
+async function overrideTotal(db, project, total, actor) {
+  return db.transaction(async (client) => {
+    const row = await setTotal(client, project.id, actor.userId, total);
+    if (row) {
+      await recordAudit(client, actor, {
+        action: 'project.total_override',
+        entityType: 'project',
+        entityId: project.id,
+        entityLabel: project.title,
+        before: { total_words: row.total_words - row.word_count },
+        after: { total_words: row.total_words }
+      });
+    }
+    return row;
+  });
+}
+
+module.exports = {
+  GOAL_TYPES,
+  PROJECT_STATUSES,
+  PROJECT_SORTS,
+  parseTags,
+  projectFilterSql,
+  LOCAL_TODAY_SQL,
+  localDaySql,
+  projectSummarySql,
+  goalProgressSql,
+  closeFinishedSprints,
+  withForecast,
+  createProject,
+  overrideTotal,
+  validateGoal,
+  addGoal
+};
@@ -0,0 +1,44 @@
+/**
+ * Schema version check
+ * The schema is built by the knex migrations in migrations/ (npm run migrate). The app
+ * doesn't change the schema itself; it checks at startup that every migration has been
+ * applied and refuses to run otherwise.
+ */
+
+const knex = require('knex');
+const knexConfig = require('../knexfile');
+
+class SchemaOutOfDateError extends Error {}
+
+// Migrations in migrations/ that haven't been applied yet
+async function pendingMigrations() {
+  const migrator = knex({ ...knexConfig, pool: { min: 0, max: 1 } });
+  try {
+    const [, pending] = await migrator.migrate.list();
+    return pending.map(migration => migration.file);
+  } finally {
+    await migrator.destroy();
+  }
+}
+
+// Throws SchemaOutOfDateError when the database is behind this version of the app, or
+// ahead of it (a migration was applied that this code doesn't have)
+async function checkSchema() {
+  let pending;
+  try {
+    pending = await pendingMigrations();
+  } catch (err) {
+    if (/migration directory is corrupt/i.test(err.message)) {
+      throw new SchemaOutOfDateError(`The database has migrations this version of the app doesn't know about. ${err.message}`);
+    }
+    throw err;
+  }
+  if (pending.length > 0) {
+    throw new SchemaOutOfDateError(
+      `The database schema is out of date (${pending.length} pending migration${pending.length === 1 ? '' : 's'}: ` +
+      `${pending.join(', ')}). Run "npm run migrate".`
+    );
+  }
+}
+
+module.exports = { SchemaOutOfDateError, pendingMigrations, checkSchema };
@@ -0,0 +1,40 @@
+/**
+ * Encryption at rest for secrets the app has to be able to read back,
+ * such as Google refresh tokens (passwords and API tokens are hashed instead).
+ * AES-256-GCM, keyed from ENCRYPTION_KEY. There's no fallback key: without ENCRYPTION_KEY
+ * nothing can be encrypted or decrypted, so Google can't be connected.
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+
+function hasEncryptionKey() {
+  return Boolean(process.env.ENCRYPTION_KEY);
+}
+
+function encryptionKey() {
+  if (!hasEncryptionKey()) throw new Error('ENCRYPTION_KEY is not set, so stored credentials cannot be encrypted or read');
+  // Any string works as a key; hashing it gives the 32 bytes AES-256 needs
+  return crypto.createHash('sha256').update(process.env.ENCRYPTION_KEY).digest();
+}
+
+// Returns "v1:<iv>:<auth tag>:<ciphertext>", each part base64
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+// Throws if the value was tampered with or encrypted under a different key
+function decrypt(stored) {
+  const [version, iv, tag, ciphertext] = String(stored).split(':');
+  if (version !== VERSION || !ciphertext) throw new Error('Unrecognized encrypted value');
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = { hasEncryptionKey, encrypt, decrypt };
@@ -0,0 +1,117 @@
+/**
+ * Chapters
+ * Per-chapter word counts for projects whose document source can split the manuscript
+ * (see countWords in lib/sources). Saved on every sync; the counts from before the last
+ * sync that changed anything are kept, so the chapter view can show where the writing happened.
+ */
+
+// Chapters are matched across syncs by title, and by which occurrence of the title it is
+function sectionKey(title, occurrence) {
+  return `${occurrence}:${title}`;
+}
+
+/**
+ * Store the chapters a sync found ([{ title, words }], title null for text before the first
+ * heading). Nothing moves when no chapter changed. Otherwise every chapter's current count
+ * becomes its previous count, chapters the document no longer has are marked removed, and
+ * those already removed by the sync before are deleted. Returns true if anything changed.
+ */
+async function saveSections(db, projectId, sections) {
+  return db.transaction(async (client) => {
+    const existing = await client.query(
+      `SELECT section_id, title, occurrence, position, words, removed_at
+       FROM DocumentSection WHERE project_id = $1
+       FOR UPDATE`,
+      [projectId]
+    );
+    const byKey = new Map(existing.rows.map(row => [sectionKey(row.title, row.occurrence), row]));
+
+    const seen = new Map();
+    const incoming = sections.map((section, index) => {
+      const title = (section.title || '').slice(0, 500);
+      const occurrence = (seen.get(title) || 0) + 1;
+      seen.set(title, occurrence);
+      return { title, occurrence, position: index + 1, words: section.words, old: byKey.get(sectionKey(title, occurrence)) };
+    });
+    const incomingKeys = new Set(incoming.map(section => sectionKey(section.title, section.occurrence)));
+    const missing = existing.rows.filter(row => !incomingKeys.has(sectionKey(row.title, row.occurrence)));
+
+    const changed = incoming.some(section => !section.old || section.old.removed_at || section.old.words !== section.words)
+      || missing.some(row => !row.removed_at);
+
+    if (!changed) {
+      // Chapters may still have been moved around
+      for (const section of incoming) {
+        if (section.old.position !== section.position) {
+          await client.query('UPDATE DocumentSection SET position = $1 WHERE section_id = $2', [section.position, section.old.section_id]);
+        }
+      }
+      return false;
+    }
+
+    for (const row of missing) {
+      if (row.removed_at) {
+        await client.query('DELETE FROM DocumentSection WHERE section_id = $1', [row.section_id]);
+      } else {
+        await client.query(
+          `UPDATE DocumentSection SET previous_words = words, words = 0, removed_at = CURRENT_TIMESTAMP
+           WHERE section_id = $1`,
+          [row.section_id]
+        );
+      }
+    }
+
+    for (const section of incoming) {
+      if (section.old) {
+        await client.query(
+          `UPDATE DocumentSection SET position = $1, previous_words = words, words = $2, removed_at = NULL
+           WHERE section_id = $3`,
+          [section.position, section.words, section.old.section_id]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO DocumentSection (project_id, title, occurrence, position, words)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [projectId, section.title, section.occurrence, section.position, section.words]
+        );
+      }
+    }
+
+    await client.query('UPDATE Project SET sections_changed_at = CURRENT_TIMESTAMP WHERE project_id = $1', [projectId]);
+    return true;
+  });
+}
+
+// For sources that don't report chapters, e.g. after switching a project to another source
+async function clearSections(db, projectId) {
+  await db.query('DELETE FROM DocumentSection WHERE project_id = $1', [projectId]);
+  await db.query('UPDATE Project SET sections_changed_at = NULL WHERE project_id = $1 AND sections_changed_at IS NOT NULL', [projectId]);
+}
+
+// A project's chapters in document order, removed ones last, each with its change in the last sync
+async function listSections(db, projectId) {
+  const result = await db.query(
+    `SELECT section_id, title, position, words, previous_words, target_words, removed_at,
+            words - COALESCE(previous_words, 0) AS change
+     FROM DocumentSection
+     WHERE project_id = $1
+     ORDER BY removed_at IS NOT NULL, position`,
+    [projectId]
+  );
+  return result.rows.map(section => ({
+    ...section,
+    isNew: section.previous_words === null,
+    changed: section.previous_words === null || section.change !== 0
+  }));
+}
+
+// Set or clear (null) a chapter's target. Returns false if the chapter isn't in the project.
+async function setSectionTarget(db, projectId, sectionId, target) {
+  const result = await db.query(
+    'UPDATE DocumentSection SET target_words = $1 WHERE section_id = $2 AND project_id = $3',
+    [target, sectionId, projectId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = { saveSections, clearSections, listSections, setSectionTarget };
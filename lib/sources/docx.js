@@ -0,0 +1,48 @@
+/**
+ * Word (.docx) upload source. The uploaded file is kept on the server as
+ * <UPLOAD_DIR>/project-<id>.docx and re-counted whenever a new version is uploaded.
+ * The locator is just the original file name, for display.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const mammoth = require('mammoth');
+const { countWords } = require('../wordcount');
+
+function uploadDir() {
+  return path.resolve(process.env.UPLOAD_DIR || 'uploads');
+}
+
+function uploadPath(projectId) {
+  return path.join(uploadDir(), `project-${projectId}.docx`);
+}
+
+module.exports = {
+  label: 'Word document (.docx upload)',
+  locatorLabel: 'Word Document',
+  help: 'Upload a new version whenever you want to update the count.',
+  // Nothing changes until someone uploads again, so the scheduler skips it
+  scheduled: false,
+  upload: { extension: '.docx' },
+
+  parseLocator(input) {
+    const name = path.basename((input || '').trim());
+    return name.toLowerCase().endsWith('.docx') ? name : null;
+  },
+
+  async storeUpload(projectId, buffer) {
+    await fs.mkdir(uploadDir(), { recursive: true });
+    await fs.writeFile(uploadPath(projectId), buffer);
+  },
+
+  async countWords(project) {
+    try {
+      // HTML rather than raw text, so headings, footnotes and tables can be told apart
+      const { value } = await mammoth.convertToHtml({ path: uploadPath(project.project_id) });
+      return countWords(value, { format: 'html', exclude: project.count_exclusions });
+    } catch (err) {
+      if (err.code === 'ENOENT') throw new Error('No document has been uploaded yet.');
+      throw err;
+    }
+  }
+};
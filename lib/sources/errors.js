@@ -0,0 +1,12 @@
+/**
+ * Thrown by a source when the owner has to (re)authorize access before it can be read.
+ * Sync records the message on the project; interactive syncs send the user to the source's authPath.
+ */
+class SourceAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceAuthError';
+  }
+}
+
+module.exports = { SourceAuthError };
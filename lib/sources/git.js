@@ -0,0 +1,148 @@
+/**
+ * Git repository source. The locator is an HTTPS clone URL, optionally followed by
+ * "#branch" and ":folder", e.g. https://github.com/me/novel.git#main:chapters
+ * Only hosts listed in GIT_SOURCE_HOSTS can be cloned, so the server can't be pointed at
+ * internal addresses; without it the source is unavailable. Repositories are shallow-cloned
+ * into GIT_CACHE_DIR and fetched again on every sync, and dropped again if they grow past
+ * GIT_MAX_REPO_MB. The count covers every .md, .markdown and .txt file in the folder.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { countTextFiles } = require('./text');
+
+const run = promisify(execFile);
+const GIT_TIMEOUT_MS = 2 * 60 * 1000;
+const LOCATOR_PATTERN = /^(https:\/\/[^\s#]+)(?:#([\w./-]*)(?::([^\s]*))?)?$/;
+
+// Syncs of the same repository share its cache directory, so they take turns
+const locks = new Map();
+
+function cacheDir() {
+  return path.resolve(process.env.GIT_CACHE_DIR || '.source-cache/git');
+}
+
+function allowedHosts() {
+  return (process.env.GIT_SOURCE_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+function maxRepoMb() {
+  return parseInt(process.env.GIT_MAX_REPO_MB) || 200;
+}
+
+// Hide "user:password@" in a URL, or in any message that might contain one
+function redact(text) {
+  return String(text).replace(/(https?:\/\/)[^\s/@]*@/g, '$1');
+}
+
+function parse(locator) {
+  const match = (locator || '').trim().match(LOCATOR_PATTERN);
+  if (!match) return null;
+  const [, url, branch, folder] = match;
+  if (folder && folder.split('/').includes('..')) return null;
+
+  let host;
+  try {
+    host = new URL(url).host.toLowerCase();
+  } catch (err) {
+    return null;
+  }
+  if (!allowedHosts().includes(host)) return null;
+  return { url, branch: branch || null, folder: folder || '' };
+}
+
+function git(args, cwd) {
+  // Plain HTTPS only, without following redirects, so an allowed host can't send the clone elsewhere
+  const config = ['-c', 'protocol.allow=never', '-c', 'protocol.https.allow=always', '-c', 'http.followRedirects=false'];
+  return run('git', [...config, ...args], {
+    cwd,
+    timeout: GIT_TIMEOUT_MS,
+    // Never stop to ask for credentials; private repos need them in the URL or a credential helper
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+  });
+}
+
+async function dirSize(dir) {
+  let total = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) total += await dirSize(full);
+    else total += (await fs.lstat(full)).size;
+  }
+  return total;
+}
+
+// Run fn once every earlier call for the same key has finished
+async function withLock(key, fn) {
+  const previous = locks.get(key) || Promise.resolve();
+  const current = previous.then(fn);
+  const settled = current.catch(() => {});
+  locks.set(key, settled);
+  try {
+    return await current;
+  } finally {
+    if (locks.get(key) === settled) locks.delete(key);
+  }
+}
+
+// Shallow clone on first use, then fetch and hard-reset to the latest commit
+async function checkout({ url, branch }, dir) {
+  const exists = await fs.stat(path.join(dir, '.git')).then(() => true, () => false);
+
+  if (!exists) {
+    await fs.mkdir(cacheDir(), { recursive: true });
+    const args = ['clone', '--depth', '1', '--single-branch', '--no-tags'];
+    if (branch) args.push('--branch', branch);
+    await git([...args, '--', url, dir]);
+  } else {
+    await git(['fetch', '--depth', '1', '--no-tags', 'origin', branch || 'HEAD'], dir);
+    await git(['reset', '--hard', 'FETCH_HEAD'], dir);
+  }
+
+  if (await dirSize(dir) > maxRepoMb() * 1024 * 1024) {
+    await fs.rm(dir, { recursive: true, force: true });
+    throw new Error(`the repository is larger than ${maxRepoMb()} MB`);
+  }
+}
+
+module.exports = {
+  label: 'Git repository',
+  locatorLabel: 'Repository URL',
+  placeholder: 'https://github.com/me/novel.git#main:chapters',
+  help: 'HTTPS clone URL. Add #branch and :folder to count just part of the repository.',
+  scheduled: true,
+
+  isAvailable() {
+    return allowedHosts().length > 0;
+  },
+
+  parseLocator(input) {
+    return parse(input) ? input.trim() : null;
+  },
+
+  async countWords(project) {
+    const repo = parse(project.source_locator);
+    if (!repo) throw new Error('Invalid repository locator, or its host is not allowed on this server.');
+
+    const dir = path.join(cacheDir(), crypto.createHash('sha256').update(`${repo.url}#${repo.branch || ''}`).digest('hex').slice(0, 16));
+    return withLock(dir, async () => {
+      try {
+        await checkout(repo, dir);
+      } catch (err) {
+        // git's own message is the last line of stderr ("fatal: ..."); that's enough for the dashboard
+        const detail = (err.stderr || err.message || '').trim().split('\n').pop();
+        throw new Error(redact(`Could not fetch ${repo.url}: ${detail}`));
+      }
+
+      try {
+        return await countTextFiles(path.join(dir, repo.folder), project.count_exclusions);
+      } catch (err) {
+        if (err.code === 'ENOENT') throw new Error(`${repo.folder} was not found in the repository.`);
+        throw err;
+      }
+    });
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * Google Docs source. The locator is the document ID from its URL.
+ * Uses the refresh token the owner stored by connecting their Google account.
+ */
+
+const { googleClientFor, fetchDocument, isGoogleAuthError, disconnectGoogleAccount } = require('../google');
+const { SourceAuthError } = require('./errors');
+const { countGoogleDoc, googleDocSections } = require('../wordcount');
+
+const NOT_CONNECTED = 'Google account not connected. Sync once from the dashboard to connect it.';
+const ACCESS_REVOKED = 'Google access was revoked or expired. Sync once from the dashboard to reconnect.';
+
+// Helper to extract ID from Google Doc URL
+function extractDocId(url) {
+  if (!url) return null;
+  const match = url.match(/\/d\/([a-zA-Z0-9-_]+)/);
+  return match ? match[1] : null;
+}
+
+// One client per user per sync run; null once we know the user isn't connected
+async function clientFor(project, context) {
+  if (!context.googleClients.has(project.user_id)) {
+    context.googleClients.set(project.user_id, await googleClientFor(context.db, project.user_id));
+  }
+  return context.googleClients.get(project.user_id);
+}
+
+module.exports = {
+  label: 'Google Doc',
+  locatorLabel: 'Google Doc Link',
+  placeholder: 'https://docs.google.com/document/d/...',
+  help: 'Paste the full link to your Google Doc.',
+  scheduled: true,
+  // Where to send the user when the source needs them to sign in
+  authPath: '/auth/google',
+
+  parseLocator(input) {
+    return extractDocId(input);
+  },
+
+  displayLocator(docId) {
+    return `https://docs.google.com/document/d/${docId}`;
+  },
+
+  async countWords(project, context) {
+    const client = await clientFor(project, context);
+    if (!client) throw new SourceAuthError(NOT_CONNECTED);
+
+    try {
+      const doc = await fetchDocument(client, project.source_locator);
+      const options = { exclude: project.count_exclusions };
+      // Chapters come from the document's heading styles
+      return { total: countGoogleDoc(doc, options), sections: googleDocSections(doc, options) };
+    } catch (err) {
+      if (!isGoogleAuthError(err)) throw err;
+      // The stored refresh token is dead; drop it so the next manual sync asks again
+      await disconnectGoogleAccount(context.db, project.user_id);
+      context.googleClients.set(project.user_id, null);
+      throw new SourceAuthError(ACCESS_REVOKED);
+    }
+  }
+};
@@ -0,0 +1,83 @@
+/**
+ * Document sources
+ * A project can be linked to one source its word count is synced from. Every source
+ * exposes the same shape, so lib/sync.js doesn't care where the words come from:
+ *
+ *   label, locatorLabel, placeholder, help - shown on the project forms
+ *   scheduled       - whether the background scheduler re-syncs it
+ *   parseLocator()  - form input → stored locator, or null if it isn't valid
+ *   countWords(project, context) - current total for a Project row, counted with
+ *                   lib/wordcount and leaving out the project's count_exclusions. Sources that
+ *                   can tell chapters apart return { total, sections: [{ title, words }] } instead.
+ *
+ * and optionally isAvailable(), displayLocator(), authPath, upload and storeUpload().
+ */
+
+const SOURCES = {
+  google_doc: require('./google-doc'),
+  file: require('./local-file'),
+  docx: require('./docx'),
+  git: require('./git')
+};
+
+function getSource(type) {
+  return Object.prototype.hasOwnProperty.call(SOURCES, type) ? SOURCES[type] : null;
+}
+
+function isAvailable(source) {
+  return !source.isAvailable || source.isAvailable();
+}
+
+// Sources that can be picked on the project forms, for the views
+function sourceOptions() {
+  return Object.entries(SOURCES)
+    .filter(([, source]) => isAvailable(source))
+    .map(([type, source]) => ({
+      type,
+      label: source.label,
+      locatorLabel: source.locatorLabel,
+      placeholder: source.placeholder || '',
+      help: source.help,
+      upload: Boolean(source.upload)
+    }));
+}
+
+function scheduledSourceTypes() {
+  return Object.keys(SOURCES).filter(type => SOURCES[type].scheduled && isAvailable(SOURCES[type]));
+}
+
+// What to put back in the locator field when editing a project
+function displayLocator(type, locator) {
+  const source = getSource(type);
+  if (!source || !locator) return '';
+  return source.displayLocator ? source.displayLocator(locator) : locator;
+}
+
+/**
+ * Validate a source picked on a form or sent to the API.
+ * `file` is an uploaded { originalname, buffer } for upload sources; `current` is the project's
+ * existing { source_type, source_locator }, so an upload source can be kept without re-uploading.
+ * Returns { sourceType, sourceLocator } (both null for "no source") or { error }.
+ */
+function parseSource(type, input, file = null, current = null) {
+  if (!type) return { sourceType: null, sourceLocator: null };
+
+  const source = getSource(type);
+  if (!source || !isAvailable(source)) return { error: 'Unknown document source.' };
+
+  if (source.upload) {
+    if (file) {
+      const name = source.parseLocator(file.originalname);
+      return name ? { sourceType: type, sourceLocator: name } : { error: `Please upload a ${source.upload.extension} file.` };
+    }
+    if (current && current.source_type === type) {
+      return { sourceType: type, sourceLocator: current.source_locator };
+    }
+    return { error: `Please upload a ${source.upload.extension} file.` };
+  }
+
+  const locator = source.parseLocator(input);
+  return locator ? { sourceType: type, sourceLocator: locator } : { error: `That ${source.locatorLabel.toLowerCase()} doesn't look right.` };
+}
+
+module.exports = { getSource, sourceOptions, scheduledSourceTypes, displayLocator, parseSource };
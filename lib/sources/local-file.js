@@ -0,0 +1,48 @@
+/**
+ * Local Markdown / plain-text source. The locator is a file or folder path relative to
+ * LOCAL_SOURCE_DIR on the server; folders count every .md, .markdown and .txt file inside.
+ * Without LOCAL_SOURCE_DIR the source is unavailable, so users can't read arbitrary server files.
+ */
+
+const path = require('path');
+const { countTextFiles } = require('./text');
+
+function rootDir() {
+  return process.env.LOCAL_SOURCE_DIR ? path.resolve(process.env.LOCAL_SOURCE_DIR) : null;
+}
+
+// Resolve a locator inside the root, or null if it would escape it
+function resolveInRoot(locator) {
+  const root = rootDir();
+  if (!root) return null;
+  const full = path.resolve(root, locator);
+  return full === root || full.startsWith(root + path.sep) ? full : null;
+}
+
+module.exports = {
+  label: 'Local Markdown / text file',
+  locatorLabel: 'File or Folder Path',
+  placeholder: 'my-novel/chapters',
+  help: 'Relative to the shared manuscripts folder on the server. Folders count every .md and .txt file inside.',
+  scheduled: true,
+
+  isAvailable() {
+    return rootDir() !== null;
+  },
+
+  parseLocator(input) {
+    const locator = (input || '').trim().replace(/\\/g, '/').replace(/^\/+/, '');
+    return locator && resolveInRoot(locator) ? locator : null;
+  },
+
+  async countWords(project) {
+    const full = resolveInRoot(project.source_locator);
+    if (!full) throw new Error('Local files are not enabled on this server, or the path is outside the manuscripts folder.');
+    try {
+      return await countTextFiles(full, project.count_exclusions);
+    } catch (err) {
+      if (err.code === 'ENOENT') throw new Error(`${project.source_locator} was not found.`);
+      throw err;
+    }
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Word counting for file-based sources (local files and Git repositories)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { countWords } = require('../wordcount');
+
+const TEXT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+const SKIPPED_DIRS = ['node_modules'];
+
+async function countTextFile(file, exclude) {
+  const text = await fs.readFile(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  return countWords(text, { format: ext === '.txt' ? 'text' : 'markdown', exclude });
+}
+
+/**
+ * Count the words in a .md/.markdown/.txt file, or in every such file under a directory.
+ * Hidden files and folders (.git, .obsidian, ...) are skipped. `exclude` lists the parts
+ * left out of the count (see lib/wordcount).
+ */
+async function countTextFiles(target, exclude = []) {
+  const stat = await fs.stat(target);
+  if (stat.isFile()) return countTextFile(target, exclude);
+
+  let total = 0;
+  for (const entry of await fs.readdir(target, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || SKIPPED_DIRS.includes(entry.name)) continue;
+    const full = path.join(target, entry.name);
+    if (entry.isDirectory()) {
+      total += await countTextFiles(full, exclude);
+    } else if (entry.isFile() && TEXT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      total += await countTextFile(full, exclude);
+    }
+  }
+  return total;
+}
+
+module.exports = { TEXT_EXTENSIONS, countTextFiles };
@@ -0,0 +1,166 @@
+/**
+ * Timed writing sprints
+ * A countdown with an optional word target and a writing area whose draft is autosaved.
+ * When the sprint ends, the words in the draft are logged as one session with its duration.
+ */
+
+const { addWords } = require('./progress');
+const { countWords } = require('./wordcount');
+
+const SPRINT_DURATIONS = [15, 25, 45];
+const MAX_SPRINT_MINUTES = 180;
+
+// A sprint left running this long past its end (closed tab, lost connection) is finished
+// with its last autosaved draft the next time the sprint page is opened
+const GRACE_SECONDS = 60;
+
+const SPRINT_COLUMNS = `s.sprint_id, s.project_id, s.duration_minutes, s.word_target, s.status, s.draft_text,
+                        s.draft_saved_at, s.started_at, s.ended_at, s.elapsed_seconds, s.words_written,
+                        s.started_at + make_interval(mins => s.duration_minutes) AS ends_at,
+                        EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - s.started_at))::int AS seconds_so_far`;
+
+// Check the sprint form. Returns an error message, or null when it's fine.
+function validateSprint({ minutes, wordTarget }) {
+  const duration = parseInt(minutes);
+  if (!(duration > 0) || duration > MAX_SPRINT_MINUTES) {
+    return `Sprints can last from 1 to ${MAX_SPRINT_MINUTES} minutes.`;
+  }
+  if (wordTarget && !(parseInt(wordTarget) > 0)) {
+    return 'The word target must be a positive number.';
+  }
+  return null;
+}
+
+// The user's running sprint on a project, or null
+async function findRunningSprint(db, userId, projectId) {
+  const result = await db.query(
+    `SELECT ${SPRINT_COLUMNS}
+     FROM WritingSprint s
+     WHERE s.user_id = $1 AND s.project_id = $2 AND s.status = 'running'
+     ORDER BY s.started_at DESC
+     LIMIT 1`,
+    [userId, projectId]
+  );
+  return result.rows[0] || null;
+}
+
+// Start a sprint, unless one is already running on this project. Returns the running sprint.
+async function startSprint(db, userId, projectId, { minutes, wordTarget }) {
+  const running = await findRunningSprint(db, userId, projectId);
+  if (running) return running;
+
+  await db.query(
+    `INSERT INTO WritingSprint (user_id, project_id, duration_minutes, word_target)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, projectId, parseInt(minutes), parseInt(wordTarget) || null]
+  );
+  return findRunningSprint(db, userId, projectId);
+}
+
+// Autosave. Returns false if the sprint isn't running any more.
+async function saveDraft(db, userId, sprintId, text) {
+  const result = await db.query(
+    `UPDATE WritingSprint SET draft_text = $1, draft_saved_at = CURRENT_TIMESTAMP
+     WHERE sprint_id = $2 AND user_id = $3 AND status = 'running'`,
+    [text, sprintId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * End a running sprint and log its words as one session. `text` is the final draft
+ * (null keeps the last autosave). The duration counts until now, or until the timer
+ * ran out if that was earlier. Returns the finished sprint, or null if it wasn't running.
+ */
+async function finishSprint(db, userId, sprintId, text = null) {
+  return db.transaction(async (client) => {
+    const result = await client.query(
+      `SELECT ${SPRINT_COLUMNS}, p.count_exclusions
+       FROM WritingSprint s
+       JOIN Project p ON p.project_id = s.project_id
+       WHERE s.sprint_id = $1 AND s.user_id = $2 AND s.status = 'running'
+       FOR UPDATE OF s`,
+      [sprintId, userId]
+    );
+    const sprint = result.rows[0];
+    if (!sprint) return null;
+
+    const draft = text !== null ? text : sprint.draft_text;
+    const words = countWords(draft, { format: 'markdown', exclude: sprint.count_exclusions });
+    const elapsed = Math.max(1, Math.min(sprint.seconds_so_far, sprint.duration_minutes * 60));
+    const log = words > 0 ? await addWords(client, sprint.project_id, userId, words, null, elapsed) : null;
+
+    const finished = await client.query(
+      `UPDATE WritingSprint
+       SET status = 'finished', draft_text = $1, ended_at = CURRENT_TIMESTAMP,
+           elapsed_seconds = $2, words_written = $3, log_id = $4
+       WHERE sprint_id = $5
+       RETURNING sprint_id, project_id, duration_minutes, word_target, elapsed_seconds, words_written, draft_text`,
+      [draft, elapsed, words, log ? log.log_id : null, sprintId]
+    );
+    return finished.rows[0];
+  });
+}
+
+// Stop a running sprint without logging anything
+async function abandonSprint(db, userId, sprintId) {
+  await db.query(
+    `UPDATE WritingSprint SET status = 'abandoned', ended_at = CURRENT_TIMESTAMP
+     WHERE sprint_id = $1 AND user_id = $2 AND status = 'running'`,
+    [sprintId, userId]
+  );
+}
+
+// Finish the sprint if its timer ran out more than GRACE_SECONDS ago. Returns true if it did.
+async function closeIfExpired(db, userId, sprint) {
+  if (sprint.seconds_so_far < sprint.duration_minutes * 60 + GRACE_SECONDS) return false;
+  await finishSprint(db, userId, sprint.sprint_id);
+  return true;
+}
+
+function wordsPerMinute(words, seconds) {
+  return seconds > 0 ? Math.round((words / (seconds / 60)) * 10) / 10 : 0;
+}
+
+// Finished sprints on a project, newest first, each with its words per minute
+async function sprintHistory(db, userId, projectId) {
+  const result = await db.query(
+    `SELECT s.sprint_id, s.duration_minutes, s.word_target, s.started_at, s.elapsed_seconds, s.words_written
+     FROM WritingSprint s
+     WHERE s.user_id = $1 AND s.project_id = $2 AND s.status = 'finished'
+     ORDER BY s.started_at DESC`,
+    [userId, projectId]
+  );
+  return result.rows.map(sprint => ({
+    ...sprint,
+    wpm: wordsPerMinute(sprint.words_written, sprint.elapsed_seconds),
+    reachedTarget: sprint.word_target ? sprint.words_written >= sprint.word_target : null
+  }));
+}
+
+// Totals across a sprint history. The average is words over minutes, not a mean of each sprint's rate.
+function summarizeSprints(sprints) {
+  const words = sprints.reduce((sum, s) => sum + s.words_written, 0);
+  const seconds = sprints.reduce((sum, s) => sum + s.elapsed_seconds, 0);
+  return {
+    count: sprints.length,
+    words,
+    minutes: Math.round(seconds / 60),
+    averageWpm: wordsPerMinute(words, seconds),
+    bestWpm: sprints.reduce((best, s) => Math.max(best, s.wpm), 0)
+  };
+}
+
+module.exports = {
+  SPRINT_DURATIONS,
+  MAX_SPRINT_MINUTES,
+  validateSprint,
+  findRunningSprint,
+  startSprint,
+  saveDraft,
+  finishSprint,
+  abandonSprint,
+  closeIfExpired,
+  sprintHistory,
+  summarizeSprints
+};
@@ -0,0 +1,122 @@
+/**
+ * Document sync
+ * Pulls the current word count of each project's linked document source (lib/sources)
+ * into ProgressLog, either on demand (/sync-doc/:id) or from the background scheduler.
+ * Each project remembers when it last synced and the last error, for the dashboard.
+ * Sources that split the document into chapters also update lib/sections.
+ */
+
+const { setTotal } = require('./progress');
+const { saveSections, clearSections } = require('./sections');
+const { getSource, scheduledSourceTypes } = require('./sources');
+const { SourceAuthError } = require('./sources/errors');
+
+// Shared by every project synced in one run, so sources can reuse per-user clients
+function createSyncContext(db) {
+  return { db, googleClients: new Map() };
+}
+
+async function recordSuccess(db, projectId) {
+  await db.query(
+    'UPDATE Project SET last_synced_at = CURRENT_TIMESTAMP, last_sync_error = NULL WHERE project_id = $1',
+    [projectId]
+  );
+}
+
+async function recordError(db, projectId, message) {
+  await db.query(
+    'UPDATE Project SET last_sync_error = $2, last_sync_error_at = CURRENT_TIMESTAMP WHERE project_id = $1',
+    [projectId, message.slice(0, 500)]
+  );
+}
+
+/**
+ * Sync one project (a Project row with project_id, user_id, source_type, source_locator
+ * and count_exclusions).
+ * Returns { status: 'synced', total, changed } or { status: 'auth_required' | 'error', message }.
+ * Never throws for source failures; they're recorded on the project instead.
+ */
+async function syncProject(db, project, context = createSyncContext(db)) {
+  const source = getSource(project.source_type);
+  if (!source) return { status: 'error', message: 'This project has no document source.' };
+
+  try {
+    const counted = await source.countWords(project, context);
+    const { total, sections } = typeof counted === 'number' ? { total: counted, sections: null } : counted;
+    // Only writes a ProgressLog row if the count has changed. A document can't say who wrote
+    // what, so the change is credited to the owner, whose account the document is read through.
+    const row = await setTotal(db, project.project_id, project.user_id, total);
+    if (sections) {
+      await saveSections(db, project.project_id, sections);
+    } else {
+      await clearSections(db, project.project_id);
+    }
+    await recordSuccess(db, project.project_id);
+    return { status: 'synced', total, changed: row !== null };
+  } catch (err) {
+    const message = err.message || 'Sync failed';
+    await recordError(db, project.project_id, message);
+    return { status: err instanceof SourceAuthError ? 'auth_required' : 'error', message };
+  }
+}
+
+// Sync every project whose source can change without the user doing anything.
+// Trashed and archived projects and deleted accounts are skipped.
+async function syncAllProjects(db) {
+  const result = await db.query(
+    `SELECT p.project_id, p.user_id, p.source_type, p.source_locator, p.count_exclusions
+     FROM Project p
+     INNER JOIN "users" u ON u.user_id = p.user_id
+     WHERE p.source_type = ANY($1) AND p.source_locator IS NOT NULL
+       AND p.deleted_at IS NULL AND p.status <> 'archived' AND u.deleted_at IS NULL
+     ORDER BY p.user_id, p.project_id`,
+    [scheduledSourceTypes()]
+  );
+
+  const context = createSyncContext(db);
+  const summary = { synced: 0, changed: 0, failed: 0 };
+  for (const project of result.rows) {
+    const outcome = await syncProject(db, project, context);
+    if (outcome.status === 'synced') {
+      summary.synced++;
+      if (outcome.changed) summary.changed++;
+    } else {
+      summary.failed++;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Run syncAllProjects every `intervalMinutes`. The next run is only scheduled once the
+ * previous one finishes, so slow syncs never overlap. Returns a function that stops it.
+ */
+function startSyncScheduler(db, intervalMinutes) {
+  let timer = null;
+  let stopped = false;
+
+  async function run() {
+    try {
+      const summary = await syncAllProjects(db);
+      console.log(`🔄 Scheduled sync: ${summary.synced} synced (${summary.changed} changed), ${summary.failed} failed`);
+    } catch (err) {
+      console.error('Scheduled sync error:', err);
+    }
+    schedule();
+  }
+
+  function schedule() {
+    if (stopped) return;
+    timer = setTimeout(run, intervalMinutes * 60 * 1000);
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+  }
+
+  schedule();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = { syncProject, syncAllProjects, startSyncScheduler };
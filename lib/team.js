@@ -0,0 +1,96 @@
+/**
+ * Team reporting for managers
+ * One row per user, built from ProgressLog joined through Project.user_id.
+ * Weeks and months follow each writer's own time zone; weeks start on Monday.
+ * Deleted accounts and projects in the trash are left out.
+ */
+
+// Sortable columns on the team page → SQL expressions
+const TEAM_SORTS = {
+  writer: 'LOWER(u.username)',
+  projects: 'project_count',
+  week: 'words_week',
+  month: 'words_month',
+  goals: 'completion_rate',
+  activity: 'last_activity'
+};
+
+/**
+ * Goal completion rate = completed ÷ (completed + missed). A goal counts as completed when it
+ * was closed as completed, or it's an active total-words goal that has reached its target;
+ * as missed when it was closed as missed, or it's an active total-words goal past its deadline.
+ * Retired goals and goals still in progress don't count either way.
+ */
+function teamSummarySql(sort = 'activity', direction = 'desc') {
+  const orderBy = TEAM_SORTS[sort] || TEAM_SORTS.activity;
+  const dir = direction === 'asc' ? 'ASC' : 'DESC';
+
+  return `WITH logs AS (
+            SELECT p.user_id, pl.word_count, pl.log_date,
+                   (pl.log_date AT TIME ZONE 'UTC' AT TIME ZONE u.time_zone)::date AS local_day,
+                   (CURRENT_TIMESTAMP AT TIME ZONE u.time_zone)::date AS local_today
+            FROM ProgressLog pl
+            INNER JOIN Project p ON p.project_id = pl.project_id
+            INNER JOIN "users" u ON u.user_id = p.user_id
+            WHERE p.deleted_at IS NULL
+          ),
+          activity AS (
+            SELECT user_id,
+                   SUM(word_count) FILTER (WHERE local_day >= date_trunc('week', local_today)::date) AS words_week,
+                   SUM(word_count) FILTER (WHERE local_day >= date_trunc('month', local_today)::date) AS words_month,
+                   MAX(log_date) AS last_activity
+            FROM logs
+            GROUP BY user_id
+          ),
+          goal_results AS (
+            SELECT p.user_id,
+                   (g.outcome = 'completed'
+                     OR (g.is_active AND g.goal_type = 'total_words' AND COALESCE(latest.total_words, 0) >= g.target_value)
+                   ) AS reached,
+                   (g.outcome = 'missed'
+                     OR (g.is_active AND g.goal_type = 'total_words'
+                         AND g.end_date < (CURRENT_TIMESTAMP AT TIME ZONE u.time_zone)::date
+                         AND COALESCE(latest.total_words, 0) < g.target_value)
+                   ) AS missed
+            FROM Goal g
+            INNER JOIN Project p ON p.project_id = g.project_id
+            INNER JOIN "users" u ON u.user_id = p.user_id
+            LEFT JOIN LATERAL (
+              SELECT total_words FROM ProgressLog
+              WHERE project_id = p.project_id
+              ORDER BY log_date DESC, log_id DESC
+              LIMIT 1
+            ) latest ON true
+            WHERE p.deleted_at IS NULL
+          ),
+          goals AS (
+            SELECT user_id,
+                   COUNT(*) FILTER (WHERE reached) AS completed,
+                   COUNT(*) FILTER (WHERE missed AND NOT COALESCE(reached, false)) AS missed
+            FROM goal_results
+            GROUP BY user_id
+          )
+          SELECT u.user_id, u.username, u.first_name, u.last_name, u.permissions,
+                 COALESCE(projects.titles, '{}') AS project_titles,
+                 COALESCE(projects.count, 0)::int AS project_count,
+                 COALESCE(a.words_week, 0)::int AS words_week,
+                 COALESCE(a.words_month, 0)::int AS words_month,
+                 a.last_activity,
+                 COALESCE(gs.completed, 0)::int AS goals_completed,
+                 COALESCE(gs.missed, 0)::int AS goals_missed,
+                 CASE WHEN gs.completed + gs.missed > 0
+                      THEN ROUND(100.0 * gs.completed / (gs.completed + gs.missed))::int
+                 END AS completion_rate
+          FROM "users" u
+          LEFT JOIN LATERAL (
+            SELECT COUNT(*) AS count, array_agg(title ORDER BY start_date DESC) AS titles
+            FROM Project
+            WHERE user_id = u.user_id AND deleted_at IS NULL
+          ) projects ON true
+          LEFT JOIN activity a ON a.user_id = u.user_id
+          LEFT JOIN goals gs ON gs.user_id = u.user_id
+          WHERE u.deleted_at IS NULL
+          ORDER BY ${orderBy} ${dir} NULLS LAST, LOWER(u.username)`;
+}
+
+module.exports = { TEAM_SORTS, teamSummarySql };
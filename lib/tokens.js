@@ -0,0 +1,44 @@
+/**
+ * Secret tokens: password reset links and personal API access tokens.
+ * Only a SHA-256 hash of each token is stored, so a leaked table can't be used to take over accounts.
+ */
+
+const crypto = require('crypto');
+
+const API_TOKEN_PREFIX = 'wct_';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Create a personal access token. The plaintext is returned once and never stored.
+async function createApiToken(db, userId, name) {
+  const token = API_TOKEN_PREFIX + randomToken();
+  const result = await db.query(
+    `INSERT INTO ApiToken (user_id, name, token_hash, token_hint)
+     VALUES ($1, $2, $3, $4)
+     RETURNING token_id, name, created_at`,
+    [userId, name, hashToken(token), token.slice(-4)]
+  );
+  return { ...result.rows[0], token };
+}
+
+// Resolve a presented token to its user, or null if it's unknown, revoked or the account was deleted
+async function findApiTokenUser(db, token) {
+  if (!token || !token.startsWith(API_TOKEN_PREFIX)) return null;
+
+  const result = await db.query(
+    `UPDATE ApiToken t SET last_used_at = CURRENT_TIMESTAMP
+     FROM "users" u
+     WHERE t.token_hash = $1 AND t.revoked_at IS NULL AND u.user_id = t.user_id AND u.deleted_at IS NULL
+     RETURNING t.token_id, u.user_id, u.username, u.permissions, u.time_zone`,
+    [hashToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = { hashToken, randomToken, createApiToken, findApiTokenUser };
@@ -0,0 +1,251 @@
+/**
+ * Trash
+ * Deleting a project or an account only stamps deleted_at, which hides it everywhere.
+ * Owners restore their own projects and managers restore accounts until the retention
+ * period runs out; after that the background purge removes them for good.
+ */
+
+const { latestTotal } = require('./progress');
+const { recordAudit } = require('./audit');
+
+// Recorded as the actor of purges done by the scheduler rather than a person
+const SYSTEM_ACTOR = { userId: null, username: 'system' };
+
+// Hourly is plenty: retention is counted in days
+const PURGE_INTERVAL_MINUTES = 60;
+
+// ---------------- PROJECTS ----------------
+
+// Move one of the user's projects to the trash. Returns false if it isn't theirs or is already there.
+async function trashProject(db, userId, projectId, actor) {
+  return db.transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE Project SET deleted_at = CURRENT_TIMESTAMP
+       WHERE project_id = $1 AND user_id = $2 AND deleted_at IS NULL
+       RETURNING project_id, title, genre, description, start_date, source_type, source_locator`,
+      [projectId, userId]
+    );
+    if (result.rows.length === 0) return false;
+
+    const { project_id: id, ...snapshot } = result.rows[0];
+    await recordAudit(client, actor, {
+      action: 'project.delete',
+      entityType: 'project',
+      entityId: id,
+      entityLabel: snapshot.title,
+      before: { ...snapshot, user_id: userId, total_words: await latestTotal(client, id) }
+    });
+    return true;
+  });
+}
+
+// Take one of the user's projects back out of the trash. Returns false if there was nothing to restore.
+async function restoreProject(db, userId, projectId, actor) {
+  return db.transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE Project SET deleted_at = NULL
+       WHERE project_id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+       RETURNING title`,
+      [projectId, userId]
+    );
+    if (result.rows.length === 0) return false;
+
+    await recordAudit(client, actor, {
+      action: 'project.restore',
+      entityType: 'project',
+      entityId: projectId,
+      entityLabel: result.rows[0].title
+    });
+    return true;
+  });
+}
+
+// Permanently delete a project that is already in the user's trash. Returns false if it isn't.
+async function purgeProject(db, userId, projectId, actor) {
+  return db.transaction(async (client) => {
+    const result = await client.query(
+      'SELECT title FROM Project WHERE project_id = $1 AND user_id = $2 AND deleted_at IS NOT NULL FOR UPDATE',
+      [projectId, userId]
+    );
+    if (result.rows.length === 0) return false;
+
+    // Its logs, goals, members and the rest go with it (the foreign keys cascade)
+    await client.query('DELETE FROM Project WHERE project_id = $1', [projectId]);
+    await recordAudit(client, actor, {
+      action: 'project.purge',
+      entityType: 'project',
+      entityId: projectId,
+      entityLabel: result.rows[0].title
+    });
+    return true;
+  });
+}
+
+// The user's trashed projects, oldest first, with the date each will be purged
+async function listTrashedProjects(db, userId, retentionDays) {
+  const result = await db.query(
+    `SELECT p.project_id AS id, p.title, p.genre, p.deleted_at,
+            p.deleted_at + make_interval(days => $2) AS purge_at,
+            COALESCE((SELECT total_words FROM ProgressLog
+                      WHERE project_id = p.project_id
+                      ORDER BY log_date DESC, log_id DESC LIMIT 1), 0) AS current_words
+     FROM Project p
+     WHERE p.user_id = $1 AND p.deleted_at IS NOT NULL
+     ORDER BY p.deleted_at`,
+    [userId, retentionDays]
+  );
+  return result.rows;
+}
+
+// ---------------- ACCOUNTS ----------------
+
+// Deactivate an account. Its projects are hidden with it and come back when it's restored.
+// Returns false if there was no such active account.
+async function trashUser(db, userId, actor) {
+  return db.transaction(async (client) => {
+    const before = await client.query(
+      `SELECT username, email, first_name, last_name, permissions, created_at,
+              (SELECT COUNT(*)::int FROM Project WHERE user_id = $1 AND deleted_at IS NULL) AS project_count
+       FROM "users" WHERE user_id = $1 AND deleted_at IS NULL
+       FOR UPDATE`,
+      [userId]
+    );
+    if (before.rows.length === 0) return false;
+
+    await client.query('UPDATE "users" SET deleted_at = CURRENT_TIMESTAMP WHERE user_id = $1', [userId]);
+    // A deleted account can't keep using the API
+    await client.query(
+      'UPDATE ApiToken SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+    await recordAudit(client, actor, {
+      action: 'user.delete',
+      entityType: 'user',
+      entityId: userId,
+      entityLabel: before.rows[0].username,
+      before: before.rows[0]
+    });
+    return true;
+  });
+}
+
+async function restoreUser(db, userId, actor) {
+  return db.transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE "users" SET deleted_at = NULL
+       WHERE user_id = $1 AND deleted_at IS NOT NULL
+       RETURNING username`,
+      [userId]
+    );
+    if (result.rows.length === 0) return false;
+
+    await recordAudit(client, actor, {
+      action: 'user.restore',
+      entityType: 'user',
+      entityId: userId,
+      entityLabel: result.rows[0].username
+    });
+    return true;
+  });
+}
+
+// Permanently delete a deactivated account with all of its projects
+async function purgeUser(db, userId, actor) {
+  return db.transaction(async (client) => {
+    const result = await client.query(
+      'SELECT username FROM "users" WHERE user_id = $1 AND deleted_at IS NOT NULL FOR UPDATE',
+      [userId]
+    );
+    if (result.rows.length === 0) return false;
+
+    const projects = await client.query('SELECT COUNT(*)::int AS count FROM Project WHERE user_id = $1', [userId]);
+    // Their projects, and everything under those, go with the account (the foreign keys cascade)
+    await client.query('DELETE FROM "users" WHERE user_id = $1', [userId]);
+    await recordAudit(client, actor, {
+      action: 'user.purge',
+      entityType: 'user',
+      entityId: userId,
+      entityLabel: result.rows[0].username,
+      before: { project_count: projects.rows[0].count }
+    });
+    return true;
+  });
+}
+
+async function listTrashedUsers(db, retentionDays) {
+  const result = await db.query(
+    `SELECT user_id, username, email, first_name, last_name, permissions, deleted_at,
+            deleted_at + make_interval(days => $1) AS purge_at,
+            (SELECT COUNT(*)::int FROM Project WHERE user_id = "users".user_id) AS project_count
+     FROM "users"
+     WHERE deleted_at IS NOT NULL
+     ORDER BY deleted_at`,
+    [retentionDays]
+  );
+  return result.rows;
+}
+
+// ---------------- PURGE ----------------
+
+// Purge everything that has been in the trash for longer than `retentionDays`
+async function purgeExpiredTrash(db, retentionDays) {
+  const expired = 'deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)';
+  const users = await db.query(`SELECT user_id FROM "users" WHERE ${expired}`, [retentionDays]);
+  const projects = await db.query(`SELECT project_id, user_id FROM Project WHERE ${expired}`, [retentionDays]);
+
+  const summary = { users: 0, projects: 0 };
+  for (const { user_id: userId } of users.rows) {
+    if (await purgeUser(db, userId, SYSTEM_ACTOR)) summary.users++;
+  }
+  for (const { project_id: projectId, user_id: userId } of projects.rows) {
+    if (await purgeProject(db, userId, projectId, SYSTEM_ACTOR)) summary.projects++;
+  }
+  return summary;
+}
+
+/**
+ * Run purgeExpiredTrash now and then every PURGE_INTERVAL_MINUTES, one run at a time.
+ * Returns a function that stops it.
+ */
+function startTrashPurge(db, retentionDays) {
+  let timer = null;
+  let stopped = false;
+
+  async function run() {
+    try {
+      const summary = await purgeExpiredTrash(db, retentionDays);
+      if (summary.users > 0 || summary.projects > 0) {
+        console.log(`🗑️ Trash purge: ${summary.projects} projects, ${summary.users} accounts`);
+      }
+    } catch (err) {
+      console.error('Trash purge error:', err);
+    }
+    schedule();
+  }
+
+  function schedule() {
+    if (stopped) return;
+    timer = setTimeout(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+    // Don't keep the process alive just for the purge
+    timer.unref();
+  }
+
+  run();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = {
+  trashProject,
+  restoreProject,
+  purgeProject,
+  listTrashedProjects,
+  trashUser,
+  restoreUser,
+  purgeUser,
+  listTrashedUsers,
+  purgeExpiredTrash,
+  startTrashPurge
+};
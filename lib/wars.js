@@ -0,0 +1,321 @@
+/**
+ * Word wars
+ * Timed group sprints: one user creates a war, others join it with its code, and everyone's
+ * word count is pushed live to a shared leaderboard. When the timer runs out each participant's
+ * words are logged to the project they picked.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { addWords } = require('./progress');
+const { countWords } = require('./wordcount');
+
+const WAR_DURATIONS = [10, 15, 20, 30];
+const MAX_WAR_MINUTES = 120;
+
+// Saves sent when the timer hits zero still count if they arrive this soon after it
+const FINAL_SAVE_SECONDS = 10;
+
+// No 0/O or 1/I, so a code read out in chat can't be mistyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// seconds_left goes negative once the timer has run out
+const WAR_COLUMNS = `w.war_id, w.code, w.title, w.created_by, w.duration_minutes, w.status,
+                     w.created_at, w.started_at, w.ended_at,
+                     w.started_at + make_interval(mins => w.duration_minutes) AS ends_at,
+                     EXTRACT(EPOCH FROM (w.started_at + make_interval(mins => w.duration_minutes)
+                       - CURRENT_TIMESTAMP))::int AS seconds_left`;
+
+// Leaderboard updates, keyed by `war:<id>`. Listeners are the open /events streams.
+const warEvents = new EventEmitter();
+warEvents.setMaxListeners(0);
+
+// ---------------- Creating & joining ----------------
+
+// Check the new war form. Returns an error message, or null when it's fine.
+function validateWar({ title, minutes }) {
+  if (!title || !title.trim()) return 'Please give the war a name.';
+  if (title.trim().length > 100) return 'War names can be at most 100 characters.';
+  const duration = parseInt(minutes);
+  if (!(duration > 0) || duration > MAX_WAR_MINUTES) {
+    return `Wars can last from 1 to ${MAX_WAR_MINUTES} minutes.`;
+  }
+  return null;
+}
+
+// Codes are shown in upper case but accepted however they're typed
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function randomCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Join a war, or switch to another project if already in it. The project must be one the
+ * user can log words on (they own it or co-author it). Returns false when it isn't.
+ */
+async function joinWar(db, warId, userId, projectId) {
+  const result = await db.query(
+    `INSERT INTO WordWarParticipant (war_id, user_id, project_id)
+     SELECT $1, $2, p.project_id FROM Project p
+     INNER JOIN ProjectMember m ON m.project_id = p.project_id AND m.user_id = $2 AND m.role <> 'viewer'
+     WHERE p.project_id = $3 AND p.deleted_at IS NULL
+     ON CONFLICT (war_id, user_id) DO UPDATE SET project_id = EXCLUDED.project_id`,
+    [warId, userId, projectId]
+  );
+  return result.rowCount > 0;
+}
+
+// Create a war with its creator as the first participant. Returns its code.
+async function createWar(db, userId, { title, minutes, projectId }) {
+  return db.transaction(async (client) => {
+    let warId = null;
+    let code = null;
+    while (!warId) {
+      code = randomCode();
+      const result = await client.query(
+        `INSERT INTO WordWar (code, title, created_by, duration_minutes)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (code) DO NOTHING
+         RETURNING war_id`,
+        [code, title.trim(), userId, parseInt(minutes)]
+      );
+      warId = result.rows.length > 0 ? result.rows[0].war_id : null;
+    }
+
+    if (!(await joinWar(client, warId, userId, projectId))) {
+      throw new Error('Project not found');
+    }
+    return code;
+  });
+}
+
+async function findWar(db, code) {
+  const result = await db.query(
+    `SELECT ${WAR_COLUMNS} FROM WordWar w WHERE w.code = $1`,
+    [normalizeCode(code)]
+  );
+  return result.rows[0] || null;
+}
+
+// The user's entry in a war (with their draft and project), or null if they haven't joined
+async function findParticipant(db, warId, userId) {
+  const result = await db.query(
+    `SELECT pa.user_id, pa.project_id, pa.words, pa.draft_text, pa.log_id,
+            p.title AS project_title, p.count_exclusions
+     FROM WordWarParticipant pa
+     LEFT JOIN Project p ON p.project_id = pa.project_id
+     WHERE pa.war_id = $1 AND pa.user_id = $2`,
+    [warId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Only possible before the war starts
+async function leaveWar(db, warId, userId) {
+  await db.query(
+    `DELETE FROM WordWarParticipant pa
+     USING WordWar w
+     WHERE pa.war_id = $1 AND pa.user_id = $2 AND w.war_id = pa.war_id AND w.status = 'waiting'`,
+    [warId, userId]
+  );
+}
+
+// ---------------- Running ----------------
+
+// Start the countdown. Returns false if the war had already started or was cancelled.
+async function startWar(db, warId) {
+  const result = await db.query(
+    `UPDATE WordWar SET status = 'running', started_at = CURRENT_TIMESTAMP
+     WHERE war_id = $1 AND status = 'waiting'`,
+    [warId]
+  );
+  return result.rowCount > 0;
+}
+
+async function cancelWar(db, warId) {
+  const result = await db.query(
+    `UPDATE WordWar SET status = 'cancelled', ended_at = CURRENT_TIMESTAMP
+     WHERE war_id = $1 AND status = 'waiting'`,
+    [warId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Save a participant's draft and count its words. Returns the count, or null when the war
+ * isn't running (or the final save came in too late).
+ */
+async function recordWords(db, warId, userId, text) {
+  // Counted the way the participant's own project counts words
+  const project = await db.query(
+    `SELECT p.count_exclusions FROM WordWarParticipant pa
+     JOIN Project p ON p.project_id = pa.project_id
+     WHERE pa.war_id = $1 AND pa.user_id = $2`,
+    [warId, userId]
+  );
+  const exclude = project.rows.length > 0 ? project.rows[0].count_exclusions : [];
+  const words = countWords(text, { format: 'markdown', exclude });
+  const result = await db.query(
+    `UPDATE WordWarParticipant pa
+     SET words = $3, draft_text = $4, updated_at = CURRENT_TIMESTAMP
+     FROM WordWar w
+     WHERE pa.war_id = $1 AND pa.user_id = $2 AND w.war_id = pa.war_id AND w.status = 'running'
+       AND CURRENT_TIMESTAMP <= w.started_at + make_interval(mins => w.duration_minutes, secs => $5)`,
+    [warId, userId, words, text, FINAL_SAVE_SECONDS]
+  );
+  return result.rowCount > 0 ? words : null;
+}
+
+// The live leaderboard. Only usernames and counts, never project titles or drafts.
+async function warBoard(db, warId) {
+  const war = await db.query(
+    `SELECT ${WAR_COLUMNS} FROM WordWar w WHERE w.war_id = $1`,
+    [warId]
+  );
+  const participants = await db.query(
+    `SELECT u.username, pa.words
+     FROM WordWarParticipant pa
+     JOIN "users" u ON u.user_id = pa.user_id
+     WHERE pa.war_id = $1
+     ORDER BY pa.words DESC, pa.joined_at`,
+    [warId]
+  );
+  return {
+    status: war.rows[0] ? war.rows[0].status : 'cancelled',
+    secondsLeft: war.rows[0] && war.rows[0].started_at ? Math.max(0, war.rows[0].seconds_left) : null,
+    participants: participants.rows
+  };
+}
+
+// Push the current leaderboard to everyone watching the war
+async function publishBoard(db, warId) {
+  warEvents.emit(`war:${warId}`, await warBoard(db, warId));
+}
+
+// Call `send(board)` on every update until the returned function is called
+function subscribeToWar(warId, send) {
+  warEvents.on(`war:${warId}`, send);
+  return () => warEvents.off(`war:${warId}`, send);
+}
+
+// ---------------- Finishing ----------------
+
+/**
+ * End a running war and log every participant's words to the project they picked, as one
+ * session the length of the war. Projects trashed since joining are skipped.
+ * Returns false if the war wasn't running.
+ */
+async function finishWar(db, warId) {
+  const finished = await db.transaction(async (client) => {
+    const war = await client.query(
+      `SELECT war_id, duration_minutes FROM WordWar WHERE war_id = $1 AND status = 'running' FOR UPDATE`,
+      [warId]
+    );
+    if (war.rows.length === 0) return false;
+
+    // Logging locks each project (lib/progress), so take them in the same order every time
+    const participants = await client.query(
+      `SELECT pa.user_id, pa.project_id, pa.words
+       FROM WordWarParticipant pa
+       JOIN Project p ON p.project_id = pa.project_id AND p.deleted_at IS NULL
+       JOIN ProjectMember m ON m.project_id = pa.project_id AND m.user_id = pa.user_id AND m.role <> 'viewer'
+       WHERE pa.war_id = $1 AND pa.words > 0
+       ORDER BY pa.project_id`,
+      [warId]
+    );
+    for (const participant of participants.rows) {
+      const log = await addWords(
+        client, participant.project_id, participant.user_id, participant.words, null, war.rows[0].duration_minutes * 60
+      );
+      await client.query(
+        'UPDATE WordWarParticipant SET log_id = $1 WHERE war_id = $2 AND user_id = $3',
+        [log.log_id, warId, participant.user_id]
+      );
+    }
+
+    await client.query(
+      `UPDATE WordWar SET status = 'finished', ended_at = CURRENT_TIMESTAMP WHERE war_id = $1`,
+      [warId]
+    );
+    return true;
+  });
+
+  if (finished) await publishBoard(db, warId);
+  return finished;
+}
+
+// Finish the war if its final saves are over. Returns true if it did.
+async function closeIfOver(db, war) {
+  if (war.status !== 'running' || war.seconds_left + FINAL_SAVE_SECONDS > 0) return false;
+  return finishWar(db, war.war_id);
+}
+
+// Finish the war on time, whether or not anyone has the page open
+function scheduleWarEnd(db, war) {
+  const timer = setTimeout(async () => {
+    try {
+      await finishWar(db, war.war_id);
+    } catch (err) {
+      console.error('Word war finish error:', err);
+    }
+  }, Math.max(0, war.seconds_left + FINAL_SAVE_SECONDS) * 1000);
+  // Don't keep the process alive just for the timer
+  timer.unref();
+}
+
+// Re-arm the timers of wars that were running when the server restarted
+async function startWarClock(db) {
+  const result = await db.query(`SELECT ${WAR_COLUMNS} FROM WordWar w WHERE w.status = 'running'`);
+  result.rows.forEach(war => scheduleWarEnd(db, war));
+}
+
+// ---------------- History ----------------
+
+// The user's recent wars, newest first, with their words and place
+async function warHistory(db, userId) {
+  const result = await db.query(
+    `SELECT w.code, w.title, w.status, w.duration_minutes, w.created_at, w.started_at,
+            pa.words, pa.log_id, p.title AS project_title,
+            (SELECT COUNT(*) FROM WordWarParticipant x WHERE x.war_id = w.war_id)::int AS participant_count,
+            (SELECT COUNT(*) FROM WordWarParticipant x WHERE x.war_id = w.war_id AND x.words > pa.words)::int + 1 AS place
+     FROM WordWarParticipant pa
+     JOIN WordWar w ON w.war_id = pa.war_id
+     LEFT JOIN Project p ON p.project_id = pa.project_id
+     WHERE pa.user_id = $1 AND w.status <> 'cancelled'
+     ORDER BY w.created_at DESC
+     LIMIT 20`,
+    [userId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  WAR_DURATIONS,
+  MAX_WAR_MINUTES,
+  validateWar,
+  normalizeCode,
+  createWar,
+  joinWar,
+  findWar,
+  findParticipant,
+  leaveWar,
+  startWar,
+  cancelWar,
+  recordWords,
+  warBoard,
+  publishBoard,
+  subscribeToWar,
+  finishWar,
+  closeIfOver,
+  scheduleWarEnd,
+  startWarClock,
+  warHistory
+};
@@ -0,0 +1,236 @@
+/**
+ * Word counting
+ * The one definition of a word, shared by the server (require('./wordcount')) and the
+ * browser (<script src="/js/wordcount.js">, which defines window.WordCount), so a live
+ * count while typing always matches what gets logged.
+ *
+ * - Whitespace separates words, and so do em/en dashes and "--".
+ * - Hyphenated words, contractions, numbers ("1,200", "3.5%") and URLs count once.
+ * - Tokens with no letters or digits (stray punctuation, Markdown symbols) don't count.
+ * - Chinese and Japanese characters count one word each, since those scripts don't use spaces.
+ *
+ * Options: { format: 'text' | 'markdown' | 'html', exclude: ['headings', 'footnotes', 'tables'] }
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.WordCount = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const EXCLUSIONS = ['headings', 'footnotes', 'tables'];
+
+  const CJK_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u30FC]/gu;
+  const URL_OR_EMAIL = /\b(?:[a-z][a-z0-9+.-]*:\/\/|www\.)\S+|[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gi;
+  const DASHES = /[\u2012-\u2015\u2E3A\u2E3B]|-{2,}/g;
+  const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+
+  // Google Docs paragraph styles that are headings
+  const GOOGLE_HEADING_STYLES = ['TITLE', 'SUBTITLE', 'HEADING_1', 'HEADING_2', 'HEADING_3', 'HEADING_4', 'HEADING_5', 'HEADING_6'];
+
+  function excludes(options, part) {
+    return Array.isArray(options.exclude) && options.exclude.includes(part);
+  }
+
+  // ---------------- Markdown ----------------
+
+  // Drop the Markdown syntax that would otherwise be counted as words
+  function stripMarkdown(text, options = {}) {
+    let result = text
+      .replace(/\r\n?/g, '\n')
+      .replace(/^---\n[\s\S]*?\n---\n/, '')        // front matter
+      .replace(/```[\s\S]*?```/g, '')              // fenced code
+      .replace(/<!--[\s\S]*?-->/g, '')             // comments
+      .replace(/\[\^[^\]]+\](?!:)/g, '');          // footnote references
+
+    if (excludes(options, 'footnotes')) {
+      // A definition runs on through any indented lines after it
+      result = result.replace(/^\[\^[^\]]+\]:.*(\n(?: {2,}|\t).*)*/gm, '');
+    } else {
+      result = result.replace(/^\[\^[^\]]+\]:/gm, '');
+    }
+    if (excludes(options, 'headings')) {
+      result = result
+        .replace(/^\s{0,3}#{1,6}(\s.*)?$/gm, '')
+        .replace(/^.*\S.*\n\s{0,3}(=+|-+)\s*$/gm, '');
+    }
+    if (excludes(options, 'tables')) {
+      result = result.replace(/^\s*\|.*$/gm, '');
+    }
+
+    return result
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')        // images
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')     // links keep their text
+      .replace(/\|/g, ' ')                         // table cell borders
+      .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+      .replace(/^\s*([-*_]\s*){3,}$/gm, '');       // horizontal rules
+  }
+
+  // ---------------- HTML ----------------
+
+  const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', mdash: '—', ndash: '–', hellip: '…' };
+  const BLOCK_TAGS = /^(address|article|aside|blockquote|br|dd|div|dl|dt|figcaption|figure|footer|h[1-6]|header|hr|li|main|nav|ol|p|pre|section|table|td|th|tr|ul)$/i;
+
+  function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : ' ';
+      }
+      return ENTITIES[name.toLowerCase()] || ' ';
+    });
+  }
+
+  // Reduce HTML (e.g. a converted .docx) to its text. Block elements separate words; inline ones don't.
+  function stripHtml(html, options = {}) {
+    let result = html
+      .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      // Footnote markers: <sup><a href="#fn1">1</a></sup>, or a link with class "footnote-ref"
+      .replace(/<sup\b[^>]*>\s*<a\b[^>]*href="#(?:fn|footnote|endnote)[^>]*>[\s\S]*?<\/a>\s*<\/sup>/gi, '')
+      .replace(/<a\b[^>]*class="[^"]*footnote-ref[^"]*"[^>]*>[\s\S]*?<\/a>/gi, '');
+
+    if (excludes(options, 'footnotes')) {
+      result = result
+        .replace(/<(section|div|aside|ol)\b[^>]*class="[^"]*\bfootnotes\b[^"]*"[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<li\b[^>]*id="(?:fn|footnote|endnote)[^"]*"[^>]*>[\s\S]*?<\/li>/gi, ' ');
+    }
+    if (excludes(options, 'headings')) {
+      result = result.replace(/<(h[1-6])\b[^>]*>[\s\S]*?<\/\1>/gi, ' ');
+    }
+    if (excludes(options, 'tables')) {
+      result = result.replace(/<table\b[^>]*>[\s\S]*?<\/table>/gi, ' ');
+    }
+
+    result = result.replace(/<\/?([a-z][a-z0-9]*)\b[^>]*>/gi, (tag, name) => (BLOCK_TAGS.test(name) ? ' ' : ''));
+    return decodeEntities(result);
+  }
+
+  // ---------------- Counting ----------------
+
+  function countWords(text, options = {}) {
+    if (!text) return 0;
+    let plain = String(text);
+    if (options.format === 'markdown') plain = stripMarkdown(plain, options);
+    if (options.format === 'html') plain = stripHtml(plain, options);
+
+    // URLs first, so their slashes and dashes don't split them
+    plain = plain.replace(URL_OR_EMAIL, ' link ');
+    const cjk = (plain.match(CJK_CHARACTER) || []).length;
+    const words = plain
+      .replace(CJK_CHARACTER, ' ')
+      .replace(DASHES, ' ')
+      .split(/\s+/)
+      .filter(token => WORD_CHARACTER.test(token));
+    return cjk + words.length;
+  }
+
+  // ---------------- Google Docs ----------------
+
+  // Text of a list of Google Docs structural elements (a body, table cell or footnote)
+  function googleDocText(content, options) {
+    let text = '';
+    (content || []).forEach(element => {
+      if (element.paragraph) {
+        const style = (element.paragraph.paragraphStyle || {}).namedStyleType;
+        if (excludes(options, 'headings') && GOOGLE_HEADING_STYLES.includes(style)) return;
+        (element.paragraph.elements || []).forEach(el => {
+          if (el.textRun && el.textRun.content) text += el.textRun.content;
+        });
+        text += '\n';
+      } else if (element.table && !excludes(options, 'tables')) {
+        (element.table.tableRows || []).forEach(row => {
+          (row.tableCells || []).forEach(cell => {
+            text += googleDocText(cell.content, options) + '\n';
+          });
+        });
+      }
+      // A table of contents only repeats the headings, so it's never counted
+    });
+    return text;
+  }
+
+  // Count a document from the Google Docs API (documents.get), footnotes included unless excluded
+  function countGoogleDoc(document, options = {}) {
+    if (!document) return 0;
+    let text = googleDocText(document.body && document.body.content, options);
+    if (!excludes(options, 'footnotes')) {
+      Object.values(document.footnotes || {}).forEach(footnote => {
+        text += googleDocText(footnote.content, options);
+      });
+    }
+    return countWords(text);
+  }
+
+  // 1 for Heading 1 and so on; null for body text and for the title/subtitle styles
+  function googleHeadingLevel(element) {
+    const style = element.paragraph && (element.paragraph.paragraphStyle || {}).namedStyleType;
+    const match = /^HEADING_(\d)$/.exec(style || '');
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  // Ids of the footnotes referenced anywhere in a list of structural elements
+  function googleFootnoteIds(content) {
+    const ids = [];
+    (content || []).forEach(element => {
+      if (element.paragraph) {
+        (element.paragraph.elements || []).forEach(el => {
+          if (el.footnoteReference) ids.push(el.footnoteReference.footnoteId);
+        });
+      } else if (element.table) {
+        (element.table.tableRows || []).forEach(row => {
+          (row.tableCells || []).forEach(cell => ids.push(...googleFootnoteIds(cell.content)));
+        });
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Split a Google Doc into chapters at its top heading level (Heading 1, or the highest level
+   * it uses) and count each one, footnotes included where they're referenced. Text before the
+   * first heading is an opening section with a null title. Returns [] when there are no headings.
+   */
+  function googleDocSections(document, options = {}) {
+    const content = (document && document.body && document.body.content) || [];
+    const levels = content.map(googleHeadingLevel).filter(level => level !== null);
+    if (levels.length === 0) return [];
+    const chapterLevel = Math.min(...levels);
+
+    const sections = [{ title: null, content: [] }];
+    content.forEach(element => {
+      if (googleHeadingLevel(element) === chapterLevel) {
+        const title = (element.paragraph.elements || [])
+          .map(el => (el.textRun && el.textRun.content) || '')
+          .join('')
+          .trim();
+        sections.push({ title: title || 'Untitled', content: [] });
+      }
+      sections[sections.length - 1].content.push(element);
+    });
+
+    const footnotes = document.footnotes || {};
+    return sections
+      .map(section => {
+        let text = googleDocText(section.content, options);
+        if (!excludes(options, 'footnotes')) {
+          googleFootnoteIds(section.content).forEach(id => {
+            if (footnotes[id]) text += googleDocText(footnotes[id].content, options);
+          });
+        }
+        return { title: section.title, words: countWords(text) };
+      })
+      .filter(section => section.title !== null || section.words > 0);
+  }
+
+  return {
+    EXCLUSIONS,
+    GOOGLE_HEADING_STYLES,
+    countWords,
+    countGoogleDoc,
+    googleDocSections,
+    stripMarkdown,
+    stripHtml
+  };
+});
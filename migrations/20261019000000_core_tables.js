@@ -0,0 +1,104 @@
+/**
+ * The core tables: users, Security, Project, Goal and ProgressLog, as they were before
+ * the app added anything on top (see the next migration).
+ *
+ * Databases that were set up by hand before there were migrations already have these
+ * tables, so they're created only if missing, and their foreign keys are swapped for
+ * cascading ones. Rolling this back would drop those tables and every user's data with
+ * them, so `down` refuses.
+ */
+
+// [table, column, referenced table] - deleting the referenced row deletes these rows too
+const CASCADES = [
+  ['Security', 'user_id', 'users'],
+  ['Project', 'user_id', 'users'],
+  ['Goal', 'project_id', 'Project'],
+  ['ProgressLog', 'project_id', 'Project']
+];
+
+// Replace a column's foreign key with an ON DELETE CASCADE one, unless it already cascades
+async function cascadeForeignKey(knex, [table, column, referenced]) {
+  const existing = await knex.raw(
+    `SELECT c.conname, c.confdeltype
+     FROM pg_constraint c
+     INNER JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY(c.conkey)
+     WHERE c.contype = 'f' AND c.conrelid = lower(?)::regclass AND a.attname = ?`,
+    [table, column]
+  );
+  if (existing.rows.some(fk => fk.confdeltype === 'c')) return;
+
+  for (const fk of existing.rows) {
+    await knex.raw('ALTER TABLE ?? DROP CONSTRAINT ??', [table.toLowerCase(), fk.conname]);
+  }
+  await knex.raw(
+    'ALTER TABLE ?? ADD CONSTRAINT ?? FOREIGN KEY (??) REFERENCES ?? (??) ON DELETE CASCADE',
+    [table.toLowerCase(), `${table.toLowerCase()}_${column}_fkey`, column, referenced.toLowerCase(), column]
+  );
+}
+
+exports.up = async function (knex) {
+  await knex.raw(
+    `CREATE TABLE IF NOT EXISTS "users" (
+       user_id SERIAL PRIMARY KEY,
+       username VARCHAR(50) NOT NULL UNIQUE,
+       email VARCHAR(255),
+       first_name VARCHAR(50),
+       last_name VARCHAR(50),
+       permissions CHAR(1) NOT NULL DEFAULT 'U',
+       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+  // password_text holds a lib/passwords hash (or a legacy plaintext password)
+  await knex.raw(
+    `CREATE TABLE IF NOT EXISTS Security (
+       user_id INTEGER PRIMARY KEY REFERENCES "users"(user_id) ON DELETE CASCADE,
+       password_text TEXT NOT NULL,
+       last_login TIMESTAMP
+     )`
+  );
+  await knex.raw(
+    `CREATE TABLE IF NOT EXISTS Project (
+       project_id SERIAL PRIMARY KEY,
+       user_id INTEGER NOT NULL REFERENCES "users"(user_id) ON DELETE CASCADE,
+       title VARCHAR(255) NOT NULL,
+       genre VARCHAR(100),
+       description TEXT,
+       start_date DATE NOT NULL DEFAULT CURRENT_DATE,
+       google_doc_id VARCHAR(255)
+     )`
+  );
+  await knex.raw(
+    `CREATE TABLE IF NOT EXISTS Goal (
+       goal_id SERIAL PRIMARY KEY,
+       project_id INTEGER NOT NULL REFERENCES Project(project_id) ON DELETE CASCADE,
+       goal_type VARCHAR(30) NOT NULL DEFAULT 'total_words',
+       target_value INTEGER NOT NULL,
+       daily_target INTEGER,
+       start_date DATE,
+       is_active BOOLEAN NOT NULL DEFAULT true
+     )`
+  );
+  // log_date is a UTC timestamp; total_words is the project's running total after the entry
+  await knex.raw(
+    `CREATE TABLE IF NOT EXISTS ProgressLog (
+       log_id SERIAL PRIMARY KEY,
+       project_id INTEGER NOT NULL REFERENCES Project(project_id) ON DELETE CASCADE,
+       word_count INTEGER NOT NULL DEFAULT 0,
+       total_words INTEGER NOT NULL DEFAULT 0,
+       log_date TIMESTAMP NOT NULL DEFAULT (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')
+     )`
+  );
+
+  for (const cascade of CASCADES) {
+    await cascadeForeignKey(knex, cascade);
+  }
+
+  // Every total, streak and "words today" reads a project's log in date order
+  await knex.raw('CREATE INDEX IF NOT EXISTS progresslog_project_date_idx ON ProgressLog (project_id, log_date)');
+  await knex.raw('CREATE INDEX IF NOT EXISTS project_user_idx ON Project (user_id)');
+  await knex.raw('CREATE INDEX IF NOT EXISTS goal_project_idx ON Goal (project_id)');
+};
+
+exports.down = async function () {
+  throw new Error("The baseline migration can't be rolled back: it would drop the core tables and all their data.");
+};
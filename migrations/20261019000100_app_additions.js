@@ -0,0 +1,216 @@
+/**
+ * Everything the app added on top of the core tables, from before schema changes were
+ * versioned. These statements used to run at every startup, so each one is safe to run
+ * against a database that already has it.
+ */
+
+const statements = [
+  // ---- Registration, invites & password reset ----
+  `CREATE TABLE IF NOT EXISTS AppSetting (
+     setting_key VARCHAR(100) PRIMARY KEY,
+     setting_value TEXT
+   )`,
+  `CREATE TABLE IF NOT EXISTS Invite (
+     invite_id SERIAL PRIMARY KEY,
+     code VARCHAR(64) NOT NULL UNIQUE,
+     email VARCHAR(255),
+     created_by INTEGER REFERENCES "users"(user_id) ON DELETE SET NULL,
+     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     used_by INTEGER REFERENCES "users"(user_id) ON DELETE SET NULL,
+     used_at TIMESTAMP,
+     revoked_at TIMESTAMP
+   )`,
+  `CREATE TABLE IF NOT EXISTS PasswordReset (
+     reset_id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES "users"(user_id) ON DELETE CASCADE,
+     token_hash CHAR(64) NOT NULL UNIQUE,
+     expires_at TIMESTAMP NOT NULL,
+     used_at TIMESTAMP
+   )`,
+
+  // ---- Password hashing & failed-login lockout ----
+  // Hashes may not fit in whatever length the plaintext column was created with
+  `ALTER TABLE Security ALTER COLUMN password_text TYPE TEXT`,
+  `ALTER TABLE Security ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0`,
+  `ALTER TABLE Security ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP`,
+
+  // ---- Daily goals ----
+  // IANA zone name reported by the browser at login, used to decide what "today" means
+  `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC'`,
+
+  // ---- Deadlines ----
+  `ALTER TABLE Goal ADD COLUMN IF NOT EXISTS end_date DATE`,
+
+  // ---- Multiple goals per project ----
+  // Inactive goals keep when and how they ended: 'completed', 'retired' or (sprints) 'missed'
+  `ALTER TABLE Goal ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP`,
+  `ALTER TABLE Goal ADD COLUMN IF NOT EXISTS outcome VARCHAR(20)`,
+
+  // ---- Personal access tokens for the JSON API ----
+  `CREATE TABLE IF NOT EXISTS ApiToken (
+     token_id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES "users"(user_id) ON DELETE CASCADE,
+     name VARCHAR(100) NOT NULL,
+     token_hash CHAR(64) NOT NULL UNIQUE,
+     token_hint VARCHAR(8),
+     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     last_used_at TIMESTAMP,
+     revoked_at TIMESTAMP
+   )`,
+
+  // ---- Background Google Docs sync ----
+  // One refresh token per user, encrypted with lib/secrets
+  `CREATE TABLE IF NOT EXISTS GoogleCredential (
+     user_id INTEGER PRIMARY KEY REFERENCES "users"(user_id) ON DELETE CASCADE,
+     refresh_token TEXT NOT NULL,
+     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+   )`,
+  `ALTER TABLE Project ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP`,
+  `ALTER TABLE Project ADD COLUMN IF NOT EXISTS last_sync_error TEXT`,
+  `ALTER TABLE Project ADD COLUMN IF NOT EXISTS last_sync_error_at TIMESTAMP`,
+
+  // ---- Pluggable document sources ----
+  // source_type is a key of lib/sources; google_doc_id is superseded by these and no longer read
+  `ALTER TABLE Project ADD COLUMN IF NOT EXISTS source_type VARCHAR(20)`,
+  `ALTER TABLE Project ADD COLUMN IF NOT EXISTS source_locator TEXT`,
+  `UPDATE Project SET source_type = 'google_doc', source_locator = google_doc_id
+   WHERE google_doc_id IS NOT NULL AND source_type IS NULL`,
+
+  // ---- Audit trail ----
+  // entity_id has no foreign key on purpose: entries outlive the records they describe
+  `CREATE TABLE IF NOT EXISTS AuditLog (
+     audit_id SERIAL PRIMARY KEY,
+     actor_id INTEGER REFERENCES "users"(user_id) ON DELETE SET NULL,
+     actor_username VARCHAR(100),
+     action VARCHAR(50) NOT NULL,
+     entity_type VARCHAR(30) NOT NULL,
+     entity_id INTEGER,
+     entity_label TEXT,
+     before_value JSONB,
+     after_value JSONB,
+     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+   )`,
+  `CREATE INDEX IF NOT EXISTS auditlog_created_at_idx ON AuditLog (created_at)`,
+  `CREATE INDEX IF NOT EXISTS auditlog_entity_idx ON AuditLog (entity_type, entity_id)`,
+
+  // ---- Trash ----
+  // Set when a project or account is deleted; lib/trash purges the row after the retention period
+  `ALTER TABLE Project ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`,
+  `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`,
+
+  // ---- Timed writing sprints ----
+  // How long the session behind a log entry took, when it's known (sprints)
+  `ALTER TABLE ProgressLog ADD COLUMN IF NOT EXISTS duration_seconds INTEGER`,
+  // status is 'running', 'finished' or 'abandoned'; the draft is autosaved while running
+  `CREATE TABLE IF NOT EXISTS WritingSprint (
+     sprint_id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES "users"(user_id) ON DELETE CASCADE,
+     project_id INTEGER NOT NULL REFERENCES Project(project_id) ON DELETE CASCADE,
+     duration_minutes INTEGER NOT NULL,
+     word_target INTEGER,
+     status VARCHAR(20) NOT NULL DEFAULT 'running',
+     draft_text TEXT NOT NULL DEFAULT '',
+     draft_saved_at TIMESTAMP,
+     started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     ended_at TIMESTAMP,
+     elapsed_seconds INTEGER,
+     words_written INTEGER,
+     log_id INTEGER REFERENCES ProgressLog(log_id) ON DELETE SET NULL
+   )`,
+  `CREATE INDEX IF NOT EXISTS writingsprint_project_idx ON WritingSprint (project_id, started_at)`,
+
+  // ---- Word wars ----
+  // status is 'waiting' (in the lobby), 'running', 'finished' or 'cancelled'
+  `CREATE TABLE IF NOT EXISTS WordWar (
+     war_id SERIAL PRIMARY KEY,
+     code VARCHAR(12) NOT NULL UNIQUE,
+     title VARCHAR(100) NOT NULL,
+     created_by INTEGER REFERENCES "users"(user_id) ON DELETE SET NULL,
+     duration_minutes INTEGER NOT NULL,
+     status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     started_at TIMESTAMP,
+     ended_at TIMESTAMP
+   )`,
+  // words is the live count; log_id is the ProgressLog entry it was credited as
+  `CREATE TABLE IF NOT EXISTS WordWarParticipant (
+     war_id INTEGER NOT NULL REFERENCES WordWar(war_id) ON DELETE CASCADE,
+     user_id INTEGER NOT NULL REFERENCES "users"(user_id) ON DELETE CASCADE,
+     project_id INTEGER REFERENCES Project(project_id) ON DELETE SET NULL,
+     words INTEGER NOT NULL DEFAULT 0,
+     draft_text TEXT NOT NULL DEFAULT '',
+     joined_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     updated_at TIMESTAMP,
+     log_id INTEGER REFERENCES ProgressLog(log_id) ON DELETE SET NULL,
+     PRIMARY KEY (war_id, user_id)
+   )`,
+  `CREATE INDEX IF NOT EXISTS wordwarparticipant_user_idx ON WordWarParticipant (user_id)`,
+
+  // ---- Word counting ----
+  // Parts of the manuscript left out of its count: any of 'headings', 'footnotes', 'tables'
+  `ALTER TABLE Project ADD COLUMN IF NOT EXISTS count_exclusions TEXT[] NOT NULL DEFAULT '{}'`,
+
+  // ---- Chapters ----
+  // One row per chapter of a synced document, matched across syncs by title (and which
+  // occurrence of that title it is). previous_words is the count before the last sync that
+  // changed anything, NULL for a chapter that sync added; removed_at marks one it dropped.
+  `CREATE TABLE IF NOT EXISTS DocumentSection (
+     section_id SERIAL PRIMARY KEY,
+     project_id INTEGER NOT NULL REFERENCES Project(project_id) ON DELETE CASCADE,
+     title TEXT NOT NULL,
+     occurrence INTEGER NOT NULL DEFAULT 1,
+     position INTEGER NOT NULL,
+     words INTEGER NOT NULL DEFAULT 0,
+     previous_words INTEGER,
+     target_words INTEGER,
+     removed_at TIMESTAMP,
+     UNIQUE (project_id, title, occurrence)
+   )`,
+  `ALTER TABLE Project ADD COLUMN IF NOT EXISTS sections_changed_at TIMESTAMP`,
+
+  // ---- Genres, tags & status ----
+  // Managers maintain the genre list; projects keep the genre's name, so removing one
+  // from the list doesn't touch the projects already filed under it
+  `CREATE TABLE IF NOT EXISTS Genre (
+     genre_id SERIAL PRIMARY KEY,
+     name VARCHAR(100) NOT NULL UNIQUE,
+     position INTEGER NOT NULL DEFAULT 0
+   )`,
+  // The genres the forms used to offer, for a fresh install
+  `INSERT INTO Genre (name, position)
+   SELECT name, position
+   FROM unnest(ARRAY['Fantasy', 'Science Fiction', 'Mystery', 'Romance', 'Thriller', 'Horror',
+                     'Historical Fiction', 'Literary Fiction', 'Young Adult', 'Non-Fiction', 'Fiction', 'Other'])
+        WITH ORDINALITY AS g(name, position)
+   WHERE NOT EXISTS (SELECT 1 FROM Genre)`,
+  // Lowercase tags, see parseTags in lib/projects
+  `ALTER TABLE Project ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}'`,
+  // One of PROJECT_STATUSES; archived projects are hidden from the dashboard
+  `ALTER TABLE Project ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'drafting'`,
+  `CREATE INDEX IF NOT EXISTS project_tags_idx ON Project USING GIN (tags)`
+];
+
+exports.up = async function (knex) {
+  for (const sql of statements) {
+    await knex.raw(sql);
+  }
+};
+
+exports.down = async function (knex) {
+  await knex.raw(
+    `DROP TABLE IF EXISTS Genre, DocumentSection, WordWarParticipant, WordWar, WritingSprint, AuditLog,
+                          GoogleCredential, ApiToken, PasswordReset, Invite, AppSetting`
+  );
+  await knex.raw(
+    `ALTER TABLE Project
+       DROP COLUMN IF EXISTS tags, DROP COLUMN IF EXISTS status, DROP COLUMN IF EXISTS sections_changed_at,
+       DROP COLUMN IF EXISTS count_exclusions, DROP COLUMN IF EXISTS deleted_at,
+       DROP COLUMN IF EXISTS source_type, DROP COLUMN IF EXISTS source_locator,
+       DROP COLUMN IF EXISTS last_synced_at, DROP COLUMN IF EXISTS last_sync_error, DROP COLUMN IF EXISTS last_sync_error_at`
+  );
+  await knex.raw('ALTER TABLE ProgressLog DROP COLUMN IF EXISTS duration_seconds');
+  await knex.raw('ALTER TABLE Goal DROP COLUMN IF EXISTS end_date, DROP COLUMN IF EXISTS ended_at, DROP COLUMN IF EXISTS outcome');
+  await knex.raw('ALTER TABLE "users" DROP COLUMN IF EXISTS time_zone, DROP COLUMN IF EXISTS deleted_at');
+  await knex.raw('ALTER TABLE Security DROP COLUMN IF EXISTS failed_login_count, DROP COLUMN IF EXISTS locked_until');
+};
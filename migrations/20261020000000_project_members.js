@@ -0,0 +1,39 @@
+/**
+ * Shared projects: a project can have several members, each an owner, co-author or viewer
+ * (see lib/members), and every ProgressLog row records who wrote it.
+ *
+ * Project.user_id stays as the project's owner. Existing projects get their owner as their
+ * only member, and their existing logs are credited to that owner.
+ */
+
+exports.up = async function (knex) {
+  await knex.raw(
+    `CREATE TABLE ProjectMember (
+       project_id INTEGER NOT NULL REFERENCES Project(project_id) ON DELETE CASCADE,
+       user_id INTEGER NOT NULL REFERENCES "users"(user_id) ON DELETE CASCADE,
+       role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'co_author', 'viewer')),
+       added_by INTEGER REFERENCES "users"(user_id) ON DELETE SET NULL,
+       added_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       PRIMARY KEY (project_id, user_id)
+     )`
+  );
+  await knex.raw('CREATE INDEX projectmember_user_idx ON ProjectMember (user_id)');
+  await knex.raw(
+    `INSERT INTO ProjectMember (project_id, user_id, role)
+     SELECT project_id, user_id, 'owner' FROM Project`
+  );
+
+  // Who logged the words. Kept when that member leaves; cleared if their account is purged.
+  await knex.raw('ALTER TABLE ProgressLog ADD COLUMN user_id INTEGER REFERENCES "users"(user_id) ON DELETE SET NULL');
+  await knex.raw(
+    `UPDATE ProgressLog pl SET user_id = p.user_id
+     FROM Project p
+     WHERE p.project_id = pl.project_id`
+  );
+  await knex.raw('CREATE INDEX progresslog_user_idx ON ProgressLog (user_id, log_date)');
+};
+
+exports.down = async function (knex) {
+  await knex.raw('ALTER TABLE ProgressLog DROP COLUMN IF EXISTS user_id');
+  await knex.raw('DROP TABLE IF EXISTS ProjectMember');
+};
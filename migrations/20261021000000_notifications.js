@@ -0,0 +1,41 @@
+/**
+ * In-app notifications and the settings for them (see lib/notifications).
+ *
+ * Each notification has a key that's unique per user, so a check that runs every few
+ * minutes only ever notifies once about the same thing. Users without a
+ * NotificationPreference row get the defaults.
+ */
+
+exports.up = async function (knex) {
+  await knex.raw(
+    `CREATE TABLE Notification (
+       notification_id SERIAL PRIMARY KEY,
+       user_id INTEGER NOT NULL REFERENCES "users"(user_id) ON DELETE CASCADE,
+       project_id INTEGER REFERENCES Project(project_id) ON DELETE CASCADE,
+       kind VARCHAR(30) NOT NULL,
+       notification_key VARCHAR(200) NOT NULL,
+       message TEXT NOT NULL,
+       link VARCHAR(255),
+       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       read_at TIMESTAMP,
+       emailed_at TIMESTAMP,
+       UNIQUE (user_id, notification_key)
+     )`
+  );
+  await knex.raw('CREATE INDEX notification_user_idx ON Notification (user_id, created_at DESC)');
+
+  await knex.raw(
+    `CREATE TABLE NotificationPreference (
+       user_id INTEGER PRIMARY KEY REFERENCES "users"(user_id) ON DELETE CASCADE,
+       kinds TEXT[] NOT NULL,
+       reminder_hour SMALLINT NOT NULL DEFAULT 20 CHECK (reminder_hour BETWEEN 0 AND 23),
+       email_digest BOOLEAN NOT NULL DEFAULT false,
+       last_digest_on DATE
+     )`
+  );
+};
+
+exports.down = async function (knex) {
+  await knex.raw('DROP TABLE IF EXISTS NotificationPreference');
+  await knex.raw('DROP TABLE IF EXISTS Notification');
+};
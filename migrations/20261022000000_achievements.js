@@ -0,0 +1,53 @@
+/**
+ * Achievements (see lib/achievements): what can be earned, and who has earned what.
+ *
+ * Each achievement is a threshold on one of the writer's stats. The built-in ones have a
+ * code and are added here; managers add custom ones from the app.
+ */
+
+const BUILT_IN = [
+  ['first_1k', 'First Thousand', 'Wrote your first 1,000 words', '✍️', 'lifetime_words', 1000],
+  ['words_10k', '10K Club', 'Wrote 10,000 words', '📘', 'lifetime_words', 10000],
+  ['words_50k', 'Novelist', 'Wrote 50,000 words', '📚', 'lifetime_words', 50000],
+  ['words_100k', 'Centurion', 'Wrote 100,000 words', '🏛️', 'lifetime_words', 100000],
+  ['streak_7', 'Week Streak', 'Wrote on 7 days in a row', '🔥', 'streak_days', 7],
+  ['streak_30', 'Month Streak', 'Wrote on 30 days in a row', '🌋', 'streak_days', 30],
+  ['project_finished', 'The End', 'Finished a project', '🏁', 'projects_finished', 1],
+  ['month_50k', 'Novel in a Month', 'Wrote 50,000 words in one calendar month', '🚀', 'month_words', 50000]
+];
+
+exports.up = async function (knex) {
+  await knex.raw(
+    `CREATE TABLE Achievement (
+       achievement_id SERIAL PRIMARY KEY,
+       code VARCHAR(50) UNIQUE,
+       name VARCHAR(100) NOT NULL,
+       description VARCHAR(255),
+       icon VARCHAR(16) NOT NULL DEFAULT '🏆',
+       metric VARCHAR(30) NOT NULL
+         CHECK (metric IN ('lifetime_words', 'streak_days', 'month_words', 'day_words', 'projects_finished')),
+       threshold INTEGER NOT NULL CHECK (threshold > 0),
+       created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+  for (const [code, name, description, icon, metric, threshold] of BUILT_IN) {
+    await knex.raw(
+      'INSERT INTO Achievement (code, name, description, icon, metric, threshold) VALUES (?, ?, ?, ?, ?, ?)',
+      [code, name, description, icon, metric, threshold]
+    );
+  }
+
+  await knex.raw(
+    `CREATE TABLE UserAchievement (
+       user_id INTEGER NOT NULL REFERENCES "users"(user_id) ON DELETE CASCADE,
+       achievement_id INTEGER NOT NULL REFERENCES Achievement(achievement_id) ON DELETE CASCADE,
+       earned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       PRIMARY KEY (user_id, achievement_id)
+     )`
+  );
+};
+
+exports.down = async function (knex) {
+  await knex.raw('DROP TABLE IF EXISTS UserAchievement');
+  await knex.raw('DROP TABLE IF EXISTS Achievement');
+};
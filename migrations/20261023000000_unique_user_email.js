@@ -0,0 +1,26 @@
+/**
+ * One account per email address, whatever its case. Password reset and invites look users
+ * up by email, so a duplicate would make them pick one of the accounts at random.
+ *
+ * Registration used to check for duplicates only before inserting, so two signups at the
+ * same moment could both get through. The migration stops with the clashing addresses if
+ * any are already in the table; merge or change those accounts first.
+ */
+
+exports.up = async function (knex) {
+  const duplicates = await knex.raw(
+    `SELECT LOWER(email) AS email FROM "users"
+     WHERE email IS NOT NULL
+     GROUP BY LOWER(email)
+     HAVING COUNT(*) > 1`
+  );
+  if (duplicates.rows.length > 0) {
+    throw new Error(`These emails belong to more than one account: ${duplicates.rows.map(row => row.email).join(', ')}`);
+  }
+
+  await knex.raw('CREATE UNIQUE INDEX users_email_lower_idx ON "users" (LOWER(email))');
+};
+
+exports.down = async function (knex) {
+  await knex.raw('DROP INDEX IF EXISTS users_email_lower_idx');
+};
@@ -0,0 +1,599 @@
+/**
+ * JSON REST API (v1)
+ * Authenticated with personal access tokens: `Authorization: Bearer wct_...`.
+ * Tokens are created and revoked from the /account page.
+ *
+ * Errors always look like { "error": { "code": "not_found", "message": "..." } }.
+ */
+
+const express = require('express');
+const { db } = require('../lib/db');
+const { findApiTokenUser } = require('../lib/tokens');
+const { todayIn, summarizeHistory } = require('../lib/history');
+const { latestTotal, addWords, addEntry } = require('../lib/progress');
+const { countWords } = require('../lib/wordcount');
+const {
+  GOAL_TYPES, PROJECT_STATUSES, PROJECT_SORTS, localDaySql, projectSummarySql, projectFilterSql, parseTags,
+  goalProgressSql, closeFinishedSprints, withForecast, createProject, overrideTotal, validateGoal, addGoal
+} = require('../lib/projects');
+const { listGenres, isGenre } = require('../lib/genres');
+const { PROJECT_ROLES, hasAccess, listMembers, authorTotals } = require('../lib/members');
+const { trashProject } = require('../lib/trash');
+const { recordAudit, snapshot } = require('../lib/audit');
+
+const router = express.Router();
+// Parsed here rather than app-wide so malformed JSON gets a JSON error from the handler below
+router.use(express.json());
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LOG_PAGE = 500;
+
+function apiError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } });
+}
+
+// pg turns DATE columns into local-midnight Date objects; send them back as YYYY-MM-DD
+function toDay(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  const pad = n => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+// ---------------- SERIALIZERS ----------------
+
+function projectJson(project) {
+  return {
+    id: project.id,
+    title: project.title,
+    role: project.role,
+    owner: project.owner_username,
+    genre: project.genre,
+    status: project.status,
+    tags: project.tags,
+    description: project.description,
+    startDate: toDay(project.start_date),
+    // The locator can carry credentials (e.g. a Git URL with a token in it), so only the owner sees it
+    source: project.source_type
+      ? { type: project.source_type, locator: project.role === 'owner' ? project.source_locator : null }
+      : null,
+    lastSyncedAt: project.last_synced_at,
+    lastSyncError: project.last_sync_error,
+    currentWords: project.current_words,
+    targetWords: project.target_words,
+    dailyGoal: project.daily_goal,
+    wordsToday: project.words_today,
+    deadline: project.deadline,
+    forecast: project.forecast
+  };
+}
+
+function goalJson(goal) {
+  return {
+    id: goal.goal_id,
+    projectId: goal.project_id,
+    type: goal.goal_type,
+    targetValue: goal.target_value,
+    progress: goal.progress,
+    startDate: goal.start_date,
+    endDate: goal.end_date,
+    isActive: goal.is_active,
+    outcome: goal.outcome,
+    endedAt: goal.ended_at
+  };
+}
+
+function logJson(log) {
+  return {
+    id: log.log_id,
+    projectId: log.project_id,
+    wordCount: log.word_count,
+    totalWords: log.total_words,
+    userId: log.user_id,
+    loggedAt: log.log_date
+  };
+}
+
+// ---------------- AUTH ----------------
+
+router.use(async (req, res, next) => {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return apiError(res, 401, 'unauthorized', 'Send a personal access token as "Authorization: Bearer <token>".');
+  }
+
+  try {
+    const user = await findApiTokenUser(db, match[1]);
+    if (!user) return apiError(res, 401, 'unauthorized', 'This token is invalid or has been revoked.');
+
+    req.apiUser = {
+      userId: user.user_id,
+      username: user.username,
+      permissions: user.permissions,
+      timeZone: user.time_zone || 'UTC'
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Who to credit in the audit trail
+function apiActor(req) {
+  return { userId: req.apiUser.userId, username: req.apiUser.username };
+}
+
+// Load :id as one of the projects the caller is a member of (with forecast) or answer 404.
+// access is what their role must allow (see lib/members); 403 if it doesn't.
+async function loadProject(req, res, access = 'view') {
+  const projectId = parseInt(req.params.id);
+  const { userId, timeZone } = req.apiUser;
+  const result = isNaN(projectId)
+    ? { rows: [] }
+    : await db.query(projectSummarySql('AND p.project_id = $3'), [userId, timeZone, projectId]);
+
+  if (result.rows.length === 0) {
+    apiError(res, 404, 'not_found', 'Project not found.');
+    return null;
+  }
+  if (!hasAccess(result.rows[0].role, access)) {
+    apiError(res, 403, 'forbidden', `As a ${PROJECT_ROLES[result.rows[0].role].toLowerCase()} on this project you can't do this.`);
+    return null;
+  }
+  return withForecast(result.rows[0], todayIn(timeZone));
+}
+
+// ---------------- PROJECTS ----------------
+
+// Takes the same filters as the dashboard search (q, genre, tag, status, from, to, sort)
+router.get('/projects', async (req, res, next) => {
+  try {
+    const { userId, timeZone } = req.apiUser;
+    const { where, params } = projectFilterSql(req.query);
+    const sort = PROJECT_SORTS[req.query.sort] || PROJECT_SORTS.newest;
+    const result = await db.query(projectSummarySql(where, sort.sql), [userId, timeZone, ...params]);
+    const today = todayIn(timeZone);
+    res.json({ projects: result.rows.map(project => projectJson(withForecast(project, today))) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/projects', async (req, res, next) => {
+  const body = req.body || {};
+  const { title, genre } = body;
+
+  if (!title || !genre) {
+    return apiError(res, 400, 'invalid_request', 'title and genre are required.');
+  }
+  if (body.startDate && !DATE_PATTERN.test(body.startDate)) {
+    return apiError(res, 400, 'invalid_request', 'startDate must be YYYY-MM-DD.');
+  }
+  if (body.deadline && !DATE_PATTERN.test(body.deadline)) {
+    return apiError(res, 400, 'invalid_request', 'deadline must be YYYY-MM-DD.');
+  }
+  if (body.targetWords !== undefined && !(parseInt(body.targetWords) > 0)) {
+    return apiError(res, 400, 'invalid_request', 'targetWords must be a positive number.');
+  }
+  if (body.status !== undefined && !PROJECT_STATUSES[body.status]) {
+    return apiError(res, 400, 'invalid_request', `status must be one of: ${Object.keys(PROJECT_STATUSES).join(', ')}.`);
+  }
+
+  try {
+    if (!(await isGenre(db, genre))) {
+      return apiError(res, 400, 'invalid_request', 'genre must be one of the genres from GET /genres.');
+    }
+
+    const projectId = await createProject(db, req.apiUser.userId, {
+      title,
+      genre,
+      description: body.description,
+      startDate: body.startDate || todayIn(req.apiUser.timeZone),
+      targetWords: body.targetWords || 50000,
+      dailyGoal: body.dailyGoal,
+      deadline: body.deadline,
+      currentWords: body.currentWords,
+      status: body.status,
+      tags: body.tags,
+      timeZone: req.apiUser.timeZone
+    });
+
+    req.params.id = projectId;
+    const project = await loadProject(req, res);
+    if (project) res.status(201).json({ project: projectJson(project) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/projects/:id', async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (project) res.json({ project: projectJson(project) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Partial update. Project fields and the main goal's targetWords/dailyGoal/deadline can be changed.
+router.patch('/projects/:id', async (req, res, next) => {
+  const body = req.body || {};
+  const projectColumns = {
+    title: 'title', genre: 'genre', description: 'description', startDate: 'start_date', status: 'status', tags: 'tags'
+  };
+  const goalColumns = { targetWords: 'target_value', dailyGoal: 'daily_target', deadline: 'end_date' };
+
+  for (const key of ['startDate', 'deadline']) {
+    if (body[key] && !DATE_PATTERN.test(body[key])) {
+      return apiError(res, 400, 'invalid_request', `${key} must be YYYY-MM-DD.`);
+    }
+  }
+  for (const key of ['targetWords', 'dailyGoal']) {
+    if (body[key] !== undefined && !(parseInt(body[key]) > 0)) {
+      return apiError(res, 400, 'invalid_request', `${key} must be a positive number.`);
+    }
+  }
+  if ((body.title !== undefined && !body.title) || (body.genre !== undefined && !body.genre)) {
+    return apiError(res, 400, 'invalid_request', 'title and genre cannot be empty.');
+  }
+  if (body.status !== undefined && !PROJECT_STATUSES[body.status]) {
+    return apiError(res, 400, 'invalid_request', `status must be one of: ${Object.keys(PROJECT_STATUSES).join(', ')}.`);
+  }
+  if (body.tags !== undefined) body.tags = parseTags(body.tags);
+
+  // Build "column = $n" lists from whichever fields were sent
+  const buildSet = (columns, params) => Object.keys(columns)
+    .filter(key => body[key] !== undefined)
+    .map(key => {
+      params.push(body[key] === '' ? null : body[key]);
+      return `${columns[key]} = $${params.length}`;
+    });
+
+  try {
+    let project = await loadProject(req, res, 'manage');
+    if (!project) return;
+    // A genre taken off the list can be kept, but not chosen again
+    if (body.genre !== undefined && body.genre !== project.genre && !(await isGenre(db, body.genre))) {
+      return apiError(res, 400, 'invalid_request', 'genre must be one of the genres from GET /genres.');
+    }
+
+    const projectParams = [];
+    const projectSet = buildSet(projectColumns, projectParams);
+    const goalParams = [];
+    const goalSet = buildSet(goalColumns, goalParams);
+
+    // Audit snapshot, using the same names as the edit form's audit entries
+    const auditKeys = {
+      title: 'title', genre: 'genre', description: 'description', startDate: 'start_date', status: 'status', tags: 'tags',
+      targetWords: 'target_words', dailyGoal: 'daily_goal', deadline: 'deadline'
+    };
+    const before = snapshot({ ...project, start_date: toDay(project.start_date) }, Object.values(auditKeys));
+    const after = { ...before };
+    Object.keys(auditKeys).filter(key => body[key] !== undefined).forEach(key => {
+      const value = body[key] === '' ? null : body[key];
+      after[auditKeys[key]] = ['targetWords', 'dailyGoal'].includes(key) ? parseInt(value) : value;
+    });
+
+    await db.transaction(async (client) => {
+      await recordAudit(client, apiActor(req), {
+        action: 'project.update',
+        entityType: 'project',
+        entityId: project.id,
+        entityLabel: after.title,
+        before,
+        after
+      });
+      if (projectSet.length > 0) {
+        projectParams.push(project.id);
+        await client.query(
+          `UPDATE Project SET ${projectSet.join(', ')} WHERE project_id = $${projectParams.length}`,
+          projectParams
+        );
+      }
+      if (goalSet.length > 0) {
+        goalParams.push(project.id);
+        await client.query(
+          `UPDATE Goal SET ${goalSet.join(', ')}
+           WHERE project_id = $${goalParams.length} AND goal_type = 'total_words' AND is_active = true`,
+          goalParams
+        );
+      }
+    });
+
+    project = await loadProject(req, res);
+    if (project) res.json({ project: projectJson(project) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/projects/:id', async (req, res, next) => {
+  const projectId = parseInt(req.params.id);
+  if (isNaN(projectId)) return apiError(res, 404, 'not_found', 'Project not found.');
+
+  try {
+    const deleted = await trashProject(db, req.apiUser.userId, projectId, apiActor(req));
+    if (!deleted) return apiError(res, 404, 'not_found', 'Project not found.');
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------- GOALS ----------------
+
+router.get('/projects/:id/goals', async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const { userId, timeZone } = req.apiUser;
+    await closeFinishedSprints(db, [project.id]);
+    const goals = await db.query(goalProgressSql('AND g.project_id = $3'), [userId, timeZone, project.id]);
+    res.json({ goals: goals.rows.map(goalJson) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/projects/:id/goals', async (req, res, next) => {
+  const body = req.body || {};
+  try {
+    const project = await loadProject(req, res, 'manage');
+    if (!project) return;
+
+    const { userId, timeZone } = req.apiUser;
+    const goal = {
+      goalType: body.type,
+      targetValue: body.targetValue,
+      startDate: body.startDate || todayIn(timeZone),
+      endDate: body.endDate
+    };
+    const error = validateGoal(goal);
+    if (error) {
+      return apiError(res, 400, 'invalid_request', `${error} Types: ${Object.keys(GOAL_TYPES).filter(t => t !== 'total_words').join(', ')}.`);
+    }
+
+    const goalId = await addGoal(db, project.id, goal);
+    const created = await db.query(goalProgressSql('AND g.goal_id = $3'), [userId, timeZone, goalId]);
+    res.status(201).json({ goal: goalJson(created.rows[0]) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change a goal's target/end date, or close it with { "outcome": "completed" | "retired" }
+router.patch('/projects/:id/goals/:goalId', async (req, res, next) => {
+  const body = req.body || {};
+  const goalId = parseInt(req.params.goalId);
+
+  if (body.outcome !== undefined && !['completed', 'retired'].includes(body.outcome)) {
+    return apiError(res, 400, 'invalid_request', 'outcome must be "completed" or "retired".');
+  }
+  if (body.targetValue !== undefined && !(parseInt(body.targetValue) > 0)) {
+    return apiError(res, 400, 'invalid_request', 'targetValue must be a positive number.');
+  }
+  if (body.endDate && !DATE_PATTERN.test(body.endDate)) {
+    return apiError(res, 400, 'invalid_request', 'endDate must be YYYY-MM-DD.');
+  }
+
+  try {
+    const project = await loadProject(req, res, 'manage');
+    if (!project) return;
+
+    const { userId, timeZone } = req.apiUser;
+    await closeFinishedSprints(db, [project.id]);
+    const existing = await db.query(
+      goalProgressSql('AND g.project_id = $3 AND g.goal_id = $4'),
+      [userId, timeZone, project.id, isNaN(goalId) ? 0 : goalId]
+    );
+    if (existing.rows.length === 0) return apiError(res, 404, 'not_found', 'Goal not found.');
+    const goal = existing.rows[0];
+
+    if (body.outcome && goal.goal_type === 'total_words') {
+      return apiError(res, 409, 'conflict', "The project's main total_words goal can't be closed.");
+    }
+    if (body.outcome && !goal.is_active) {
+      return apiError(res, 409, 'conflict', 'This goal is already closed.');
+    }
+
+    await db.query(
+      `UPDATE Goal
+       SET target_value = COALESCE($1, target_value),
+           end_date = CASE WHEN $2::boolean THEN $3::date ELSE end_date END,
+           is_active = CASE WHEN $4::text IS NULL THEN is_active ELSE false END,
+           outcome = COALESCE($4, outcome),
+           ended_at = CASE WHEN $4::text IS NULL THEN ended_at ELSE CURRENT_TIMESTAMP END
+       WHERE goal_id = $5`,
+      [
+        body.targetValue !== undefined ? parseInt(body.targetValue) : null,
+        body.endDate !== undefined,
+        body.endDate || null,
+        body.outcome || null,
+        goal.goal_id
+      ]
+    );
+
+    const updated = await db.query(goalProgressSql('AND g.goal_id = $3'), [userId, timeZone, goal.goal_id]);
+    res.json({ goal: goalJson(updated.rows[0]) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------- PROGRESS LOGS ----------------
+
+// Newest first. ?limit= (default 50, max 500) and ?before= (ISO timestamp) page backwards.
+router.get('/projects/:id/logs', async (req, res, next) => {
+  const limit = Math.min(MAX_LOG_PAGE, parseInt(req.query.limit) || 50);
+  const before = req.query.before ? new Date(req.query.before) : null;
+  if (before && isNaN(before)) {
+    return apiError(res, 400, 'invalid_request', 'before must be an ISO timestamp.');
+  }
+
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    // log_date holds UTC, so compare in UTC rather than binding the Date (pg would send it in local time)
+    const logs = await db.query(
+      `SELECT * FROM ProgressLog
+       WHERE project_id = $1 AND ($2::timestamptz IS NULL OR log_date < $2::timestamptz AT TIME ZONE 'UTC')
+       ORDER BY log_date DESC
+       LIMIT $3`,
+      [project.id, before && before.toISOString(), limit]
+    );
+    res.json({ logs: logs.rows.map(logJson) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Log writing. Send exactly one of:
+//   { "words": 500 }     words written just now, or on "date": "YYYY-MM-DD" (later totals are recalculated)
+//   { "text": "..." }    text to count
+//   { "total": 42000 }   the manuscript's new total, e.g. from an editor plugin
+router.post('/projects/:id/logs', async (req, res, next) => {
+  const body = req.body || {};
+  const provided = ['words', 'text', 'total'].filter(key => body[key] !== undefined);
+  if (provided.length !== 1) {
+    return apiError(res, 400, 'invalid_request', 'Send exactly one of words, text or total.');
+  }
+  if (body.date && (!DATE_PATTERN.test(body.date) || body.words === undefined)) {
+    return apiError(res, 400, 'invalid_request', 'date must be YYYY-MM-DD and can only be used with words.');
+  }
+
+  try {
+    const project = await loadProject(req, res, 'write');
+    if (!project) return;
+
+    let words = null;
+    if (body.words !== undefined) words = parseInt(body.words);
+    if (body.text !== undefined) {
+      words = countWords(String(body.text), { format: 'markdown', exclude: project.count_exclusions });
+    }
+    const total = body.total !== undefined ? parseInt(body.total) : null;
+
+    if ((words !== null && (isNaN(words) || words === 0)) || (total !== null && (isNaN(total) || total < 0))) {
+      return apiError(res, 400, 'invalid_request', 'words must be a non-zero number and total a non-negative number.');
+    }
+
+    const { userId, timeZone } = req.apiUser;
+    let log;
+    if (total !== null) {
+      log = await overrideTotal(db, project, total, apiActor(req));
+    } else if (body.date) {
+      log = await db.transaction(client => addEntry(client, project.id, userId, words, body.date, timeZone));
+    } else {
+      log = await addWords(db, project.id, userId, words);
+    }
+
+    if (!log) return res.status(200).json({ log: null, totalWords: total });
+    res.status(201).json({ log: logJson(log), totalWords: await latestTotal(db, project.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------- MEMBERS ----------------
+
+// Who's on the project, and the words each author has logged on it
+router.get('/projects/:id/members', async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const members = await listMembers(db, project.id);
+    const totals = await authorTotals(db, project.id);
+    res.json({
+      members: members.map(member => ({
+        userId: member.user_id,
+        username: member.username,
+        role: member.role,
+        words: member.words,
+        addedAt: member.added_at
+      })),
+      contributions: totals.map(author => ({
+        userId: author.user_id,
+        username: author.username,
+        role: author.role,
+        words: author.words,
+        entries: author.entries,
+        lastLoggedAt: author.last_logged_at
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------- GENRES ----------------
+
+// The genres a project can be given, as managers have ordered them
+router.get('/genres', async (req, res, next) => {
+  try {
+    res.json({ genres: (await listGenres(db)).map(genre => genre.name) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------- STATS ----------------
+
+router.get('/stats', async (req, res, next) => {
+  try {
+    const { userId, timeZone } = req.apiUser;
+    const result = await db.query(projectSummarySql(), [userId, timeZone]);
+    const today = todayIn(timeZone);
+    const projects = result.rows.map(project => projectJson(withForecast(project, today)));
+
+    res.json({
+      totals: {
+        projects: projects.length,
+        words: projects.reduce((sum, p) => sum + p.currentWords, 0),
+        wordsToday: projects.reduce((sum, p) => sum + p.wordsToday, 0)
+      },
+      projects
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Streaks, averages and words per day for one project
+router.get('/projects/:id/history', async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const { timeZone } = req.apiUser;
+    const days = await db.query(
+      `SELECT to_char(${localDaySql()}, 'YYYY-MM-DD') AS day, SUM(word_count)::int AS words
+       FROM ProgressLog
+       WHERE project_id = $1
+       GROUP BY 1
+       ORDER BY 1`,
+      [project.id, timeZone]
+    );
+    const { calendar, ...summary } = summarizeHistory(days.rows, project.daily_goal, todayIn(timeZone));
+    res.json({ history: { ...summary, days: days.rows } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------- FALLBACKS ----------------
+
+router.use((req, res) => apiError(res, 404, 'not_found', `No API route for ${req.method} ${req.path}.`));
+
+// Express only treats 4-argument functions as error handlers, so `next` stays even though it's unused
+router.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return apiError(res, 400, 'invalid_json', 'The request body is not valid JSON.');
+  }
+  console.error('API error:', err);
+  apiError(res, 500, 'server_error', 'Something went wrong.');
+});
+
+module.exports = router;
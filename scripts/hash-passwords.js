@@ -0,0 +1,38 @@
+/**
+ * One-off: hash every plaintext password still left in Security.password_text.
+ * Rows are otherwise upgraded one by one as users log in; this finishes the job.
+ *
+ * Usage: npm run hash-passwords [-- --dry-run]
+ */
+
+require('dotenv').config();
+const { pool, db } = require('../lib/db');
+const { checkSchema } = require('../lib/schema');
+const { isHashed, hashPassword } = require('../lib/passwords');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await checkSchema();
+  const result = await db.query('SELECT user_id, password_text FROM Security');
+  const plaintext = result.rows.filter(row => row.password_text && !isHashed(row.password_text));
+
+  console.log(`Found ${plaintext.length} plaintext password(s) out of ${result.rows.length} row(s).`);
+  if (dryRun) return;
+
+  for (const row of plaintext) {
+    // Only overwrite if the row still holds the same plaintext, in case the user logged in meanwhile
+    await db.query(
+      'UPDATE Security SET password_text = $1 WHERE user_id = $2 AND password_text = $3',
+      [await hashPassword(row.password_text), row.user_id, row.password_text]
+    );
+  }
+  console.log(`✅ Hashed ${plaintext.length} password(s).`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Hashing failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
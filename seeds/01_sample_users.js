@@ -0,0 +1,75 @@
+/**
+ * Sample accounts for a local database: a manager and a writer with one project and a
+ * week of logged words. Both log in with SEED_PASSWORD (default "password123").
+ * Accounts that already exist are left alone, so this can be run again safely.
+ */
+
+const { hashPassword } = require('../lib/passwords');
+
+const SAMPLE_USERS = [
+  { username: 'manager', email: 'manager@example.com', firstName: 'Morgan', lastName: 'Manager', permissions: 'M' },
+  { username: 'writer', email: 'writer@example.com', firstName: 'Wren', lastName: 'Writer', permissions: 'U' }
+];
+
+// Words the sample writer wrote on each of the last seven days, oldest first
+const SAMPLE_WEEK = [850, 1200, 0, 1640, 990, 1310, 720];
+
+async function createUser(knex, user, passwordHash) {
+  const existing = await knex.raw('SELECT user_id FROM "users" WHERE username = ?', [user.username]);
+  if (existing.rows.length > 0) return null;
+
+  const result = await knex.raw(
+    `INSERT INTO "users" (username, email, first_name, last_name, permissions)
+     VALUES (?, ?, ?, ?, ?)
+     RETURNING user_id`,
+    [user.username, user.email, user.firstName, user.lastName, user.permissions]
+  );
+  const userId = result.rows[0].user_id;
+  await knex.raw('INSERT INTO Security (user_id, password_text) VALUES (?, ?)', [userId, passwordHash]);
+  return userId;
+}
+
+async function createSampleProject(knex, userId) {
+  const project = await knex.raw(
+    `INSERT INTO Project (user_id, title, genre, description, start_date, tags)
+     VALUES (?, 'The Lighthouse Keeper', 'Literary Fiction', 'A sample project to click around in.',
+             CURRENT_DATE - 7, '{sample}')
+     RETURNING project_id`,
+    [userId]
+  );
+  const projectId = project.rows[0].project_id;
+  await knex.raw("INSERT INTO ProjectMember (project_id, user_id, role) VALUES (?, ?, 'owner')", [projectId, userId]);
+
+  await knex.raw(
+    `INSERT INTO Goal (project_id, goal_type, target_value, daily_target, start_date, end_date, is_active)
+     VALUES (?, 'total_words', 50000, 1000, CURRENT_DATE - 7, CURRENT_DATE + 60, true)`,
+    [projectId]
+  );
+
+  // Logged at noon UTC on each day, with the running total kept as the app keeps it
+  let total = 0;
+  for (const [i, words] of SAMPLE_WEEK.entries()) {
+    if (words === 0) continue;
+    total += words;
+    await knex.raw(
+      `INSERT INTO ProgressLog (project_id, user_id, word_count, total_words, log_date)
+       VALUES (?, ?, ?, ?, (CURRENT_DATE - ?::int) + TIME '12:00')`,
+      [projectId, userId, words, total, SAMPLE_WEEK.length - 1 - i]
+    );
+  }
+}
+
+exports.seed = async function (knex) {
+  const password = process.env.SEED_PASSWORD || 'password123';
+  const passwordHash = await hashPassword(password);
+
+  for (const user of SAMPLE_USERS) {
+    const userId = await createUser(knex, user, passwordHash);
+    if (userId === null) {
+      console.log(`Skipped ${user.username}: already exists`);
+      continue;
+    }
+    if (user.permissions === 'U') await createSampleProject(knex, userId);
+    console.log(`Created ${user.username}`);
+  }
+};
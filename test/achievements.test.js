@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { db, resetDatabase, createUser, signIn, addProject, closeDatabase } = require('./helpers');
+const { addWords } = require('../lib/progress');
+const { todayIn, addDays } = require('../lib/history');
+
+async function earned(userId) {
+  const result = await db.query(
+    `SELECT COALESCE(a.code, a.name) AS achievement
+     FROM UserAchievement ua INNER JOIN Achievement a ON a.achievement_id = ua.achievement_id
+     WHERE ua.user_id = $1
+     ORDER BY 1`,
+    [userId]
+  );
+  return result.rows.map(row => row.achievement);
+}
+
+describe('achievements', () => {
+  let userId, projectId;
+  const today = todayIn('UTC');
+
+  beforeEach(async () => {
+    await resetDatabase();
+    userId = await createUser('writer');
+    projectId = await addProject(userId, { targetWords: 200000 });
+  });
+  after(closeDatabase);
+
+  it('awards the first thousand words when they are logged', async () => {
+    const agent = await signIn('writer');
+    await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '600' }).expect(302);
+    assert.deepStrictEqual(await earned(userId), []);
+
+    await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '600' }).expect(302);
+    assert.deepStrictEqual(await earned(userId), ['first_1k']);
+
+    const res = await agent.get('/dashboard').expect(200);
+    assert.match(res.text, /<span title="First Thousand">✍️<\/span>/);
+  });
+
+  it('awards a week-long streak of days with words', async () => {
+    for (let i = 6; i >= 1; i--) {
+      await addWords(db, projectId, userId, 100, `${addDays(today, -i)} 12:00`);
+    }
+    assert.ok(!(await earned(userId)).includes('streak_7'));
+
+    await addWords(db, projectId, userId, 100);
+    assert.ok((await earned(userId)).includes('streak_7'));
+  });
+
+  it('only awards 50k in a month when it was written in one calendar month', async () => {
+    await addWords(db, projectId, userId, 30000, '2026-01-31 12:00');
+    await addWords(db, projectId, userId, 30000, '2026-02-01 12:00');
+    assert.deepStrictEqual(await earned(userId), ['first_1k', 'words_10k', 'words_50k']);
+
+    await addWords(db, projectId, userId, 20000, '2026-02-15 12:00');
+    assert.deepStrictEqual(await earned(userId), ['first_1k', 'month_50k', 'words_10k', 'words_50k']);
+  });
+
+  it('awards finishing a project when its total reaches the target', async () => {
+    const shortStory = await addProject(userId, { title: 'Short Story', targetWords: 500 });
+    await addWords(db, shortStory, userId, 499);
+    assert.ok(!(await earned(userId)).includes('project_finished'));
+
+    await addWords(db, shortStory, userId, 1);
+    assert.ok((await earned(userId)).includes('project_finished'));
+  });
+
+  it('keeps a badge after the words behind it are deleted', async () => {
+    const agent = await signIn('writer');
+    await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '1500' }).expect(302);
+    const log = await db.query('SELECT log_id FROM ProgressLog WHERE project_id = $1', [projectId]);
+    await agent.post(`/history/${projectId}/entries/${log.rows[0].log_id}/delete`).expect(302);
+
+    assert.deepStrictEqual(await earned(userId), ['first_1k']);
+  });
+
+  it("shows earned badges and progress towards the rest on the profile, catching up on older logs", async () => {
+    await db.query(
+      `INSERT INTO ProgressLog (project_id, user_id, word_count, total_words, log_date)
+       VALUES ($1, $2, 12000, 12000, CURRENT_TIMESTAMP)`,
+      [projectId, userId]
+    );
+    const res = await (await signIn('writer')).get('/profile').expect(200);
+    assert.match(res.text, /10K Club/);
+    assert.match(res.text, /12,000\s+of 50,000 words/);
+    assert.deepStrictEqual(await earned(userId), ['first_1k', 'words_10k']);
+  });
+
+  describe('team achievements', () => {
+    beforeEach(async () => {
+      await createUser('boss', { manager: true });
+    });
+
+    it('can be added by managers and are awarded like the built-in ones', async () => {
+      const manager = await signIn('boss');
+      await manager.post('/achievements').type('form')
+        .send({ name: 'Marathon Day', icon: '🏃', metric: 'day_words', threshold: '800' })
+        .expect(302);
+
+      await addWords(db, projectId, userId, 900);
+      assert.ok((await earned(userId)).includes('Marathon Day'));
+
+      const res = await manager.get('/achievements').expect(200);
+      assert.match(res.text, /Marathon Day/);
+      assert.match(res.text, /1 writer\b/);
+    });
+
+    it("can't be added by writers", async () => {
+      const agent = await signIn('writer');
+      await agent.post('/achievements').type('form').send({ name: 'Easy', metric: 'day_words', threshold: '1' }).expect(403);
+      const custom = await db.query('SELECT 1 FROM Achievement WHERE code IS NULL');
+      assert.strictEqual(custom.rows.length, 0);
+    });
+
+    it('can be deleted, unlike the built-in ones', async () => {
+      const manager = await signIn('boss');
+      await manager.post('/achievements').type('form').send({ name: 'Temporary', metric: 'lifetime_words', threshold: '5' }).expect(302);
+      const achievements = await db.query("SELECT achievement_id, code FROM Achievement WHERE code IS NULL OR code = 'first_1k'");
+      for (const achievement of achievements.rows) {
+        await manager.post(`/achievements/${achievement.achievement_id}/delete`).expect(302);
+      }
+
+      const left = await db.query("SELECT COALESCE(code, name) AS achievement FROM Achievement WHERE code IS NULL OR code = 'first_1k'");
+      assert.deepStrictEqual(left.rows.map(row => row.achievement), ['first_1k']);
+    });
+
+    it('rejects one without a name or target', async () => {
+      const manager = await signIn('boss');
+      const res = await manager.post('/achievements').type('form').send({ name: '', metric: 'day_words', threshold: '0' }).expect(200);
+      assert.match(res.text, /Please give the achievement a name/);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { app, request, db, resetDatabase, createUser, signIn, closeDatabase } = require('./helpers');
+
+function logIn(username, password) {
+  return request(app).post('/login').type('form').send({ username, password, time_zone: 'UTC' });
+}
+
+after(closeDatabase);
+
+describe('login', () => {
+  beforeEach(async () => {
+    await resetDatabase();
+    await createUser('alice');
+  });
+
+  it('signs in with the right password and opens the dashboard', async () => {
+    const agent = await signIn('alice');
+    const res = await agent.get('/dashboard');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.text, /alice/);
+  });
+
+  it('rejects a wrong password', async () => {
+    const res = await logIn('alice', 'not-the-password');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.text, /Invalid username or password/);
+  });
+
+  it('rejects an unknown username the same way', async () => {
+    const res = await logIn('nobody', 'whatever');
+    assert.match(res.text, /Invalid username or password/);
+  });
+
+  it('locks the account after too many failed attempts', async () => {
+    for (let i = 0; i < 5; i++) {
+      await logIn('alice', 'not-the-password');
+    }
+    const res = await logIn('alice', 'correct-horse-battery');
+    assert.match(res.text, /Too many failed attempts/);
+
+    const security = await db.query(
+      'SELECT locked_until FROM Security s INNER JOIN "users" u ON u.user_id = s.user_id WHERE u.username = $1',
+      ['alice']
+    );
+    assert.ok(security.rows[0].locked_until);
+  });
+
+  it('counts failed attempts sent at the same time', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => logIn('alice', 'not-the-password')));
+    const res = await logIn('alice', 'correct-horse-battery');
+    assert.match(res.text, /Too many failed attempts/);
+  });
+
+  it("doesn't check more passwords than the limit when guesses arrive at the same time", async () => {
+    const results = await Promise.all(Array.from({ length: 10 }, () => logIn('alice', 'not-the-password')));
+    const checked = results.filter(res => /Invalid username or password/.test(res.text));
+    const refused = results.filter(res => /Too many failed attempts/.test(res.text));
+    assert.strictEqual(checked.length, 5);
+    assert.strictEqual(refused.length, 5);
+  });
+
+  it('keeps signed-out visitors out of the app', async () => {
+    const res = await request(app).get('/dashboard');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.text, /Please log in to access this page/);
+  });
+
+  it('ends the session on logout', async () => {
+    const agent = await signIn('alice');
+    await agent.get('/logout').expect(302);
+    const res = await agent.get('/dashboard');
+    assert.match(res.text, /Please log in to access this page/);
+  });
+});
+
+describe('registration', () => {
+  beforeEach(resetDatabase);
+
+  function register(username, email, fields = {}) {
+    return request(app).post('/register').type('form').send({
+      username,
+      email,
+      first_name: username,
+      last_name: 'Tester',
+      password: 'correct-horse-battery',
+      confirm_password: 'correct-horse-battery',
+      time_zone: 'UTC',
+      ...fields
+    });
+  }
+
+  async function accounts() {
+    const result = await db.query('SELECT username FROM "users" ORDER BY user_id');
+    return result.rows.map(row => row.username);
+  }
+
+  it('lets only one of two signups racing on the same invite in', async () => {
+    await db.query(`INSERT INTO AppSetting (setting_key, setting_value) VALUES ('open_signup', 'false')`);
+    await db.query(`INSERT INTO Invite (code) VALUES ('one-use-invite')`);
+
+    await Promise.all([
+      register('first', 'first@example.com', { invite_code: 'one-use-invite' }),
+      register('second', 'second@example.com', { invite_code: 'one-use-invite' })
+    ]);
+    assert.strictEqual((await accounts()).length, 1);
+  });
+
+  it('creates one account when the same email signs up twice at once', async () => {
+    const results = await Promise.all([register('first', 'same@example.com'), register('second', 'SAME@example.com')]);
+    assert.strictEqual((await accounts()).length, 1);
+    assert.ok(results.some(res => /already registered/.test(res.text)));
+  });
+});
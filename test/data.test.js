@@ -0,0 +1,60 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { db, resetDatabase, createUser, signIn, closeDatabase } = require('./helpers');
+
+const CSV = 'date,words\n2026-01-05,500\n2026-01-06,700\n';
+
+function pendingFiles() {
+  const dir = path.resolve(process.env.UPLOAD_DIR, 'imports');
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+}
+
+function upload(agent) {
+  return agent.post('/data/import')
+    .field('projectName', 'Imported novel')
+    .attach('importFile', Buffer.from(CSV), 'words.csv')
+    .expect(200);
+}
+
+describe('importing a file', () => {
+  let agent;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await createUser('writer');
+    agent = await signIn('writer');
+  });
+
+  after(closeDatabase);
+
+  it('keeps the preview on disk until it is confirmed', async () => {
+    const res = await upload(agent);
+    assert.match(res.text, /Imported novel/);
+    assert.strictEqual(pendingFiles().length, 1);
+
+    await agent.post('/data/import/apply').expect(302);
+    assert.deepStrictEqual(pendingFiles(), []);
+
+    const logs = await db.query(
+      `SELECT l.word_count FROM ProgressLog l JOIN Project p ON p.project_id = l.project_id
+       WHERE p.title = 'Imported novel' ORDER BY l.log_date`
+    );
+    assert.deepStrictEqual(logs.rows.map(row => row.word_count), [500, 700]);
+
+    // The preview can only be applied once
+    await agent.post('/data/import/apply').expect(302);
+    assert.strictEqual((await db.query('SELECT COUNT(*)::int AS count FROM ProgressLog')).rows[0].count, 2);
+  });
+
+  it('deletes the preview when it is cancelled or replaced', async () => {
+    await upload(agent);
+    await upload(agent);
+    assert.strictEqual(pendingFiles().length, 1);
+
+    await agent.get('/data').expect(200);
+    assert.deepStrictEqual(pendingFiles(), []);
+    assert.strictEqual((await db.query('SELECT COUNT(*)::int AS count FROM ProgressLog')).rows[0].count, 0);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * A stand-in for Google's token and Docs endpoints, so sync can be tested offline.
+ * Point the app at it with GOOGLE_API_URL (lib/google.js reads it on every call).
+ */
+
+const http = require('http');
+
+// A Docs API document from a list of paragraphs: strings are body text,
+// { heading: 'Title' } is a Heading 1
+function googleDoc(paragraphs) {
+  return {
+    body: {
+      content: paragraphs.map(paragraph => {
+        const heading = typeof paragraph === 'object';
+        return {
+          paragraph: {
+            paragraphStyle: { namedStyleType: heading ? 'HEADING_1' : 'NORMAL_TEXT' },
+            elements: [{ textRun: { content: `${heading ? paragraph.heading : paragraph}\n` } }]
+          }
+        };
+      })
+    }
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Resolves to { url, documents, revokeAccess(), failDocuments(status, message), reset(), close() }.
+// documents maps a document ID to what documents.get returns for it.
+async function startFakeGoogle() {
+  const documents = new Map();
+  let revoked = false;
+  let failure = null;
+
+  const server = http.createServer((req, res) => {
+    // Drain the body; the token request's form fields don't matter here
+    req.resume();
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (req.method === 'POST' && url.pathname === '/token') {
+        if (revoked) {
+          return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' });
+        }
+        return sendJson(res, 200, { access_token: 'test-access-token', expires_in: 3600, token_type: 'Bearer' });
+      }
+
+      const match = /^\/v1\/documents\/([^/]+)$/.exec(url.pathname);
+      if (req.method === 'GET' && match) {
+        if (failure) return sendJson(res, failure.status, { error: { code: failure.status, message: failure.message } });
+        const doc = documents.get(decodeURIComponent(match[1]));
+        if (!doc) return sendJson(res, 404, { error: { code: 404, message: 'Requested entity was not found.' } });
+        return sendJson(res, 200, { documentId: match[1], ...doc });
+      }
+
+      sendJson(res, 404, { error: { code: 404, message: 'Not found' } });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    documents,
+    // Every token refresh fails from now on, as when the user revokes the app's access
+    revokeAccess() {
+      revoked = true;
+    },
+    // Every documents.get fails with this status from now on
+    failDocuments(status, message) {
+      failure = { status, message };
+    },
+    reset() {
+      documents.clear();
+      revoked = false;
+      failure = null;
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { googleDoc, startFakeGoogle };
@@ -0,0 +1,99 @@
+/**
+ * Shared test setup
+ * The suites run against the database test/run.js created (see DB_* there), through the
+ * real app with supertest. Each test starts from empty users and projects.
+ */
+
+const request = require('supertest');
+const app = require('../index');
+const { pool, db } = require('../lib/db');
+const { hashPassword } = require('../lib/passwords');
+const { createProject } = require('../lib/projects');
+const { latestTotal } = require('../lib/progress');
+const { encrypt } = require('../lib/secrets');
+
+const PASSWORD = 'correct-horse-battery';
+
+// Deleting the users takes their projects, logs, goals, tokens and so on with them.
+// The genre list and built-in achievements from the migrations are kept.
+async function resetDatabase() {
+  await db.query('TRUNCATE "users", AppSetting RESTART IDENTITY CASCADE');
+  await db.query('DELETE FROM Achievement WHERE code IS NULL');
+}
+
+// Returns the new user_id
+async function createUser(username, { manager = false, password = PASSWORD, timeZone = 'UTC' } = {}) {
+  const result = await db.query(
+    `INSERT INTO "users" (username, email, first_name, last_name, permissions, time_zone)
+     VALUES ($1, $2, $3, 'Tester', $4, $5)
+     RETURNING user_id`,
+    [username, `${username}@example.com`, username, manager ? 'M' : 'U', timeZone]
+  );
+  const userId = result.rows[0].user_id;
+  await db.query('INSERT INTO Security (user_id, password_text) VALUES ($1, $2)', [userId, await hashPassword(password)]);
+  return userId;
+}
+
+// A supertest agent that keeps the session cookie of a successful login
+async function signIn(username, password = PASSWORD) {
+  const agent = request.agent(app);
+  const res = await agent
+    .post('/login')
+    .type('form')
+    .send({ username, password, time_zone: 'UTC' });
+  if (res.status !== 302 || res.headers.location !== '/dashboard') {
+    throw new Error(`Couldn't sign in as ${username} (status ${res.status})`);
+  }
+  return agent;
+}
+
+// Returns the new project_id
+async function addProject(userId, fields = {}) {
+  return createProject(db, userId, {
+    title: 'Test Project',
+    genre: 'Fantasy',
+    startDate: '2026-01-01',
+    targetWords: 50000,
+    dailyGoal: 1000,
+    ...fields
+  });
+}
+
+async function projectTotal(projectId) {
+  return latestTotal(db, projectId);
+}
+
+async function progressLogs(projectId) {
+  const result = await db.query(
+    'SELECT log_id, word_count, total_words FROM ProgressLog WHERE project_id = $1 ORDER BY log_date, log_id',
+    [projectId]
+  );
+  return result.rows;
+}
+
+// Store a Google refresh token for the user, as the OAuth callback would
+async function connectGoogle(userId, refreshToken = 'test-refresh-token') {
+  await db.query(
+    'INSERT INTO GoogleCredential (user_id, refresh_token, updated_at) VALUES ($1, $2, CURRENT_TIMESTAMP)',
+    [userId, encrypt(refreshToken)]
+  );
+}
+
+async function closeDatabase() {
+  await pool.end();
+}
+
+module.exports = {
+  app,
+  request,
+  db,
+  PASSWORD,
+  resetDatabase,
+  createUser,
+  signIn,
+  addProject,
+  projectTotal,
+  progressLogs,
+  connectGoogle,
+  closeDatabase
+};
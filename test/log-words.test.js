@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { db, resetDatabase, createUser, signIn, addProject, projectTotal, progressLogs, closeDatabase } = require('./helpers');
+const { addWords, setTotal } = require('../lib/progress');
+
+describe('logging words', () => {
+  let agent;
+  let projectId;
+
+  let userId;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    userId = await createUser('writer');
+    projectId = await addProject(userId);
+    agent = await signIn('writer');
+  });
+  after(closeDatabase);
+
+  it('keeps a running total', async () => {
+    await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '500' }).expect(302);
+    await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '250' }).expect(302);
+
+    const logs = await progressLogs(projectId);
+    assert.deepStrictEqual(logs.map(log => [log.word_count, log.total_words]), [[500, 500], [250, 750]]);
+  });
+
+  it('counts pasted text', async () => {
+    await agent.post(`/log-words/${projectId}`).type('form').send({ text: 'The quick brown fox jumps.' }).expect(302);
+    assert.strictEqual(await projectTotal(projectId), 5);
+  });
+
+  it('asks for something when nothing was entered', async () => {
+    const res = await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '', text: '' });
+    assert.strictEqual(res.status, 200);
+    assert.match(res.text, /Please enter text or a word count/);
+    assert.deepStrictEqual(await progressLogs(projectId), []);
+  });
+
+  it('turns a typed-in total into the words added', async () => {
+    await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '1200' });
+    await agent.post(`/edit/${projectId}`).type('form').send({
+      title: 'Test Project', genre: 'Fantasy', targetWords: '50000', dailyGoal: '1000',
+      startDate: '2026-01-01', status: 'drafting', currentWords: '1000'
+    }).expect(302);
+
+    const logs = await progressLogs(projectId);
+    assert.deepStrictEqual(logs.map(log => [log.word_count, log.total_words]), [[1200, 1200], [-200, 1000]]);
+  });
+
+  it("doesn't log anything when the typed-in total is unchanged", async () => {
+    await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '1200' });
+    await agent.post(`/edit/${projectId}`).type('form').send({
+      title: 'Test Project', genre: 'Fantasy', targetWords: '50000', dailyGoal: '1000',
+      startDate: '2026-01-01', status: 'drafting', currentWords: '1200'
+    }).expect(302);
+
+    assert.strictEqual((await progressLogs(projectId)).length, 1);
+  });
+
+  it('carries a back-dated entry into the later totals', async () => {
+    await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '300' });
+    await agent.post(`/history/${projectId}/entries`).type('form').send({ words: '1000', day: '2026-01-02' }).expect(302);
+
+    const logs = await progressLogs(projectId);
+    assert.deepStrictEqual(logs.map(log => [log.word_count, log.total_words]), [[1000, 1000], [300, 1300]]);
+  });
+
+  it('recalculates later totals when an entry is edited or deleted', async () => {
+    await agent.post(`/history/${projectId}/entries`).type('form').send({ words: '1000', day: '2026-01-02' });
+    await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '300' });
+    const [first] = await progressLogs(projectId);
+
+    await agent.post(`/history/${projectId}/entries/${first.log_id}`).type('form')
+      .send({ words: '400', day: '2026-01-02' }).expect(302);
+    assert.strictEqual(await projectTotal(projectId), 700);
+
+    await agent.post(`/history/${projectId}/entries/${first.log_id}/delete`).expect(302);
+    const logs = await progressLogs(projectId);
+    assert.deepStrictEqual(logs.map(log => [log.word_count, log.total_words]), [[300, 300]]);
+  });
+
+  it('can change an entry by its total instead', async () => {
+    await agent.post(`/history/${projectId}/entries`).type('form').send({ words: '1000', day: '2026-01-02' });
+    const [entry] = await progressLogs(projectId);
+
+    await agent.post(`/history/${projectId}/entries/${entry.log_id}`).type('form')
+      .send({ words: '1000', total: '1500', day: '2026-01-02' });
+
+    const result = await db.query('SELECT word_count FROM ProgressLog WHERE log_id = $1', [entry.log_id]);
+    assert.strictEqual(result.rows[0].word_count, 1500);
+  });
+
+  it('stores log times in UTC whatever the database session time zone is', async () => {
+    await db.transaction(async (client) => {
+      await client.query("SET LOCAL TIME ZONE 'America/New_York'");
+      await addWords(client, projectId, userId, 100);
+      await setTotal(client, projectId, userId, 300);
+    });
+    const ages = await db.query(
+      `SELECT ABS(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP AT TIME ZONE 'UTC') - log_date))::int AS seconds
+       FROM ProgressLog WHERE project_id = $1`,
+      [projectId]
+    );
+    assert.strictEqual(ages.rows.length, 2);
+    ages.rows.forEach(age => assert.ok(age.seconds < 60, `logged ${age.seconds} seconds away from now in UTC`));
+  });
+
+  it('reads log times back as the right moment whatever zone the app runs in', async () => {
+    await addWords(db, projectId, userId, 100);
+    await addWords(db, projectId, userId, 100, new Date(Date.now() - 3600 * 1000));
+
+    const logs = await db.query('SELECT log_date FROM ProgressLog WHERE project_id = $1 ORDER BY log_id', [projectId]);
+    const hoursAgo = logs.rows.map(log => Math.round((Date.now() - log.log_date.getTime()) / 3600000));
+    assert.deepStrictEqual(hoursAgo, [0, 1]);
+  });
+
+  it('keeps the running total right when logs arrive at the same time', async () => {
+    await Promise.all([
+      ...Array.from({ length: 10 }, () => addWords(db, projectId, userId, 100)),
+      ...Array.from({ length: 5 }, () => agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '50' }).expect(302))
+    ]);
+
+    assert.strictEqual(await projectTotal(projectId), 1250);
+    const logs = await progressLogs(projectId);
+    let total = 0;
+    for (const log of logs) {
+      total += log.word_count;
+      assert.strictEqual(log.total_words, total);
+    }
+  });
+});
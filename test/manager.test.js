@@ -0,0 +1,91 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { db, resetDatabase, createUser, signIn, closeDatabase } = require('./helpers');
+
+const MANAGER_PAGES = ['/manage-users', '/team', '/audit', '/genres'];
+
+after(closeDatabase);
+
+describe('requireManager', () => {
+  let writerId;
+
+  before(async () => {
+    await resetDatabase();
+    await createUser('boss', { manager: true });
+    writerId = await createUser('writer');
+  });
+
+  for (const page of MANAGER_PAGES) {
+    it(`turns writers away from ${page}`, async () => {
+      const agent = await signIn('writer');
+      const res = await agent.get(page);
+      assert.strictEqual(res.status, 403);
+      assert.match(res.text, /Manager permissions required/);
+    });
+
+    it(`lets managers into ${page}`, async () => {
+      const agent = await signIn('boss');
+      const res = await agent.get(page);
+      assert.strictEqual(res.status, 200);
+    });
+  }
+
+  it("doesn't let a writer add a genre", async () => {
+    const agent = await signIn('writer');
+    await agent.post('/genres').type('form').send({ name: 'Writer Genre' }).expect(403);
+
+    const genre = await db.query('SELECT 1 FROM Genre WHERE name = $1', ['Writer Genre']);
+    assert.strictEqual(genre.rows.length, 0);
+  });
+
+  it("doesn't let a writer promote themselves", async () => {
+    const agent = await signIn('writer');
+    await agent
+      .post(`/edit-user/${writerId}`)
+      .type('form')
+      .send({ username: 'writer', email: 'writer@example.com', first_name: 'W', last_name: 'T', permissions: 'M' })
+      .expect(403);
+
+    const user = await db.query('SELECT permissions FROM "users" WHERE user_id = $1', [writerId]);
+    assert.strictEqual(user.rows[0].permissions, 'U');
+  });
+});
+
+describe('editing a user', () => {
+  let bossId;
+  let writerId;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    bossId = await createUser('boss', { manager: true });
+    writerId = await createUser('writer');
+  });
+
+  async function permissions(userId) {
+    return (await db.query('SELECT permissions FROM "users" WHERE user_id = $1', [userId])).rows[0].permissions;
+  }
+
+  function edit(agent, userId, username, permissionLevel) {
+    return agent
+      .post(`/edit-user/${userId}`)
+      .type('form')
+      .send({ username, email: `${username}@example.com`, first_name: username, last_name: 'Tester', permissions: permissionLevel });
+  }
+
+  it('only accepts the user and manager permission levels', async () => {
+    const agent = await signIn('boss');
+    const res = await edit(agent, writerId, 'writer', 'X').expect(200);
+    assert.match(res.text, /Please choose a permission level/);
+    assert.strictEqual(await permissions(writerId), 'U');
+
+    await edit(agent, writerId, 'writer', 'M').expect(302);
+    assert.strictEqual(await permissions(writerId), 'M');
+  });
+
+  it("doesn't let a manager demote themselves", async () => {
+    const agent = await signIn('boss');
+    const res = await edit(agent, bossId, 'boss', 'U').expect(200);
+    assert.match(res.text, /can&#39;t remove your own manager access/);
+    assert.strictEqual(await permissions(bossId), 'M');
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { db, resetDatabase, createUser, signIn, addProject, projectTotal, closeDatabase } = require('./helpers');
+const { trashUser } = require('../lib/trash');
+
+async function memberRole(projectId, userId) {
+  const result = await db.query('SELECT role FROM ProjectMember WHERE project_id = $1 AND user_id = $2', [projectId, userId]);
+  return result.rows.length > 0 ? result.rows[0].role : null;
+}
+
+describe('shared projects', () => {
+  let ownerId, coAuthorId, viewerId, projectId;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    ownerId = await createUser('owner');
+    coAuthorId = await createUser('coauthor');
+    viewerId = await createUser('viewer');
+    await createUser('outsider');
+    projectId = await addProject(ownerId, { title: 'Shared Novel', currentWords: 1000 });
+
+    const owner = await signIn('owner');
+    await owner.post(`/members/${projectId}`).type('form').send({ identifier: 'coauthor', role: 'co_author' }).expect(302);
+    await owner.post(`/members/${projectId}`).type('form').send({ identifier: 'viewer@example.com', role: 'viewer' }).expect(302);
+  });
+  after(closeDatabase);
+
+  it("hides a deleted owner's projects from the other members", async () => {
+    await trashUser(db, ownerId, { userId: null, username: 'boss' });
+    const coAuthor = await signIn('coauthor');
+
+    const res = await coAuthor.get('/dashboard').expect(200);
+    assert.doesNotMatch(res.text, /Shared Novel/);
+    await coAuthor.post(`/log-words/${projectId}`).type('form').send({ manual_count: '500' }).expect(302);
+    assert.strictEqual(await projectTotal(projectId), 1000);
+  });
+
+  it('lets the owner invite people by username or email', async () => {
+    assert.strictEqual(await memberRole(projectId, ownerId), 'owner');
+    assert.strictEqual(await memberRole(projectId, coAuthorId), 'co_author');
+    assert.strictEqual(await memberRole(projectId, viewerId), 'viewer');
+
+    const res = await (await signIn('viewer')).get('/dashboard').expect(200);
+    assert.match(res.text, /Shared Novel/);
+  });
+
+  it('credits words a co-author logs to them', async () => {
+    const agent = await signIn('coauthor');
+    await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '400' }).expect(302);
+    assert.strictEqual(await projectTotal(projectId), 1400);
+
+    const res = await agent.get(`/members/${projectId}`).expect(200);
+    assert.match(res.text, /Contributions/);
+    const totals = await db.query(
+      'SELECT user_id, SUM(word_count)::int AS words FROM ProgressLog WHERE project_id = $1 GROUP BY user_id ORDER BY user_id',
+      [projectId]
+    );
+    assert.deepStrictEqual(totals.rows, [{ user_id: ownerId, words: 1000 }, { user_id: coAuthorId, words: 400 }]);
+  });
+
+  it("doesn't let a co-author edit the project or manage members", async () => {
+    const agent = await signIn('coauthor');
+    const res = await agent.get(`/edit/${projectId}`);
+    assert.strictEqual(res.headers.location, '/dashboard');
+
+    await agent.post(`/members/${projectId}`).type('form').send({ identifier: 'outsider', role: 'viewer' }).expect(302);
+    await agent.post(`/members/${projectId}/${viewerId}/remove`).expect(302);
+    assert.strictEqual(await memberRole(projectId, viewerId), 'viewer');
+  });
+
+  it("lets a viewer see the project but not log words or add entries", async () => {
+    const agent = await signIn('viewer');
+    await agent.get(`/history/${projectId}`).expect(200);
+    await agent.get(`/goals/${projectId}`).expect(200);
+
+    await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '500' }).expect(302);
+    await agent.post(`/history/${projectId}/entries`).type('form').send({ words: '500', day: '2026-01-02' }).expect(302);
+    assert.strictEqual(await projectTotal(projectId), 1000);
+  });
+
+  it("only lets a co-author change their own history entries", async () => {
+    const ownerLog = await db.query('SELECT log_id FROM ProgressLog WHERE project_id = $1', [projectId]);
+    const agent = await signIn('coauthor');
+    await agent.post(`/history/${projectId}/entries/${ownerLog.rows[0].log_id}/delete`).expect(302);
+    assert.strictEqual(await projectTotal(projectId), 1000);
+  });
+
+  it('keeps the words of a member the owner removes', async () => {
+    const coAuthor = await signIn('coauthor');
+    await coAuthor.post(`/log-words/${projectId}`).type('form').send({ manual_count: '250' }).expect(302);
+
+    const owner = await signIn('owner');
+    await owner.post(`/members/${projectId}/${coAuthorId}/remove`).expect(302);
+    assert.strictEqual(await memberRole(projectId, coAuthorId), null);
+    assert.strictEqual(await projectTotal(projectId), 1250);
+
+    const res = await coAuthor.get(`/history/${projectId}`);
+    assert.strictEqual(res.headers.location, '/dashboard');
+  });
+
+  it('lets members leave but never removes the owner', async () => {
+    const viewer = await signIn('viewer');
+    const res = await viewer.post(`/members/${projectId}/${viewerId}/remove`).expect(302);
+    assert.strictEqual(res.headers.location, '/dashboard');
+    assert.strictEqual(await memberRole(projectId, viewerId), null);
+
+    const owner = await signIn('owner');
+    await owner.post(`/members/${projectId}/${ownerId}/remove`).expect(302);
+    assert.strictEqual(await memberRole(projectId, ownerId), 'owner');
+  });
+
+  it('lets the owner change a member between co-author and viewer', async () => {
+    const owner = await signIn('owner');
+    await owner.post(`/members/${projectId}/${viewerId}/role`).type('form').send({ role: 'co_author' }).expect(302);
+    assert.strictEqual(await memberRole(projectId, viewerId), 'co_author');
+
+    await owner.post(`/members/${projectId}/${ownerId}/role`).type('form').send({ role: 'viewer' }).expect(302);
+    assert.strictEqual(await memberRole(projectId, ownerId), 'owner');
+  });
+
+  it('explains why an invite fails', async () => {
+    const owner = await signIn('owner');
+    let res = await owner.post(`/members/${projectId}`).type('form').send({ identifier: 'nobody', role: 'viewer' }).expect(200);
+    assert.match(res.text, /no account with the username or email/);
+
+    res = await owner.post(`/members/${projectId}`).type('form').send({ identifier: 'coauthor', role: 'viewer' }).expect(200);
+    assert.match(res.text, /already a member/);
+    assert.strictEqual(await memberRole(projectId, coAuthorId), 'co_author');
+  });
+});
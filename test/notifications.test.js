@@ -0,0 +1,152 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { db, resetDatabase, createUser, signIn, addProject, closeDatabase } = require('./helpers');
+const { runNotificationChecks } = require('../lib/notifications');
+const { addWords } = require('../lib/progress');
+const { todayIn, addDays } = require('../lib/history');
+
+// Today (UTC, like the test users' time zone) at the given hour
+function at(hour) {
+  const now = new Date();
+  now.setUTCHours(hour, 0, 0, 0);
+  return now;
+}
+
+async function notifications(userId) {
+  const result = await db.query(
+    'SELECT kind, message, read_at FROM Notification WHERE user_id = $1 ORDER BY notification_id',
+    [userId]
+  );
+  return result.rows;
+}
+
+describe('notifications', () => {
+  let userId;
+  const today = todayIn('UTC');
+
+  beforeEach(async () => {
+    await resetDatabase();
+    userId = await createUser('writer');
+  });
+  after(closeDatabase);
+
+  it("reminds a writer who hasn't written today once their reminder hour has passed", async () => {
+    await addProject(userId, { currentWords: 500 });
+
+    await runNotificationChecks(db, { now: at(10) });
+    assert.deepStrictEqual(await notifications(userId), []);
+
+    await runNotificationChecks(db, { now: at(21) });
+    await runNotificationChecks(db, { now: at(22) });
+    const sent = await notifications(userId);
+    assert.deepStrictEqual(sent.map(n => n.kind), ['no_words_today']);
+  });
+
+  it("doesn't remind a writer who has logged words today", async () => {
+    const projectId = await addProject(userId, { currentWords: 500 });
+    await addWords(db, projectId, userId, 200);
+
+    await runNotificationChecks(db, { now: at(21) });
+    assert.deepStrictEqual(await notifications(userId), []);
+  });
+
+  it("warns when yesterday's streak hasn't been kept up today", async () => {
+    const projectId = await addProject(userId, { dailyGoal: 500 });
+    await addWords(db, projectId, userId, 600, `${addDays(today, -2)} 12:00`);
+    await addWords(db, projectId, userId, 700, `${addDays(today, -1)} 12:00`);
+    await addWords(db, projectId, userId, 100);
+
+    await runNotificationChecks(db, { now: at(21) });
+    const streak = (await notifications(userId)).filter(n => n.kind === 'streak_at_risk');
+    assert.strictEqual(streak.length, 1);
+    assert.match(streak[0].message, /2-day streak/);
+    assert.match(streak[0].message, /400 more words/);
+  });
+
+  it('notifies each goal milestone once, skipping the ones passed in between', async () => {
+    const projectId = await addProject(userId, { targetWords: 1000, currentWords: 600 });
+
+    await runNotificationChecks(db, { now: at(10) });
+    await runNotificationChecks(db, { now: at(10) });
+    await addWords(db, projectId, userId, 400);
+    await runNotificationChecks(db, { now: at(10) });
+
+    const milestones = (await notifications(userId)).filter(n => n.kind === 'goal_milestone');
+    assert.strictEqual(milestones.length, 2);
+    assert.match(milestones[0].message, /50% of the way/);
+    assert.match(milestones[1].message, /reached its total words goal of 1,000/);
+  });
+
+  it('warns about a deadline within a week', async () => {
+    await addProject(userId, { title: 'Due Soon', deadline: addDays(today, 3) });
+    await addProject(userId, { title: 'Due Later', deadline: addDays(today, 30) });
+
+    await runNotificationChecks(db, { now: at(10) });
+    const deadlines = (await notifications(userId)).filter(n => n.kind === 'deadline_approaching');
+    assert.strictEqual(deadlines.length, 1);
+    assert.match(deadlines[0].message, /"Due Soon" is due in 3 days/);
+  });
+
+  it('tells the owner about a sync failure once until a sync succeeds', async () => {
+    const projectId = await addProject(userId, { title: 'Linked' });
+    const fail = () => db.query(
+      `UPDATE Project SET last_sync_error = 'The document was not found.', last_sync_error_at = CURRENT_TIMESTAMP
+       WHERE project_id = $1`,
+      [projectId]
+    );
+
+    await fail();
+    await runNotificationChecks(db, { now: at(10) });
+    await runNotificationChecks(db, { now: at(10) });
+    await db.query('UPDATE Project SET last_synced_at = CURRENT_TIMESTAMP, last_sync_error = NULL WHERE project_id = $1', [projectId]);
+    await fail();
+    await runNotificationChecks(db, { now: at(10) });
+
+    const failures = (await notifications(userId)).filter(n => n.kind === 'sync_failed');
+    assert.strictEqual(failures.length, 2);
+    assert.match(failures[0].message, /"Linked" couldn't be synced: The document was not found/);
+  });
+
+  it('only sends the kinds a user has chosen', async () => {
+    await addProject(userId, { targetWords: 1000, currentWords: 600, deadline: addDays(today, 2) });
+    const agent = await signIn('writer');
+    await agent.post('/notifications/settings').type('form').send({ kinds: 'deadline_approaching', reminder_hour: '20' }).expect(302);
+
+    await runNotificationChecks(db, { now: at(21) });
+    assert.deepStrictEqual((await notifications(userId)).map(n => n.kind), ['deadline_approaching']);
+  });
+
+  it('shows unread notifications on the dashboard and marks them read when opened', async () => {
+    await addProject(userId, { deadline: addDays(today, 1) });
+    await runNotificationChecks(db, { now: at(10) });
+    const agent = await signIn('writer');
+
+    let res = await agent.get('/dashboard').expect(200);
+    assert.match(res.text, /🔔 Notifications <span class="badge bg-danger">1<\/span>/);
+
+    res = await agent.get('/notifications').expect(200);
+    assert.match(res.text, /is due tomorrow/);
+    assert.ok((await notifications(userId)).every(n => n.read_at !== null));
+  });
+
+  it('emails a daily digest after the reminder hour to users who want one', async () => {
+    await addProject(userId, { deadline: addDays(today, 1) });
+    await db.query(
+      `INSERT INTO NotificationPreference (user_id, kinds, reminder_hour, email_digest)
+       VALUES ($1, '{deadline_approaching}', 18, true)`,
+      [userId]
+    );
+    const sent = [];
+    const mailer = { send: async message => sent.push(message) };
+
+    await runNotificationChecks(db, { now: at(10), mailer, baseUrl: 'http://tracker.test' });
+    assert.strictEqual(sent.length, 0);
+
+    await runNotificationChecks(db, { now: at(19), mailer, baseUrl: 'http://tracker.test' });
+    await runNotificationChecks(db, { now: at(20), mailer, baseUrl: 'http://tracker.test' });
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].to, 'writer@example.com');
+    assert.match(sent[0].text, /is due tomorrow/);
+    assert.match(sent[0].text, /http:\/\/tracker\.test\/notifications/);
+  });
+});
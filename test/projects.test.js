@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { db, resetDatabase, createUser, signIn, addProject, projectTotal, closeDatabase } = require('./helpers');
+const { addGoal } = require('../lib/projects');
+const { addWords } = require('../lib/progress');
+const { todayIn, addDays } = require('../lib/history');
+const { runNotificationChecks } = require('../lib/notifications');
+
+// The fields the edit form posts, with nothing changed
+function editForm(fields = {}) {
+  return {
+    title: 'Test Project',
+    genre: 'Fantasy',
+    description: '',
+    targetWords: '50000',
+    dailyGoal: '1000',
+    startDate: '2026-01-01',
+    deadline: '',
+    sourceType: '',
+    sourceLocator: '',
+    status: 'drafting',
+    tags: '',
+    ...fields
+  };
+}
+
+after(closeDatabase);
+
+describe("other people's projects", () => {
+  let projectId;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    const ownerId = await createUser('owner');
+    await createUser('intruder');
+    projectId = await addProject(ownerId, { title: 'Private Novel', currentWords: 1000 });
+  });
+
+  it("can't be opened for editing", async () => {
+    const agent = await signIn('intruder');
+    const res = await agent.get(`/edit/${projectId}`);
+    assert.strictEqual(res.status, 302);
+    assert.strictEqual(res.headers.location, '/dashboard');
+  });
+
+  it("can't be changed through the edit form", async () => {
+    const agent = await signIn('intruder');
+    await agent.post(`/edit/${projectId}`).type('form').send(editForm({ title: 'Hijacked', currentWords: '5' })).expect(302);
+
+    const project = await db.query('SELECT title FROM Project WHERE project_id = $1', [projectId]);
+    assert.strictEqual(project.rows[0].title, 'Private Novel');
+    assert.strictEqual(await projectTotal(projectId), 1000);
+  });
+
+  it("can't have words logged to them", async () => {
+    const agent = await signIn('intruder');
+    await agent.post(`/log-words/${projectId}`).type('form').send({ manual_count: '500' }).expect(302);
+    assert.strictEqual(await projectTotal(projectId), 1000);
+  });
+
+  it("can't be deleted", async () => {
+    const agent = await signIn('intruder');
+    await agent.post(`/delete/${projectId}`).expect(302);
+
+    const project = await db.query('SELECT deleted_at FROM Project WHERE project_id = $1', [projectId]);
+    assert.strictEqual(project.rows[0].deleted_at, null);
+  });
+
+  it("don't show their history", async () => {
+    const agent = await signIn('intruder');
+    const res = await agent.get(`/history/${projectId}`);
+    assert.strictEqual(res.status, 302);
+    assert.strictEqual(res.headers.location, '/dashboard');
+  });
+
+  it('are still editable by their owner', async () => {
+    const agent = await signIn('owner');
+    await agent.get(`/edit/${projectId}`).expect(200);
+    await agent.post(`/edit/${projectId}`).type('form').send(editForm({ title: 'Renamed', currentWords: '1000' })).expect(302);
+
+    const project = await db.query('SELECT title FROM Project WHERE project_id = $1', [projectId]);
+    assert.strictEqual(project.rows[0].title, 'Renamed');
+  });
+});
+
+describe('sprints', () => {
+  beforeEach(resetDatabase);
+
+  it('are closed once their end date has passed, without opening the goals page', async () => {
+    const userId = await createUser('writer');
+    const projectId = await addProject(userId);
+    const today = todayIn('UTC');
+    const sprint = { goalType: 'sprint', startDate: addDays(today, -7), endDate: addDays(today, -1) };
+    const reached = await addGoal(db, projectId, { ...sprint, targetValue: 500 });
+    const missed = await addGoal(db, projectId, { ...sprint, targetValue: 5000 });
+    await addWords(db, projectId, userId, 800, `${addDays(today, -3)} 12:00`);
+
+    const agent = await signIn('writer');
+    await agent.get('/dashboard').expect(200);
+
+    const goals = await db.query('SELECT goal_id, is_active, outcome FROM Goal WHERE goal_id = ANY($1) ORDER BY goal_id', [[reached, missed]]);
+    assert.deepStrictEqual(goals.rows, [
+      { goal_id: reached, is_active: false, outcome: 'completed' },
+      { goal_id: missed, is_active: false, outcome: 'missed' }
+    ]);
+  });
+
+  it("aren't closed by someone else's page view, only by theirs or the background check", async () => {
+    await createUser('writer');
+    const otherId = await createUser('other');
+    const projectId = await addProject(otherId);
+    const today = todayIn('UTC');
+    const goalId = await addGoal(db, projectId, {
+      goalType: 'sprint', targetValue: 500, startDate: addDays(today, -7), endDate: addDays(today, -1)
+    });
+    const isActive = async () => (await db.query('SELECT is_active FROM Goal WHERE goal_id = $1', [goalId])).rows[0].is_active;
+
+    const agent = await signIn('writer');
+    await agent.get('/dashboard').expect(200);
+    assert.strictEqual(await isActive(), true);
+
+    await runNotificationChecks(db);
+    assert.strictEqual(await isActive(), false);
+  });
+});
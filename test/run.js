@@ -0,0 +1,160 @@
+/**
+ * Test runner (npm test)
+ * Gives the suites in test/ a database of their own: a throwaway Postgres started from
+ * the embedded-postgres package in a temp directory, or, when TEST_DB_HOST is set, a new
+ * database on that server (TEST_DB_PORT, TEST_DB_USER, TEST_DB_PASSWORD). The migrations
+ * are run into it, the suites run one file at a time, and everything is dropped afterwards.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const knex = require('knex');
+const { Client } = require('pg');
+const knexConfig = require('../knexfile');
+
+const TEST_DIR = __dirname;
+
+// A port nothing is listening on right now
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Start a Postgres of our own. Postgres won't run as root, so under root the package
+// creates (once) a "postgres" system user to run it as.
+async function startEmbeddedPostgres(tempDir) {
+  const { default: EmbeddedPostgres } = await import('embedded-postgres');
+  const server = {
+    host: '127.0.0.1',
+    port: await freePort(),
+    user: 'postgres',
+    password: crypto.randomBytes(12).toString('hex')
+  };
+  const asRoot = os.userInfo().uid === 0;
+  // The data directory inside is handed to that user, who has to be able to reach it
+  if (asRoot) fs.chmodSync(tempDir, 0o711);
+  const postgres = new EmbeddedPostgres({
+    databaseDir: path.join(tempDir, 'data'),
+    port: server.port,
+    user: server.user,
+    password: server.password,
+    persistent: false,
+    createPostgresUser: asRoot,
+    onLog: () => {},
+    onError: () => {}
+  });
+  await postgres.initialise();
+  await postgres.start();
+  return { server, stop: () => postgres.stop() };
+}
+
+function externalServer() {
+  return {
+    host: process.env.TEST_DB_HOST,
+    port: parseInt(process.env.TEST_DB_PORT) || 5432,
+    user: process.env.TEST_DB_USER,
+    password: process.env.TEST_DB_PASSWORD
+  };
+}
+
+async function adminQuery(server, sql) {
+  const client = new Client({ ...server, database: 'postgres' });
+  await client.connect();
+  try {
+    await client.query(sql);
+  } finally {
+    await client.end();
+  }
+}
+
+async function migrate(connection) {
+  const migrator = knex({ ...knexConfig, connection, pool: { min: 0, max: 1 } });
+  try {
+    await migrator.migrate.latest();
+  } finally {
+    await migrator.destroy();
+  }
+}
+
+function runSuites(env) {
+  const files = fs.readdirSync(TEST_DIR)
+    .filter(file => file.endsWith('.test.js'))
+    .sort()
+    .map(file => path.join(TEST_DIR, file));
+
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, ['--test', '--test-concurrency=1', ...files], {
+      stdio: 'inherit',
+      env: { ...process.env, ...env }
+    });
+    child.on('close', code => resolve(code === null ? 1 : code));
+  });
+}
+
+async function main() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wct-test-'));
+  const database = `wct_test_${crypto.randomBytes(4).toString('hex')}`;
+  let embedded = null;
+  let server = null;
+  let created = false;
+  let exitCode = 1;
+
+  try {
+    if (process.env.TEST_DB_HOST) {
+      server = externalServer();
+    } else {
+      embedded = await startEmbeddedPostgres(tempDir);
+      server = embedded.server;
+    }
+
+    await adminQuery(server, `CREATE DATABASE ${database}`);
+    created = true;
+    const connection = { ...server, database, ssl: false };
+    await migrate(connection);
+
+    exitCode = await runSuites({
+      DB_HOST: server.host,
+      DB_PORT: String(server.port),
+      DB_USER: server.user,
+      DB_PASSWORD: server.password,
+      DB_NAME: database,
+      SESSION_SECRET: 'test-session-secret',
+      ENCRYPTION_KEY: 'test-encryption-key',
+      GOOGLE_CLIENT_ID: 'test-client-id',
+      GOOGLE_CLIENT_SECRET: 'test-client-secret',
+      GOOGLE_REDIRECT_URI: 'http://localhost/auth/google/callback',
+      MAIL_TRANSPORT: 'file',
+      MAIL_DIR: path.join(tempDir, 'mail'),
+      UPLOAD_DIR: path.join(tempDir, 'uploads'),
+      GIT_CACHE_DIR: path.join(tempDir, 'git'),
+      SYNC_INTERVAL_MINUTES: '0',
+      // Not UTC, so anything that reads or writes times in the process's zone shows up
+      TZ: 'America/New_York'
+    });
+  } catch (err) {
+    console.error(`Test setup failed: ${err.message}`);
+  } finally {
+    if (created) {
+      await adminQuery(server, `DROP DATABASE IF EXISTS ${database} WITH (FORCE)`).catch(err => {
+        console.error(`Couldn't drop ${database}: ${err.message}`);
+      });
+    }
+    if (embedded) await embedded.stop().catch(() => {});
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  process.exit(exitCode);
+}
+
+main();